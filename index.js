@@ -1,20 +1,31 @@
 import {
     setExtensionPrompt,
     getRequestHeaders,
+    chat_metadata,
+    eventSource,
+    event_types,
     saveSettingsDebounced,
+    saveChatDebounced,
     sendMessageAsUser,
     Generate,
+    generateQuietPrompt,
     amount_gen,
     main_api,
 } from '../../../../script.js';
 import {
     extension_settings,
+    getContext,
     renderExtensionTemplateAsync,
+    saveMetadataDebounced,
 } from '../../../extensions.js';
+import { selected_group, regenerateGroup } from '../../../group-chats.js';
 import { oai_settings } from '../../../openai.js';
 import { getTokenCountAsync } from '../../../tokenizers.js';
+import { Popup, POPUP_RESULT, POPUP_TYPE } from '../../../popup.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { localforage, yaml } from '../../../../lib.js';
 
 const MODULE_NAME = 'deeplore';
 const PROMPT_TAG = 'deeplore';
@@ -26,11 +37,26 @@ const PLUGIN_BASE = '/api/plugins/deeplore';
 
 const defaultSettings = {
     enabled: false,
-    obsidianPort: 27123,
-    obsidianApiKey: '',
-    lorebookTag: 'lorebook',
-    constantTag: 'lorebook-always',
-    neverInsertTag: 'lorebook-never',
+    vaults: [],                    // VaultConnection list; filled from the single-connection settings of earlier versions
+    duplicateTitles: 'first',      // 'first' = the vault listed first wins, 'all' = keep every copy, labeled with its vault
+    inlineTags: true,
+    aliasesAsKeys: false,
+    titleAsKey: false,
+    splitSections: false,          // split every note into H2/H3 sub-entries (notes can opt in or out via frontmatter)
+    cleanComments: true,           // %%comments%%
+    cleanHtmlComments: true,       // <!-- comments -->
+    cleanDataview: true,           // dataview and dataviewjs code blocks
+    cleanCallouts: true,           // strip callout markers, keep the text
+    removeCalloutTypes: '',        // comma-separated callout types removed with their text, e.g. 'secret, gm'
+    removeSections: '',            // comma-separated headings removed with their sections, e.g. 'GM Notes'
+    cleanFootnotes: true,
+    cleanBlockIds: true,           // ^block-id markers
+    cleanHtml: true,               // raw HTML tags (their text is kept)
+    tablesToText: false,
+    resolveEmbeds: true,           // inline ![[Note]], ![[Note#Heading]] and ![[Note#^block]] embeds
+    maxEmbedDepth: 3,              // how many levels of embeds inside embeds are expanded
+    newEntryFolder: '',
+    characterScopes: {},    // character avatar or "group:<id>" -> { folder, tag }
     scanDepth: 4,
     maxEntries: 10,
     unlimitedEntries: true,
@@ -43,23 +69,37 @@ const defaultSettings = {
     allowWIScan: false,
     recursiveScan: false,
     maxRecursionSteps: 3,
+    linkRecursion: false,          // pull in notes linked from injected entries via [[wiki-links]]
+    maxLinkHops: 1,
     matchWholeWords: false,
     caseSensitive: false,
+    groupSelection: 'weighted',    // 'weighted' (random by groupWeight) or 'priority'
+    keepGroupPickOnSwipe: false,
+    randomSeed: '',                // empty = new random rolls every generation
+    relevanceRanking: false,
+    relevanceWeight: 70,           // 0-100: share of relevance (vs priority) in the ranking
+    budgetPacking: 'fill',         // 'fill' = skip entries that don't fit, 'stop' = stop at the first one
+    useSummaries: true,
     cacheTTL: 300,
+    liveSync: true,
+    liveSyncInterval: 10,
     reviewResponseTokens: 0,
     debugMode: false,
 };
 
 /** Validation constraints for numeric settings */
 const settingsConstraints = {
-    obsidianPort: { min: 1, max: 65535 },
     scanDepth: { min: 1, max: 100 },
     maxEntries: { min: 1, max: 100 },
     maxTokensBudget: { min: 100, max: 100000 },
     injectionDepth: { min: 0, max: 9999 },
     maxRecursionSteps: { min: 1, max: 10 },
+    maxLinkHops: { min: 1, max: 10 },
+    maxEmbedDepth: { min: 1, max: 10 },
     cacheTTL: { min: 0, max: 86400 },
+    liveSyncInterval: { min: 2, max: 300 },
     reviewResponseTokens: { min: 0, max: 100000 },
+    relevanceWeight: { min: 0, max: 100 },
 };
 
 /**
@@ -72,9 +112,14 @@ function validateSettings(settings) {
             settings[key] = Math.max(min, Math.min(max, Math.round(settings[key])));
         }
     }
-    // Ensure tags are trimmed strings
-    if (typeof settings.lorebookTag === 'string') {
-        settings.lorebookTag = settings.lorebookTag.trim() || 'lorebook';
+    // Each vault connection has its own address, certificate handling and tags
+    for (const vault of Array.isArray(settings.vaults) ? settings.vaults : []) {
+        vault.port = Math.max(1, Math.min(65535, Math.round(Number(vault.port) || 27123)));
+        vault.host = String(vault.host ?? '').trim() || '127.0.0.1';
+        vault.protocol = vault.protocol === 'https' ? 'https' : 'http';
+        vault.tls = TLS_MODES.includes(vault.tls) ? vault.tls : 'self-signed';
+        vault.certFingerprint = String(vault.certFingerprint ?? '').trim();
+        vault.lorebookTag = String(vault.lorebookTag ?? '').trim() || 'lorebook';
     }
 }
 
@@ -86,103 +131,526 @@ function getSettings() {
     // Fill in any missing defaults
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (extension_settings[MODULE_NAME][key] === undefined) {
-            extension_settings[MODULE_NAME][key] = value;
+            // Copy object defaults so settings never share state with defaultSettings
+            extension_settings[MODULE_NAME][key] = typeof value === 'object' ? structuredClone(value) : value;
         }
     }
+    migrateVaultSettings(extension_settings[MODULE_NAME]);
     validateSettings(extension_settings[MODULE_NAME]);
     return extension_settings[MODULE_NAME];
 }
 
+// ============================================================================
+// Vault Connections
+// ============================================================================
+
+/**
+ * @typedef {object} VaultConnection
+ * @property {string} id - Stable id, part of entry ids and sync state
+ * @property {string} name - Label shown in debug output and /deeplore-status
+ * @property {boolean} enabled
+ * @property {string} protocol - 'http' or 'https'
+ * @property {string} host - Host name or IP of the machine running Obsidian
+ * @property {number} port - Local REST API port
+ * @property {string} tls - HTTPS certificate check: 'self-signed', 'pin' or 'insecure'
+ * @property {string} certFingerprint - SHA-256 fingerprint the certificate must match in 'pin' mode
+ * @property {string} [apiKey] - Plaintext API key of earlier versions, until migrateApiKeys moves it to the server plugin
+ * @property {string} lorebookTag - Tag that marks a note in this vault as a lorebook entry
+ * @property {string} constantTag - Tag for always-send entries ('' = none)
+ * @property {string} neverInsertTag - Tag for never-insert entries ('' = none)
+ */
+
+/**
+ * How the server plugin checks an HTTPS certificate: trust the self-signed certificate
+ * Obsidian presents on first contact, require a pinned fingerprint, or skip the check.
+ */
+const TLS_MODES = ['self-signed', 'pin', 'insecure'];
+
+/** Top-level settings of earlier versions -> their VaultConnection field */
+const LEGACY_CONNECTION_KEYS = {
+    obsidianPort: 'port',
+    obsidianApiKey: 'apiKey',
+    lorebookTag: 'lorebookTag',
+    constantTag: 'constantTag',
+    neverInsertTag: 'neverInsertTag',
+};
+
+/**
+ * Create a vault connection with default settings.
+ * @param {Partial<VaultConnection>} [fields]
+ * @returns {VaultConnection}
+ */
+function createVaultConnection(fields = {}) {
+    return {
+        id: `vault-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: 'Vault',
+        enabled: true,
+        protocol: 'http',
+        host: '127.0.0.1',
+        port: 27123,
+        tls: 'self-signed',
+        certFingerprint: '',
+        lorebookTag: 'lorebook',
+        constantTag: 'lorebook-always',
+        neverInsertTag: 'lorebook-never',
+        ...fields,
+    };
+}
+
+/**
+ * Move the single-connection settings of earlier versions into the vault list.
+ * Also recreates a default vault if the list is empty.
+ * @param {object} settings
+ * @returns {boolean} Whether the settings changed
+ */
+function migrateVaultSettings(settings) {
+    if (Array.isArray(settings.vaults) && settings.vaults.length > 0) return false;
+    const fields = { id: 'default', name: 'Default' };
+    for (const [legacyKey, field] of Object.entries(LEGACY_CONNECTION_KEYS)) {
+        if (settings[legacyKey] !== undefined) {
+            fields[field] = settings[legacyKey];
+        }
+        delete settings[legacyKey];
+    }
+    settings.vaults = [createVaultConnection(fields)];
+    return true;
+}
+
+/**
+ * Connection details the server plugin needs to reach a vault.
+ * The API key isn't included: the server plugin looks it up by connection ID.
+ * @param {VaultConnection} vault
+ * @returns {{ connectionId: string, protocol: string, host: string, port: number, tls: string, fingerprint: string }}
+ */
+function getConnectionPayload(vault) {
+    return {
+        connectionId: vault.id,
+        protocol: vault.protocol,
+        host: vault.host,
+        port: vault.port,
+        tls: vault.tls,
+        fingerprint: vault.certFingerprint,
+    };
+}
+
+/**
+ * Find a vault connection by name or id, ignoring case.
+ * @param {typeof defaultSettings} settings
+ * @param {string} [name] - Defaults to the first enabled vault
+ * @returns {VaultConnection}
+ */
+function findVaultConnection(settings, name) {
+    const vault = name
+        ? settings.vaults.find(v => v.id === name || v.name.toLowerCase() === name.trim().toLowerCase())
+        : settings.vaults.find(v => v.enabled);
+    if (!vault) {
+        throw new Error(name ? `No vault named "${name}"` : 'No vault connections are enabled');
+    }
+    return vault;
+}
+
+/**
+ * vault id -> whether the server plugin has an API key stored for it. 'moved' means the key
+ * was stored for another address, and the server won't send it to the vault's current one.
+ * @type {Map<string, 'stored'|'none'|'moved'>}
+ */
+const apiKeyStatus = new Map();
+
+/**
+ * Store a vault's API key in the server plugin, bound to the vault's current address, or remove it.
+ * @param {VaultConnection} vault
+ * @param {string} apiKey - '' removes the stored key
+ * @returns {Promise<boolean>} Whether a key is now stored
+ */
+async function storeApiKey(vault, apiKey) {
+    const response = await fetch(`${PLUGIN_BASE}/credentials`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...getConnectionPayload(vault), apiKey }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server plugin returned HTTP ${response.status}`);
+    }
+    apiKeyStatus.set(vault.id, data.hasKey ? 'stored' : 'none');
+    return data.hasKey;
+}
+
+/**
+ * Ask the server plugin which vaults have an API key stored for their current address.
+ * @param {VaultConnection[]} vaults
+ */
+async function loadApiKeyStatus(vaults) {
+    try {
+        const response = await fetch(`${PLUGIN_BASE}/credentials/status`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ connections: vaults.map(getConnectionPayload) }),
+        });
+        if (!response.ok) {
+            throw new Error(`Server plugin returned HTTP ${response.status}`);
+        }
+        const { keys } = await response.json();
+        for (const [id, status] of Object.entries(keys)) {
+            apiKeyStatus.set(id, status);
+        }
+    } catch (err) {
+        console.warn('[DeepLore] Could not check stored API keys:', err);
+    }
+}
+
+/**
+ * Move API keys that earlier versions kept in the browser settings to the server plugin.
+ * A key that can't be moved stays in the settings and is retried on the next load.
+ * @param {typeof defaultSettings} settings
+ */
+async function migrateApiKeys(settings) {
+    let changed = false;
+    for (const vault of settings.vaults) {
+        if (vault.apiKey === undefined) continue;
+        try {
+            if (vault.apiKey) {
+                await storeApiKey(vault, vault.apiKey);
+            }
+            delete vault.apiKey;
+            changed = true;
+        } catch (err) {
+            console.warn(`[DeepLore] Could not move the API key of vault "${vault.name}" to the server plugin:`, err);
+        }
+    }
+    if (changed) {
+        console.log('[DeepLore] Moved API keys from the browser settings to the server plugin');
+        saveSettingsDebounced();
+    }
+}
+
 // ============================================================================
 // Vault Index Cache
 // ============================================================================
 
 /**
  * @typedef {object} VaultEntry
+ * @property {string} id - Unique entry id: vault id and filename, plus the heading trail for sub-entries
+ * @property {string} vault - Id of the vault connection the entry comes from
+ * @property {string} vaultName - Name of that vault connection
  * @property {string} filename - Full path in vault
- * @property {string} title - Display title (from H1 or filename)
+ * @property {string} title - Display title (from H1 or filename, plus the heading trail for sub-entries)
+ * @property {string[]} headingPath - Headings leading to a sub-entry's section, including the H1 ([] for whole notes)
  * @property {string[]} keys - Trigger keywords from frontmatter
+ * @property {string[]} secondaryKeys - Optional keywords combined with the primary keys via selectiveLogic
+ * @property {string} selectiveLogic - How secondary keys apply: AND ANY, AND ALL, NOT ANY or NOT ALL
  * @property {string} content - Cleaned markdown content (frontmatter stripped)
  * @property {number} priority - Sort priority (lower = higher priority)
  * @property {boolean} constant - Always inject regardless of keywords
  * @property {number} tokenEstimate - Rough token count estimate
+ * @property {string} summary - Compact fallback used when the full content doesn't fit the budget ('' = none)
+ * @property {number} summaryTokenEstimate - Token count of the summary
  * @property {number|null} scanDepth - Per-entry scan depth override (null = use global)
  * @property {boolean} excludeRecursion - Don't scan this entry's content during recursion
+ * @property {string[]} tags - Lowercased tags from frontmatter and (optionally) the body
+ * @property {string[]} characters - Only eligible when one of these characters is active
+ * @property {string[]} excludeCharacters - Never eligible when one of these characters is active
+ * @property {number} sticky - Stay injected for this many messages after triggering (0 = off)
+ * @property {number} cooldown - Can't trigger again for this many messages after it ends (0 = off)
+ * @property {number} delay - Can't trigger until the chat has at least this many messages (0 = off)
+ * @property {number|null} injectionPosition - Per-entry position override (extension_prompt_types, null = use global)
+ * @property {number|null} injectionDepth - Per-entry in-chat depth override (null = use global)
+ * @property {number|null} injectionRole - Per-entry in-chat role override (extension_prompt_roles, null = use global)
+ * @property {string[]} groups - Inclusion groups; only one matched entry per group is injected
+ * @property {number} groupWeight - Relative chance of winning its group in weighted selection
+ * @property {boolean} groupOverride - Wins its group over entries without the flag
+ * @property {number} probability - Chance (0-100) that the entry is injected when it matches
+ * @property {WikiLink[]} links - Wiki-links in the entry's text, resolved by the link graph
+ * @property {string[]} embeds - Notes embedded in the content, directly or through other embeds (normalized targets)
+ * @property {boolean} disabled - Turned off by `enabled: false` or the never-insert tag: never matched, only listed in traces
  */
 
-/** @type {VaultEntry[]} */
+/** @type {VaultEntry[]} Entries from all enabled vaults, merged */
 let vaultIndex = [];
 let indexTimestamp = 0;
 let indexing = false;
 
 /**
- * Parse simple YAML frontmatter from markdown content.
- * Handles basic key-value pairs and arrays (indented with - ).
+ * @typedef {object} VaultState
+ * @property {VaultEntry[]} entries - Entries parsed from this vault, before merging
+ * @property {Map<string, string>} files - filename -> raw content of every markdown file, for resolving embeds
+ * @property {Map<string, string>} errors - filename -> frontmatter parse error from the last sync
+ * @property {string|null} syncToken - Lets the server send only what changed since the last sync
+ * @property {string} signature - Signature of the settings the entries were built with
+ * @property {number} total - Markdown files in the vault at the last sync
+ * @property {number} lastSync - When the vault last synced successfully (0 = never)
+ * @property {string|null} error - Why the last sync failed (null = healthy)
+ * @property {number} failures - Failed syncs in a row
+ * @property {number} retryAt - Don't try to sync again before this time (0 = any time)
+ */
+
+/** @type {Map<string, VaultState>} vault id -> sync state */
+let vaultStates = new Map();
+
+/** @type {VaultEntry[]} Entries whose title another vault listed earlier already uses */
+let duplicateEntries = [];
+
+/** @type {VaultEntry[]} Disabled entries of the enabled vaults, kept out of vaultIndex */
+let disabledEntries = [];
+
+/**
+ * Get the sync state of a vault, creating an empty one if needed.
+ * @param {string} vaultId
+ * @returns {VaultState}
+ */
+function getVaultState(vaultId) {
+    if (!vaultStates.has(vaultId)) {
+        vaultStates.set(vaultId, { entries: [], files: new Map(), errors: new Map(), syncToken: null, signature: '', total: 0, lastSync: 0, error: null, failures: 0, retryAt: 0 });
+    }
+    return vaultStates.get(vaultId);
+}
+
+/**
+ * Describe a vault connection's sync health for /deeplore-status.
+ * @param {VaultConnection} vault
+ * @returns {string}
+ */
+function describeVaultHealth(vault) {
+    const tags = [`#${vault.lorebookTag}`, vault.constantTag && `always #${vault.constantTag}`, vault.neverInsertTag && `never #${vault.neverInsertTag}`].filter(Boolean).join(', ');
+    const label = `"${vault.name}" (${vault.protocol}://${vault.host}:${vault.port}, ${tags})`;
+    if (!vault.enabled) {
+        return `${label}: disabled`;
+    }
+    const state = vaultStates.get(vault.id);
+    if (!state) {
+        return `${label}: not synced yet`;
+    }
+    const entries = vaultIndex.filter(e => e.vault === vault.id).length;
+    const synced = state.lastSync ? `synced ${Math.round((Date.now() - state.lastSync) / 1000)}s ago` : 'never synced';
+    const retry = state.retryAt > Date.now() ? `, retrying in ${Math.ceil((state.retryAt - Date.now()) / 1000)}s` : '';
+    const health = state.error
+        ? `ERROR ${state.error} (${state.lastSync ? `stale since ${new Date(state.lastSync).toLocaleString()}` : 'never synced'}${retry})`
+        : synced;
+    return `${label}: ${entries} entries from ${state.total} files, ${health}`;
+}
+
+/**
+ * Count frontmatter parse errors across all vaults.
+ * @returns {number}
+ */
+function countParseErrors() {
+    return [...vaultStates.values()].reduce((sum, state) => sum + state.errors.size, 0);
+}
+
+/**
+ * Parse YAML frontmatter from markdown content.
  * @param {string} content - Raw markdown content
- * @returns {{ frontmatter: object, body: string }}
+ * @returns {{ frontmatter: object, body: string, error: string|null }} error is set when the frontmatter is not valid YAML
  */
 function parseFrontmatter(content) {
     const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
     if (!match) {
-        return { frontmatter: {}, body: content };
+        return { frontmatter: {}, body: content, error: null };
     }
 
-    const yamlText = match[1];
     const body = match[2];
-    const frontmatter = {};
-    let currentKey = null;
-    let currentArray = null;
 
-    for (const line of yamlText.split('\n')) {
-        const trimmed = line.trimEnd();
+    try {
+        const parsed = yaml.parse(match[1]);
+        if (parsed === null || parsed === undefined) {
+            return { frontmatter: {}, body, error: null };
+        }
+        if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return { frontmatter: {}, body, error: 'Frontmatter is not a set of properties' };
+        }
+        return { frontmatter: parsed, body, error: null };
+    } catch (err) {
+        return { frontmatter: {}, body, error: err.message };
+    }
+}
+
+/**
+ * Read a frontmatter property that may be a list, a single value, or missing.
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toStringArray(value) {
+    if (value === null || value === undefined) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .filter(v => v !== null && v !== undefined && typeof v !== 'object')
+        .map(v => String(v).trim())
+        .filter(Boolean);
+}
+
+/**
+ * @typedef {object} CleanRules
+ * @property {boolean} [comments] - Remove %%comments%%
+ * @property {boolean} [htmlComments] - Remove <!-- comments -->
+ * @property {boolean} [dataview] - Remove dataview and dataviewjs code blocks
+ * @property {boolean} [callouts] - Strip callout markers, keeping the title and text
+ * @property {string[]} [calloutTypes] - Lowercased callout types removed with their text
+ * @property {string[]} [sections] - Lowercased headings removed with their sections
+ * @property {boolean} [footnotes] - Remove footnote references and definitions
+ * @property {boolean} [blockIds] - Remove ^block-id markers
+ * @property {boolean} [tables] - Turn tables into one "Header: value; ..." line per row
+ * @property {boolean} [html] - Remove raw HTML tags, keeping their text
+ */
+
+/**
+ * Read the content cleaning rules from settings.
+ * @param {typeof defaultSettings} settings
+ * @returns {CleanRules}
+ */
+function getCleanRules(settings) {
+    const list = value => String(value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return {
+        comments: settings.cleanComments,
+        htmlComments: settings.cleanHtmlComments,
+        dataview: settings.cleanDataview,
+        callouts: settings.cleanCallouts,
+        calloutTypes: list(settings.removeCalloutTypes),
+        sections: list(settings.removeSections),
+        footnotes: settings.cleanFootnotes,
+        blockIds: settings.cleanBlockIds,
+        tables: settings.tablesToText,
+        html: settings.cleanHtml,
+    };
+}
 
-        // Array item: "  - value"
-        if (/^\s+-\s+/.test(trimmed) && currentKey) {
-            const value = trimmed.replace(/^\s+-\s+/, '').trim();
-            if (!currentArray) {
-                currentArray = [];
-                frontmatter[currentKey] = currentArray;
+/**
+ * Remove the sections under the given headings, up to the next heading of the same or a higher level.
+ * @param {string} text
+ * @param {string[]} headings - Lowercased heading texts
+ * @returns {string}
+ */
+function removeHeadingSections(text, headings) {
+    const kept = [];
+    let skipLevel = 0;
+    for (const line of text.split('\n')) {
+        const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (match) {
+            const level = match[1].length;
+            if (skipLevel && level <= skipLevel) skipLevel = 0;
+            if (!skipLevel && headings.includes(match[2].toLowerCase())) {
+                skipLevel = level;
             }
-            currentArray.push(value);
-            continue;
         }
+        if (!skipLevel) kept.push(line);
+    }
+    return kept.join('\n');
+}
 
-        // Key-value pair: "key: value" or "key:"
-        const kvMatch = trimmed.match(/^(\w[\w-]*)\s*:\s*(.*)/);
-        if (kvMatch) {
-            currentKey = kvMatch[1];
-            const rawValue = kvMatch[2].trim();
-            currentArray = null;
-
-            if (rawValue === '' || rawValue === '[]') {
-                // Value will come as array items on next lines, or is empty
-                frontmatter[currentKey] = [];
-                currentArray = frontmatter[currentKey];
-            } else if (rawValue === 'true') {
-                frontmatter[currentKey] = true;
-            } else if (rawValue === 'false') {
-                frontmatter[currentKey] = false;
-            } else if (/^\d+$/.test(rawValue)) {
-                frontmatter[currentKey] = parseInt(rawValue, 10);
+/**
+ * Strip callout markers (> [!type] Title) and remove callouts of the given types.
+ * @param {string} text
+ * @param {boolean} stripMarkers - Turn other callouts into plain text
+ * @param {string[]} removeTypes - Lowercased callout types to remove
+ * @returns {string}
+ */
+function cleanCallouts(text, stripMarkers, removeTypes) {
+    const lines = text.split('\n');
+    const kept = [];
+    for (let i = 0; i < lines.length; i++) {
+        const header = lines[i].match(/^>\s*\[!([\w-]+)\][+-]?\s*(.*)$/);
+        if (!header) {
+            kept.push(lines[i]);
+            continue;
+        }
+        let end = i + 1;
+        while (end < lines.length && lines[end].startsWith('>')) end++;
+        if (!removeTypes.includes(header[1].toLowerCase())) {
+            if (stripMarkers) {
+                if (header[2].trim()) kept.push(header[2].trim());
+                kept.push(...lines.slice(i + 1, end).map(line => line.replace(/^>\s?/, '')));
             } else {
-                // Strip surrounding quotes if present
-                frontmatter[currentKey] = rawValue.replace(/^['"]|['"]$/g, '');
+                kept.push(...lines.slice(i, end));
             }
         }
+        i = end - 1;
+    }
+    return kept.join('\n');
+}
+
+/**
+ * Turn markdown tables into compact text, one "Header: value; Header: value" line per row.
+ * @param {string} text
+ * @returns {string}
+ */
+function convertTables(text) {
+    const lines = text.split('\n');
+    const kept = [];
+    const cells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    const isSeparator = line => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].includes('|') || !isSeparator(lines[i + 1] || '')) {
+            kept.push(lines[i]);
+            continue;
+        }
+        const headers = cells(lines[i]);
+        let row = i + 2;
+        for (; row < lines.length && lines[row].includes('|') && lines[row].trim(); row++) {
+            kept.push(cells(lines[row])
+                .map((cell, col) => cell && headers[col] ? `${headers[col]}: ${cell}` : cell)
+                .filter(Boolean)
+                .join('; '));
+        }
+        i = row - 1;
     }
+    return kept.join('\n');
+}
 
-    return { frontmatter, body };
+/**
+ * Remove the text the cleaning rules leave out entirely: comments, dataview blocks, removed
+ * sections and callouts, and footnotes. Wiki-links are read from what remains.
+ * @param {string} content - Raw markdown body (frontmatter already stripped)
+ * @param {CleanRules} [rules] - Optional Obsidian syntax cleaning (all off when omitted)
+ * @returns {string} Markdown without the removed text
+ */
+function removeHiddenContent(content, rules = {}) {
+    let cleaned = content;
+
+    if (rules.comments) {
+        cleaned = cleaned.replace(/%%[\s\S]*?%%/g, '');
+    }
+    if (rules.htmlComments) {
+        cleaned = cleaned.replace(/<!--[\s\S]*?-->/g, '');
+    }
+    if (rules.dataview) {
+        cleaned = cleaned.replace(/^(```|~~~)\s*dataview(?:js)?\b[\s\S]*?^\1\s*$/gm, '');
+    }
+    if (rules.sections?.length) {
+        cleaned = removeHeadingSections(cleaned, rules.sections);
+    }
+    if (rules.callouts || rules.calloutTypes?.length) {
+        cleaned = cleanCallouts(cleaned, Boolean(rules.callouts), rules.calloutTypes || []);
+    }
+    if (rules.footnotes) {
+        // Definitions ([^1]: text), references ([^1]) and inline footnotes (^[text])
+        cleaned = cleaned.replace(/^\[\^[^\]]+\]:.*$/gm, '');
+        cleaned = cleaned.replace(/\[\^[^\]]+\]/g, '');
+        cleaned = cleaned.replace(/\^\[[^\]]*\]/g, '');
+    }
+    return cleaned;
 }
 
 /**
  * Clean markdown content for prompt injection.
  * @param {string} content - Raw markdown body (frontmatter already stripped)
+ * @param {CleanRules} [rules] - Optional Obsidian syntax cleaning (all off when omitted)
  * @returns {string} Cleaned content
  */
-function cleanContent(content) {
-    let cleaned = content;
+function cleanContent(content, rules = {}) {
+    let cleaned = removeHiddenContent(content, rules);
+
+    if (rules.blockIds) {
+        cleaned = cleaned.replace(/(^|[ \t])\^[\w-]+[ \t]*$/gm, '');
+    }
+    if (rules.tables) {
+        cleaned = convertTables(cleaned);
+    }
+    if (rules.html) {
+        cleaned = cleaned.replace(/<br\s*\/?>/gi, '\n');
+        cleaned = cleaned.replace(/<\/?[a-zA-Z][\w:-]*(?:\s[^<>]*)?\/?>/g, '');
+    }
 
-    // Strip image embeds: ![[image.png]] or ![alt](url)
+    // Strip images and any embeds that weren't resolved: ![[image.png]] or ![alt](url)
     cleaned = cleaned.replace(/!\[\[.*?\]\]/g, '');
     cleaned = cleaned.replace(/!\[.*?\]\(.*?\)/g, '');
 
@@ -196,6 +664,172 @@ function cleanContent(content) {
     return cleaned.trim();
 }
 
+/**
+ * @typedef {object} WikiLink
+ * @property {string} target - Linked note path or name as written ('' = the same note)
+ * @property {string|null} heading - Linked heading, if any
+ */
+
+/**
+ * Collect the [[wiki-links]] in markdown text. Handles [[Note|alias]], [[Note#Heading]] and
+ * [[#Heading]]; embeds (![[...]]) are not links.
+ * @param {string} text - Raw markdown
+ * @returns {WikiLink[]} Unique links in order of appearance
+ */
+function extractWikiLinks(text) {
+    const links = [];
+    const seen = new Set();
+    for (const match of text.matchAll(/(!?)\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|[^\]]*)?\]\]/g)) {
+        if (match[1]) continue;
+        const target = match[2].trim();
+        // Nested heading links point at the last heading; block references (#^id) link the whole note
+        const heading = match[3] && !match[3].startsWith('^') ? match[3].split('#').pop().trim() || null : null;
+        const key = `${target.toLowerCase()}#${heading?.toLowerCase() ?? ''}`;
+        if ((!target && !heading) || seen.has(key)) continue;
+        seen.add(key);
+        links.push({ target, heading });
+    }
+    return links;
+}
+
+/**
+ * @typedef {object} VaultFiles
+ * @property {Map<string, string>} files - filename -> raw content
+ * @property {Map<string, string>} names - Normalized path or note name -> filename
+ */
+
+/**
+ * Normalize a note path or name the way links refer to it: lowercase, without .md.
+ * @param {string} target
+ * @returns {string}
+ */
+function normalizeNoteTarget(target) {
+    return target.trim().replace(/\.md$/i, '').toLowerCase();
+}
+
+/**
+ * Index raw vault files by path and by note name for resolving embeds.
+ * A full path always wins over another file's bare name.
+ * @param {Map<string, string>} files - filename -> raw content
+ * @returns {VaultFiles}
+ */
+function createVaultFiles(files) {
+    const names = new Map();
+    for (const filename of [...files.keys()].sort()) {
+        const path = normalizeNoteTarget(filename);
+        names.set(path, filename);
+        const name = path.split('/').pop();
+        if (!names.has(name)) names.set(name, filename);
+    }
+    return { files, names };
+}
+
+/**
+ * Get the part of a note an embed points to.
+ * @param {string} body - Note body (frontmatter stripped)
+ * @param {string} subpath - Heading, nested heading (A#B) or block reference (^id); '' = the whole note
+ * @returns {string|null} null when the heading or block doesn't exist
+ */
+function extractEmbedPart(body, subpath) {
+    if (!subpath) return body;
+    const lines = body.split('\n');
+
+    if (subpath.startsWith('^')) {
+        const marker = new RegExp(`(?:^|\\s)\\^${escapeRegex(subpath.slice(1))}\\s*$`);
+        const strip = line => line.replace(marker, '');
+        const index = lines.findIndex(line => marker.test(line));
+        if (index === -1) return null;
+        // A list item is its own block
+        if (/^\s*([-*+]|\d+[.)])\s/.test(lines[index])) return strip(lines[index]);
+        // A marker on its own line names the block above it
+        let end = index;
+        if (!strip(lines[index]).trim()) {
+            end = index - 1;
+            while (end >= 0 && !lines[end].trim()) end--;
+            if (end < 0) return null;
+        }
+        let start = end;
+        while (start > 0 && lines[start - 1].trim()) start--;
+        return lines.slice(start, end + 1).map(strip).join('\n');
+    }
+
+    const wanted = subpath.split('#').pop().trim().toLowerCase();
+    const headingLevel = line => {
+        const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        return match ? { level: match[1].length, text: match[2].toLowerCase() } : null;
+    };
+    const start = lines.findIndex(line => headingLevel(line)?.text === wanted);
+    if (start === -1) return null;
+    const level = headingLevel(lines[start]).level;
+    let end = start + 1;
+    while (end < lines.length && !(headingLevel(lines[end])?.level <= level)) end++;
+    return lines.slice(start, end).join('\n');
+}
+
+/**
+ * Replace note embeds (![[Note]], ![[Note#Heading]], ![[Note#^block]]) with the content they point to,
+ * recursively up to maxDepth levels. Embeds that would repeat a note part already being expanded,
+ * unresolved embeds and attachments like images are removed.
+ * @param {string} text - Raw markdown
+ * @param {string} filename - File the text belongs to (for ![[#Heading]] embeds)
+ * @param {VaultFiles} vault
+ * @param {number} maxDepth
+ * @param {string[]} [stack] - Note parts being expanded, as filename#subpath
+ * @returns {{ text: string, embeds: string[] }} Expanded text and the normalized targets of every embed it went through
+ */
+function expandEmbeds(text, filename, vault, maxDepth, stack = [filename]) {
+    const embeds = new Set();
+    const expanded = text.replace(/!\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|[^\]]*)?\]\]/g, (_match, rawTarget, subpath = '') => {
+        const target = rawTarget.trim();
+        if (/\.(?!md$)\w+$/i.test(target)) return '';
+        if (target) embeds.add(normalizeNoteTarget(target));
+
+        const source = target ? vault.names.get(normalizeNoteTarget(target)) : filename;
+        const ref = subpath ? `${source}#${subpath}` : source;
+        if (!source || stack.includes(ref) || stack.length > maxDepth) return '';
+
+        const raw = vault.files.get(source);
+        const part = raw === undefined ? null : extractEmbedPart(parseFrontmatter(raw).body, subpath);
+        if (part === null) return '';
+
+        const inner = expandEmbeds(part, source, vault, maxDepth, [...stack, ref]);
+        inner.embeds.forEach(e => embeds.add(e));
+        return inner.text.trim();
+    });
+    return { text: expanded, embeds: [...embeds] };
+}
+
+/**
+ * Filenames of indexed notes that embed one of the given files, directly or through other embeds.
+ * @param {VaultEntry[]} entries
+ * @param {Iterable<string>} filenames - Changed or deleted files
+ * @returns {Set<string>}
+ */
+function findEmbeddingFiles(entries, filenames) {
+    const targets = new Set();
+    for (const filename of filenames) {
+        const path = normalizeNoteTarget(filename);
+        targets.add(path);
+        targets.add(path.split('/').pop());
+    }
+    return new Set(entries.filter(e => e.embeds.some(t => targets.has(t))).map(e => e.filename));
+}
+
+/**
+ * Get the compact version of an entry: the `summary` frontmatter field, or else its first paragraph.
+ * @param {*} summaryField - The summary frontmatter value
+ * @param {string} content - Cleaned entry content
+ * @returns {string} '' when the entry has no summary shorter than its content
+ */
+function extractSummary(summaryField, content) {
+    if (typeof summaryField === 'string' && summaryField.trim()) {
+        return cleanContent(summaryField);
+    }
+    const paragraphs = content.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    const first = paragraphs.find(p => !/^#{1,6}\s/.test(p)) || '';
+    return first.length < content.length && paragraphs.length > 1 ? first : '';
+}
+
 /**
  * Extract title from markdown content.
  * @param {string} body - Markdown body
@@ -214,134 +848,1401 @@ function extractTitle(body, filename) {
 }
 
 /**
- * Build the vault index by fetching all files from the server plugin.
+ * Read a frontmatter message count (sticky, cooldown, delay).
+ * @param {*} value
+ * @returns {number} Non-negative integer, 0 when missing or invalid
  */
-async function buildIndex() {
-    const settings = getSettings();
-
-    if (indexing) {
-        console.debug('[DeepLore] Index build already in progress');
-        return;
-    }
+function toMessageCount(value) {
+    return typeof value === 'number' && value > 0 ? Math.round(value) : 0;
+}
 
-    indexing = true;
+/** Frontmatter names for injection positions (values are extension_prompt_types) */
+const POSITION_NAMES = {
+    after: 0,
+    depth: 1,
+    'in-chat': 1,
+    before: 2,
+};
 
-    try {
-        const response = await fetch(`${PLUGIN_BASE}/index`, {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({
-                port: settings.obsidianPort,
-                apiKey: settings.obsidianApiKey,
-            }),
-        });
+/** Frontmatter names for in-chat roles (values are extension_prompt_roles) */
+const ROLE_NAMES = {
+    system: 0,
+    user: 1,
+    assistant: 2,
+};
 
-        if (!response.ok) {
-            throw new Error(`Server plugin returned HTTP ${response.status}`);
-        }
+/**
+ * Read the frontmatter position override. A depth without a position implies in-chat.
+ * @param {*} position - before, after, or depth
+ * @param {*} depth
+ * @returns {number|null} extension_prompt_types value, or null to use the global setting
+ */
+function parseInjectionPosition(position, depth) {
+    const name = String(position ?? '').trim().toLowerCase();
+    if (name in POSITION_NAMES) {
+        return POSITION_NAMES[name];
+    }
+    return typeof depth === 'number' && depth >= 0 ? POSITION_NAMES.depth : null;
+}
 
-        const data = await response.json();
+/**
+ * Read the frontmatter role override.
+ * @param {*} role - system, user, or assistant
+ * @returns {number|null} extension_prompt_roles value, or null to use the global setting
+ */
+function parseInjectionRole(role) {
+    const name = String(role ?? '').trim().toLowerCase();
+    return name in ROLE_NAMES ? ROLE_NAMES[name] : null;
+}
 
-        if (!data.files || !Array.isArray(data.files)) {
-            throw new Error('Invalid response from server plugin');
+/**
+ * Extract inline #tags from a note body, ignoring code blocks, inline code and headings.
+ * Nested tags like #lorebook/characters are kept whole.
+ * @param {string} body - Markdown body (frontmatter already stripped)
+ * @returns {string[]} Lowercased tags without the leading #
+ */
+function extractInlineTags(body) {
+    const text = body
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/`[^`\n]*`/g, '');
+    const tags = new Set();
+    for (const match of text.matchAll(/(?:^|[\s(])#([\p{L}\p{N}_\-/]+)/gu)) {
+        const tag = match[1].replace(/\/+$/, '').toLowerCase();
+        // Obsidian tags need at least one non-numeric character
+        if (/[^\d/]/.test(tag)) {
+            tags.add(tag);
         }
+    }
+    return [...tags];
+}
 
-        const entries = [];
-        const tagToMatch = settings.lorebookTag.toLowerCase();
-        const constantTagToMatch = settings.constantTag ? settings.constantTag.toLowerCase() : '';
-        const neverInsertTagToMatch = settings.neverInsertTag ? settings.neverInsertTag.toLowerCase() : '';
-
-        for (const file of data.files) {
-            const { frontmatter, body } = parseFrontmatter(file.content);
-
-            // Check if this file has the lorebook tag
-            const tags = Array.isArray(frontmatter.tags)
-                ? frontmatter.tags.map(t => String(t).toLowerCase())
-                : [];
-
-            if (!tags.includes(tagToMatch)) {
-                continue;
-            }
+/**
+ * Check whether a tag list contains a tag, counting nested tags (lorebook/characters) as lorebook.
+ * @param {string[]} tags - Lowercased tags
+ * @param {string} tag - Lowercased tag to look for
+ * @returns {boolean}
+ */
+function hasTag(tags, tag) {
+    return tags.some(t => t === tag || t.startsWith(tag + '/'));
+}
 
-            // Skip entries explicitly disabled via frontmatter
-            if (frontmatter.enabled === false) {
-                continue;
-            }
+/**
+ * Settings that shape how a vault's files become entries. When any of these change,
+ * the vault's entries have to be rebuilt from scratch rather than patched.
+ * @param {typeof defaultSettings} settings
+ * @param {VaultConnection} vault
+ * @returns {string}
+ */
+function getIndexSignature(settings, vault) {
+    return JSON.stringify([
+        vault.protocol,
+        vault.host,
+        vault.port,
+        vault.name,
+        vault.lorebookTag,
+        vault.constantTag,
+        vault.neverInsertTag,
+        settings.inlineTags,
+        settings.aliasesAsKeys,
+        settings.titleAsKey,
+        settings.splitSections,
+        settings.resolveEmbeds,
+        settings.maxEmbedDepth,
+        getCleanRules(settings),
+    ]);
+}
 
-            // Skip entries with the never-insert tag
-            if (neverInsertTagToMatch && tags.includes(neverInsertTagToMatch)) {
+/**
+ * Split a note body into sections at H2 and H3 headings. Headings inside code fences don't count.
+ * @param {string} body - Markdown body (frontmatter stripped)
+ * @returns {{ headings: string[], path: string[], text: string }[]} The first section is the text before the first
+ *   H2/H3 (headings []). headings is the H2/H3 trail of a section, path the full trail including the H1.
+ */
+function splitSections(body) {
+    const sections = [{ headings: [], path: [], lines: [] }];
+    const trail = [];
+    let inFence = false;
+
+    for (const line of body.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const match = !inFence && line.match(/^(#{1,3})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (match) {
+            const level = match[1].length;
+            trail.length = level - 1;
+            trail[level - 1] = match[2];
+            if (level > 1) {
+                sections.push({ headings: trail.slice(1).filter(Boolean), path: trail.filter(Boolean), lines: [] });
                 continue;
             }
-
-            // Extract keys
-            const keys = Array.isArray(frontmatter.keys)
-                ? frontmatter.keys.map(k => String(k))
-                : [];
-
-            const title = extractTitle(body, file.filename);
-            const content = cleanContent(body);
-            const priority = typeof frontmatter.priority === 'number' ? frontmatter.priority : 100;
-            const constant = frontmatter.constant === true || (constantTagToMatch && tags.includes(constantTagToMatch));
-            const scanDepth = typeof frontmatter.scanDepth === 'number' ? frontmatter.scanDepth : null;
-            const excludeRecursion = frontmatter.excludeRecursion === true;
-
-            entries.push({
-                filename: file.filename,
-                title,
-                keys,
-                content,
-                priority,
-                constant,
-                tokenEstimate: 0,
-                scanDepth,
-                excludeRecursion,
-            });
         }
+        sections[sections.length - 1].lines.push(line);
+    }
 
-        // Compute accurate token counts using SillyTavern's tokenizer
-        await Promise.all(entries.map(async (entry) => {
-            try {
-                entry.tokenEstimate = await getTokenCountAsync(entry.content);
-            } catch {
-                // Fallback to rough estimate if tokenizer unavailable
-                entry.tokenEstimate = Math.ceil(entry.content.length / 3.5);
-            }
-        }));
+    return sections.map(({ headings, path, lines }) => ({ headings, path, text: lines.join('\n') }));
+}
 
-        vaultIndex = entries;
-        indexTimestamp = Date.now();
+/** Fields a section can declare in an inline block (`keys:: a, b`) right under its heading */
+const SECTION_FIELDS = ['keys', 'secondaryKeys', 'logic'];
 
-        console.log(`[DeepLore] Indexed ${entries.length} entries from ${data.total} vault files`);
-        updateIndexStats();
-    } catch (err) {
-        console.error('[DeepLore] Failed to build index:', err);
-        toastr.error(String(err), 'DeepLore', { preventDuplicates: true });
-    } finally {
-        indexing = false;
+/**
+ * Read the inline field block at the top of a section.
+ * @param {string} text - Section text without its heading
+ * @returns {{ fields: Object<string, string>, text: string }} The fields, and the text with the block removed
+ */
+function parseSectionFields(text) {
+    const lines = text.split('\n');
+    const fields = {};
+    let i = 0;
+    while (i < lines.length && !lines[i].trim()) i++;
+    for (; i < lines.length; i++) {
+        const match = lines[i].match(/^\s*(\w+)::\s*(.*)$/);
+        if (!match || !SECTION_FIELDS.includes(match[1])) break;
+        fields[match[1]] = match[2].trim();
     }
+    return { fields, text: lines.slice(i).join('\n') };
 }
 
 /**
- * Get the max response token length from the current connection profile.
- * @returns {number}
+ * Turn a note into one entry per section. The text before the first H2/H3 keeps the note's own
+ * title and keys. Each section uses the keys from its inline block, or else the note's keys with
+ * the heading as a secondary key, so it only triggers when the chat also mentions that topic.
+ * @param {VaultEntry} note - Entry for the whole note
+ * @param {string} body - Markdown body (frontmatter stripped)
+ * @param {*} summaryField - The summary frontmatter value, used for the text before the first section
+ * @param {object} [options]
+ * @param {(text: string) => { text: string, embeds: string[] }} [options.expand] - Embed resolver for section text
+ * @param {CleanRules} [options.rules] - Content cleaning rules; sections under removed headings are dropped
+ * @returns {VaultEntry[]}
  */
-function getMaxResponseTokens() {
-    return main_api === 'openai' ? oai_settings.openai_max_tokens : amount_gen;
+function buildSectionEntries(note, body, summaryField, { expand = text => ({ text, embeds: [] }), rules = {} } = {}) {
+    const entries = [];
+    const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
+
+    for (const section of splitSections(body)) {
+        if (section.headings.some(h => rules.sections?.includes(h.toLowerCase()))) continue;
+        const { fields, text } = parseSectionFields(section.text);
+        const expanded = expand(text);
+        const content = cleanContent(expanded.text, rules);
+        if (!content) continue;
+
+        if (section.headings.length === 0) {
+            entries.push({ ...note, content, summary: extractSummary(summaryField, content), links: extractWikiLinks(removeHiddenContent(text, rules)), embeds: expanded.embeds });
+            continue;
+        }
+
+        const heading = section.headings[section.headings.length - 1];
+        let id = `${note.id}#${section.headings.join('#')}`;
+        for (let n = 2; entries.some(e => e.id === id); n++) {
+            id = `${note.id}#${section.headings.join('#')}~${n}`;
+        }
+        entries.push({
+            ...note,
+            id,
+            title: `${note.title} › ${section.headings.join(' › ')}`,
+            headingPath: section.path,
+            keys: fields.keys ? list(fields.keys) : note.keys,
+            secondaryKeys: fields.secondaryKeys ? list(fields.secondaryKeys) : fields.keys ? [] : [heading],
+            selectiveLogic: normalizeSelectiveLogic(fields.logic),
+            content,
+            summary: extractSummary(undefined, content),
+            links: extractWikiLinks(removeHiddenContent(text, rules)),
+            embeds: expanded.embeds,
+        });
+    }
+    return entries;
 }
 
 /**
- * Ensure the vault index is fresh, rebuilding if cache has expired.
+ * Turn a vault file into index entries: one for the note, or one per section when it is split.
+ * @param {{ filename: string, content: string }} file
+ * @param {typeof defaultSettings} settings
+ * @param {VaultConnection} connection - Vault the file belongs to
+ * @param {VaultFiles} [vault] - The whole vault, for resolving embeds (without it, embeds are removed)
+ * @returns {{ entries: VaultEntry[], error: string|null }} entries is empty if the file is not a lorebook note;
+ *   a disabled note is one entry flagged `disabled`, never split into sections
+ */
+function parseVaultFile(file, settings, connection, vault) {
+    const tagToMatch = connection.lorebookTag.toLowerCase();
+    const constantTagToMatch = connection.constantTag ? connection.constantTag.toLowerCase() : '';
+    const neverInsertTagToMatch = connection.neverInsertTag ? connection.neverInsertTag.toLowerCase() : '';
+
+    const { frontmatter, body, error } = parseFrontmatter(file.content);
+
+    if (error) {
+        return { entries: [], error };
+    }
+
+    // Check if this file has the lorebook tag, in frontmatter or inline in the body
+    const tags = toStringArray(frontmatter.tags).map(t => t.replace(/^#/, '').toLowerCase());
+    if (settings.inlineTags) {
+        tags.push(...extractInlineTags(body));
+    }
+
+    if (!hasTag(tags, tagToMatch)) {
+        return { entries: [], error: null };
+    }
+
+    // Disabled via frontmatter or the never-insert tag: indexed, but never matched
+    const disabled = frontmatter.enabled === false || Boolean(neverInsertTagToMatch && hasTag(tags, neverInsertTagToMatch));
+
+    const title = extractTitle(body, file.filename);
+    const keys = toStringArray(frontmatter.keys);
+    if (settings.aliasesAsKeys) {
+        keys.push(...toStringArray(frontmatter.aliases ?? frontmatter.alias));
+    }
+    if (settings.titleAsKey) {
+        keys.push(title, file.filename.split('/').pop().replace(/\.md$/, ''));
+    }
+
+    const expand = text => settings.resolveEmbeds && vault
+        ? expandEmbeds(text, file.filename, vault, settings.maxEmbedDepth)
+        : { text, embeds: [] };
+    const rules = getCleanRules(settings);
+    const expanded = expand(body);
+    const content = cleanContent(expanded.text, rules);
+    const entry = {
+        id: `${connection.id}:${file.filename}`,
+        vault: connection.id,
+        vaultName: connection.name,
+        filename: file.filename,
+        title,
+        headingPath: [],
+        keys: [...new Set(keys)],
+        secondaryKeys: toStringArray(frontmatter.secondaryKeys),
+        selectiveLogic: normalizeSelectiveLogic(frontmatter.logic),
+        content,
+        priority: typeof frontmatter.priority === 'number' ? frontmatter.priority : 100,
+        constant: frontmatter.constant === true || Boolean(constantTagToMatch && hasTag(tags, constantTagToMatch)),
+        tokenEstimate: 0,
+        summary: extractSummary(frontmatter.summary, content),
+        summaryTokenEstimate: 0,
+        scanDepth: typeof frontmatter.scanDepth === 'number' ? frontmatter.scanDepth : null,
+        excludeRecursion: frontmatter.excludeRecursion === true,
+        tags,
+        characters: toStringArray(frontmatter.characters),
+        excludeCharacters: toStringArray(frontmatter.excludeCharacters),
+        sticky: toMessageCount(frontmatter.sticky),
+        cooldown: toMessageCount(frontmatter.cooldown),
+        delay: toMessageCount(frontmatter.delay),
+        injectionPosition: parseInjectionPosition(frontmatter.position, frontmatter.depth),
+        injectionDepth: typeof frontmatter.depth === 'number' && frontmatter.depth >= 0 ? Math.round(frontmatter.depth) : null,
+        injectionRole: parseInjectionRole(frontmatter.role),
+        groups: toStringArray(frontmatter.group).flatMap(g => g.split(',')).map(g => g.trim()).filter(Boolean),
+        groupWeight: typeof frontmatter.groupWeight === 'number' && frontmatter.groupWeight >= 0 ? frontmatter.groupWeight : 100,
+        groupOverride: frontmatter.groupOverride === true,
+        probability: typeof frontmatter.probability === 'number' ? Math.max(0, Math.min(100, frontmatter.probability)) : 100,
+        links: extractWikiLinks(removeHiddenContent(body, rules)),
+        embeds: expanded.embeds,
+        disabled,
+    };
+
+    const split = typeof frontmatter.splitSections === 'boolean' ? frontmatter.splitSections : settings.splitSections;
+    if (split && !disabled) {
+        return { entries: buildSectionEntries(entry, body, frontmatter.summary, { expand, rules }), error: null };
+    }
+    return { entries: [entry], error: null };
+}
+
+/**
+ * Parse files of a vault into entries, resolving embeds against that whole vault.
+ * @param {VaultConnection} connection
+ * @param {Iterable<string>} filenames - Files in the vault's state
+ * @param {typeof defaultSettings} settings
+ * @returns {{ entries: VaultEntry[], errors: Map<string, string> }} New entries and frontmatter errors by filename
+ */
+function parseFiles(connection, filenames, settings) {
+    const { files } = getVaultState(connection.id);
+    const vault = createVaultFiles(files);
+    const entries = [];
+    const errors = new Map();
+    for (const filename of filenames) {
+        const { entries: fileEntries, error } = parseVaultFile({ filename, content: files.get(filename) }, settings, connection, vault);
+        entries.push(...fileEntries);
+        if (error) {
+            errors.set(filename, error);
+            if (settings.debugMode) {
+                console.warn(`[DeepLore] Invalid frontmatter in "${connection.name}/${filename}": ${error}`);
+            }
+        }
+    }
+    return { entries, errors };
+}
+
+/**
+ * Merge the entries of several vaults. When vaults share a title, the vault listed first
+ * keeps it: copies from later vaults are dropped, or with the 'all' rule kept with the
+ * vault name added to their title. Duplicates within one vault are kept as they are.
+ * @param {{ vault: VaultConnection, entries: VaultEntry[] }[]} vaults - In settings order
+ * @param {string} rule - 'first' or 'all'
+ * @returns {{ entries: VaultEntry[], duplicates: VaultEntry[] }} Merged entries, and the later copies of shared titles
+ */
+function mergeVaultEntries(vaults, rule) {
+    /** @type {Map<string, string>} lowercased title -> id of the first vault using it */
+    const owners = new Map();
+    const entries = [];
+    const duplicates = [];
+
+    for (const { vault, entries: vaultEntries } of vaults) {
+        for (const entry of vaultEntries) {
+            const title = entry.title.toLowerCase();
+            if (!owners.has(title)) {
+                owners.set(title, vault.id);
+            }
+            if (owners.get(title) === vault.id) {
+                entries.push(entry);
+                continue;
+            }
+            duplicates.push(entry);
+            if (rule === 'all') {
+                entries.push({ ...entry, title: `${entry.title} (${vault.name})` });
+            }
+        }
+    }
+    return { entries, duplicates };
+}
+
+/**
+ * Rebuild vaultIndex from the entries of the enabled vaults.
+ * @param {typeof defaultSettings} settings
+ */
+function mergeVaultIndexes(settings) {
+    const vaults = settings.vaults
+        .filter(vault => vault.enabled && vaultStates.has(vault.id))
+        .map(vault => ({ vault, entries: vaultStates.get(vault.id).entries }));
+    // Disabled entries don't claim their title from entries of later vaults
+    const merged = mergeVaultEntries(vaults.map(({ vault, entries }) => ({ vault, entries: entries.filter(e => !e.disabled) })), settings.duplicateTitles);
+    vaultIndex = merged.entries;
+    duplicateEntries = merged.duplicates;
+    disabledEntries = vaults.flatMap(({ entries }) => entries.filter(e => e.disabled));
+}
+
+/**
+ * Rebuild the lookup structures derived from vaultIndex. Call after every index change.
+ */
+function rebuildDerivedIndexes() {
+    linkGraph = buildLinkGraph(vaultIndex);
+    relevanceIndex = buildBm25Index(vaultIndex.map(entry => ({
+        id: entry.id,
+        text: `${entry.title}\n${entry.keys.join(' ')}\n${entry.content}`,
+    })));
+}
+
+/**
+ * Compute accurate token counts using SillyTavern's tokenizer.
+ * @param {VaultEntry[]} entries
+ */
+async function computeTokenEstimates(entries) {
+    const count = async (text) => {
+        if (!text) return 0;
+        try {
+            return await getTokenCountAsync(text);
+        } catch {
+            // Fallback to rough estimate if tokenizer unavailable
+            return Math.ceil(text.length / 3.5);
+        }
+    };
+    await Promise.all(entries.map(async (entry) => {
+        entry.tokenEstimate = await count(entry.content);
+        entry.summaryTokenEstimate = await count(entry.summary);
+    }));
+}
+
+/**
+ * Point entries parsed in another session at a local vault connection. The server cache is
+ * shared, and other sessions may know the same vault under another id or name.
+ * @param {VaultEntry[]} entries
+ * @param {VaultConnection} vault
+ * @returns {VaultEntry[]}
+ */
+function rebindEntries(entries, vault) {
+    return entries.map(entry => ({
+        ...entry,
+        id: `${vault.id}${entry.id.slice(entry.vault.length)}`,
+        vault: vault.id,
+        vaultName: vault.name,
+    }));
+}
+
+/**
+ * Load a vault's parsed index from the server plugin's cache, which any tab or session
+ * syncing the same vault with the same settings keeps up to date.
+ * @param {VaultConnection} vault
+ * @param {string} signature - Settings the index must have been parsed with
+ * @returns {Promise<{ state: VaultState, age: number, partial: boolean }|null>} The cached state, its age in ms and
+ *   whether notes were left out of it, or null on a miss
+ */
+async function fetchCachedIndex(vault, signature) {
+    try {
+        const response = await fetch(`${PLUGIN_BASE}/cache/get`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ...getConnectionPayload(vault), signature }),
+        });
+        if (!response.ok) return null;
+        const data = await response.json();
+        if (!data.found) return null;
+        const { index } = data;
+        return {
+            age: data.age,
+            partial: Boolean(data.partial),
+            state: {
+                entries: rebindEntries(index.entries, vault),
+                files: new Map(Object.entries(index.files)),
+                errors: new Map(Object.entries(index.errors)),
+                syncToken: data.syncToken,
+                signature,
+                total: index.total,
+                lastSync: Date.now() - data.age,
+                error: null,
+                failures: 0,
+                retryAt: 0,
+            },
+        };
+    } catch (err) {
+        console.warn(`[DeepLore] Could not read the cached index of vault "${vault.name}":`, err);
+        return null;
+    }
+}
+
+/**
+ * Send the notes parsed by a sync to the server plugin's cache. Only the parsed entries of the
+ * touched notes are sent; the server has its own copy of the notes themselves.
+ * @param {VaultConnection} vault
+ * @param {VaultState} state - State after the sync
+ * @param {{ full: boolean, touched: Iterable<string>, entries: VaultEntry[], errors: Map<string, string>, written?: boolean }} update -
+ *   Notes parsed by the sync, with their entries and errors. `written` marks notes just written through
+ *   /create or /append, which the server versions itself.
+ */
+async function saveCachedIndex(vault, state, { full, touched, entries, errors, written = false }) {
+    const notes = {};
+    const removed = [];
+    for (const filename of touched) {
+        if (state.files.has(filename)) {
+            notes[filename] = { entries: [], error: errors.get(filename) ?? null };
+        } else {
+            removed.push(filename);
+        }
+    }
+    for (const entry of entries) {
+        notes[entry.filename]?.entries.push(entry);
+    }
+    try {
+        const response = await fetch(`${PLUGIN_BASE}/cache/put`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                ...getConnectionPayload(vault),
+                signature: state.signature,
+                syncToken: state.syncToken,
+                written,
+                full,
+                total: state.total,
+                notes,
+                removed,
+            }),
+        });
+        if (!response.ok) {
+            throw new Error(`Server plugin returned HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data.ok) {
+            console.debug(`[DeepLore] Server cache of vault "${vault.name}" not updated: ${data.error}`);
+        }
+    } catch (err) {
+        console.warn(`[DeepLore] Could not cache the index of vault "${vault.name}":`, err);
+    }
+}
+
+/**
+ * Drop the server plugin's cached indexes of every enabled vault, so the next sync
+ * rebuilds them from Obsidian.
+ */
+async function clearServerIndexCache() {
+    for (const vault of getSettings().vaults.filter(v => v.enabled)) {
+        try {
+            await fetch(`${PLUGIN_BASE}/cache/refresh`, {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify(getConnectionPayload(vault)),
+            });
+        } catch (err) {
+            console.warn(`[DeepLore] Could not clear the cached index of vault "${vault.name}":`, err);
+        }
+    }
+}
+
+/**
+ * Sync one vault's entries from the server plugin.
+ * After the first sync, only notes changed since the last one are fetched,
+ * and the vault's entries are patched in place. A session without the vault's
+ * entries (e.g. after a page reload) starts from the server plugin's cached index.
+ * @param {VaultConnection} vault
+ * @param {typeof defaultSettings} settings
+ */
+async function syncVault(vault, settings) {
+    const state = getVaultState(vault.id);
+    const signature = getIndexSignature(settings, vault);
+
+    if (!state.syncToken || signature !== state.signature) {
+        const cached = await fetchCachedIndex(vault, signature);
+        if (cached) {
+            Object.assign(state, cached.state);
+            const ttlMs = settings.cacheTTL * 1000;
+            if (!cached.partial && (ttlMs === 0 || cached.age < ttlMs)) {
+                console.log(`[DeepLore] Loaded ${state.entries.length} entries of vault "${vault.name}" from the server cache`);
+                return;
+            }
+        }
+    }
+    const incremental = Boolean(state.syncToken) && signature === state.signature;
+
+    const response = await fetch(`${PLUGIN_BASE}/index`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ...getConnectionPayload(vault),
+            syncToken: incremental ? state.syncToken : null,
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Server plugin returned HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.files || !Array.isArray(data.files)) {
+        throw new Error('Invalid response from server plugin');
+    }
+
+    if (data.full) {
+        state.files = new Map();
+    }
+    for (const filename of data.deleted || []) {
+        state.files.delete(filename);
+    }
+    for (const file of data.files) {
+        state.files.set(file.filename, file.content);
+    }
+
+    // Notes embedding a changed or deleted note need re-expanding too
+    const touched = new Set([...data.files.map(f => f.filename), ...(data.deleted || [])]);
+    if (!data.full) {
+        for (const filename of findEmbeddingFiles(state.entries, touched)) {
+            if (state.files.has(filename)) touched.add(filename);
+        }
+    }
+    const { entries: changedEntries, errors: changedErrors } = parseFiles(vault, [...touched].filter(f => state.files.has(f)), settings);
+
+    // Only new and changed entries need tokenizing
+    await computeTokenEstimates(changedEntries);
+
+    if (data.full) {
+        state.entries = changedEntries;
+        state.errors = changedErrors;
+    } else {
+        state.entries = state.entries.filter(e => !touched.has(e.filename)).concat(changedEntries);
+        for (const filename of touched) {
+            state.errors.delete(filename);
+        }
+        for (const [filename, error] of changedErrors) {
+            state.errors.set(filename, error);
+        }
+    }
+
+    if (state.errors.size > 0) {
+        console.warn(`[DeepLore] ${state.errors.size} files in vault "${vault.name}" have invalid frontmatter and were skipped`);
+    }
+
+    state.syncToken = data.syncToken || null;
+    state.signature = signature;
+    state.total = data.total;
+    state.lastSync = Date.now();
+    state.error = null;
+    state.failures = 0;
+    state.retryAt = 0;
+
+    if (data.full) {
+        console.log(`[DeepLore] Indexed ${state.entries.length} entries from ${data.total} files in vault "${vault.name}"`);
+    } else {
+        console.log(`[DeepLore] Synced ${data.files.length} changed and ${(data.deleted || []).length} deleted files, ${state.entries.length} entries from ${data.total} files in vault "${vault.name}"`);
+    }
+
+    if (data.full || data.files.length > 0 || (data.deleted || []).length > 0) {
+        await saveCachedIndex(vault, state, { full: data.full, touched, entries: changedEntries, errors: changedErrors });
+        if (data.full) {
+            await saveOfflineSnapshot(vault, state);
+        } else {
+            scheduleOfflineSnapshot(vault);
+        }
+    }
+}
+
+// ============================================================================
+// Offline Fallback
+// ============================================================================
+
+/** First wait before retrying a vault that failed to sync; doubles with every failure */
+const SYNC_RETRY_BASE_MS = 30 * 1000;
+/** Longest wait between retries */
+const SYNC_RETRY_MAX_MS = 15 * 60 * 1000;
+
+/** Last good index of every vault, kept in the browser for when Obsidian or the server plugin is down */
+const offlineStore = localforage.createInstance({ name: 'DeepLore', storeName: 'vault_index' });
+
+/** Wait after a change before saving the offline copy, so a burst of live updates is saved once */
+const OFFLINE_SNAPSHOT_DELAY_MS = 30 * 1000;
+
+/** @type {Map<string, ReturnType<typeof setTimeout>>} vault id -> pending save of its offline copy */
+const pendingOfflineSnapshots = new Map();
+
+/**
+ * How long to wait before retrying a vault after failed syncs.
+ * @param {number} failures - Failed syncs in a row (at least 1)
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(failures) {
+    return Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * Run a callback after a delay, unless a run is already pending for the key. The pending
+ * run stands in for every call until it fires.
+ * @param {Map<string, ReturnType<typeof setTimeout>>} pending - key -> timer of the pending run
+ * @param {string} key
+ * @param {number} delay - Milliseconds
+ * @param {() => void} callback
+ */
+function scheduleOnce(pending, key, delay, callback) {
+    if (pending.has(key)) return;
+    pending.set(key, setTimeout(() => {
+        pending.delete(key);
+        callback();
+    }, delay));
+}
+
+/**
+ * The offline copy of a vault: its parsed entries only. Raw notes are left out, since the
+ * copy is only injected from and the first sync after restoring it is a full one.
+ * @param {VaultState} state
+ * @returns {{ signature: string, lastSync: number, total: number, entries: VaultEntry[], errors: Object<string, string> }}
+ */
+function buildOfflineSnapshot(state) {
+    return {
+        signature: state.signature,
+        lastSync: state.lastSync,
+        total: state.total,
+        entries: state.entries,
+        errors: Object.fromEntries(state.errors),
+    };
+}
+
+/**
+ * Save a vault's offline copy to the browser's IndexedDB.
+ * @param {VaultConnection} vault
+ * @param {VaultState} state
+ */
+async function saveOfflineSnapshot(vault, state) {
+    try {
+        await offlineStore.setItem(vault.id, buildOfflineSnapshot(state));
+    } catch (err) {
+        console.warn(`[DeepLore] Could not save the offline copy of vault "${vault.name}":`, err);
+    }
+}
+
+/**
+ * Save a vault's offline copy after OFFLINE_SNAPSHOT_DELAY_MS, once for all changes until then.
+ * The copy is taken when the timer fires, so it holds the latest entries.
+ * @param {VaultConnection} vault
+ */
+function scheduleOfflineSnapshot(vault) {
+    scheduleOnce(pendingOfflineSnapshots, vault.id, OFFLINE_SNAPSHOT_DELAY_MS, () => {
+        const state = vaultStates.get(vault.id);
+        if (state?.lastSync) {
+            saveOfflineSnapshot(vault, state);
+        }
+    });
+}
+
+/**
+ * Delete a vault's offline copy, and any pending save of it.
+ * @param {string} vaultId
+ */
+async function deleteOfflineSnapshot(vaultId) {
+    clearTimeout(pendingOfflineSnapshots.get(vaultId));
+    pendingOfflineSnapshots.delete(vaultId);
+    await offlineStore.removeItem(vaultId);
+}
+
+/**
+ * Load a vault's last good index from IndexedDB into its state. The snapshot is used
+ * even if it was parsed with other settings: stale lore beats no lore.
+ * @param {VaultConnection} vault
+ * @param {VaultState} state
+ * @returns {Promise<boolean>} Whether a snapshot was loaded
+ */
+async function restoreOfflineSnapshot(vault, state) {
+    try {
+        const snapshot = await offlineStore.getItem(vault.id);
+        if (!snapshot) return false;
+        Object.assign(state, {
+            entries: rebindEntries(snapshot.entries, vault),
+            files: new Map(),
+            errors: new Map(Object.entries(snapshot.errors)),
+            syncToken: null,
+            signature: snapshot.signature,
+            total: snapshot.total,
+            lastSync: snapshot.lastSync,
+        });
+        console.log(`[DeepLore] Using the offline copy of vault "${vault.name}" from ${new Date(snapshot.lastSync).toLocaleString()}`);
+        return true;
+    } catch (err) {
+        console.warn(`[DeepLore] Could not read the offline copy of vault "${vault.name}":`, err);
+        return false;
+    }
+}
+
+/**
+ * Record a failed sync: fall back to the offline copy if the vault has no entries yet,
+ * and back off before the next attempt. Only the first failure in a row shows a toast.
+ * @param {VaultConnection} vault
+ * @param {Error} err
+ */
+async function handleSyncFailure(vault, err) {
+    const state = getVaultState(vault.id);
+    if (state.lastSync === 0) {
+        await restoreOfflineSnapshot(vault, state);
+    }
+    state.error = String(err.message || err);
+    state.failures++;
+    state.retryAt = Date.now() + getRetryDelay(state.failures);
+    console.error(`[DeepLore] Failed to sync vault "${vault.name}" (retrying in ${Math.round(getRetryDelay(state.failures) / 1000)}s):`, err);
+    if (state.failures === 1) {
+        const fallback = state.lastSync ? `, using the index from ${new Date(state.lastSync).toLocaleString()}` : '';
+        toastr.error(`${vault.name}: ${state.error}${fallback}`, 'DeepLore', { preventDuplicates: true });
+    }
+}
+
+/**
+ * Build the vault index from every enabled vault and merge the results.
+ * A vault that fails to sync keeps the entries from its last successful sync.
+ */
+async function buildIndex() {
+    const settings = getSettings();
+
+    if (indexing) {
+        console.debug('[DeepLore] Index build already in progress');
+        return;
+    }
+
+    indexing = true;
+
+    try {
+        const vaults = settings.vaults.filter(v => v.enabled);
+
+        // Forget vaults that were removed or disabled
+        for (const id of [...vaultStates.keys()]) {
+            if (!vaults.some(v => v.id === id)) {
+                vaultStates.delete(id);
+            }
+        }
+
+        for (const vault of vaults) {
+            // Don't hammer a vault that is down; its last good entries stay in use
+            if (getVaultState(vault.id).retryAt > Date.now()) continue;
+            try {
+                await syncVault(vault, settings);
+            } catch (err) {
+                await handleSyncFailure(vault, err);
+            }
+        }
+
+        mergeVaultIndexes(settings);
+        indexTimestamp = Date.now();
+        if (duplicateEntries.length > 0 && settings.debugMode) {
+            console.debug(`[DeepLore] ${duplicateEntries.length} entries share a title with an entry from an earlier vault:`, duplicateEntries.map(e => `${e.vaultName}/${e.filename}`));
+        }
+        rebuildDerivedIndexes();
+        updateIndexStats();
+    } catch (err) {
+        console.error('[DeepLore] Failed to build index:', err);
+        toastr.error(String(err), 'DeepLore', { preventDuplicates: true });
+    } finally {
+        indexing = false;
+        // Pick up vaults and connection settings changed since the streams were opened
+        updateLiveWatches();
+    }
+}
+
+/**
+ * Get the max response token length from the current connection profile.
+ * @returns {number}
+ */
+function getMaxResponseTokens() {
+    return main_api === 'openai' ? oai_settings.openai_max_tokens : amount_gen;
+}
+
+/**
+ * Check whether the index was built from other vaults or parse settings than the current ones.
+ * A vault backing off after a failed sync keeps what it has until its next attempt.
+ * @param {typeof defaultSettings} settings
+ * @param {Map<string, VaultState>} states - Sync state of the vaults in the index
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isIndexOutdated(settings, states, now) {
+    const vaults = settings.vaults.filter(v => v.enabled);
+    if (vaults.length !== states.size) return true;
+    return vaults.some(vault => {
+        const state = states.get(vault.id);
+        return !state || (state.retryAt <= now && state.signature !== getIndexSignature(settings, vault));
+    });
+}
+
+/**
+ * Ensure the vault index is fresh, rebuilding if cache has expired or settings changed.
  */
 async function ensureIndexFresh() {
     const settings = getSettings();
     const ttlMs = settings.cacheTTL * 1000;
     const now = Date.now();
 
-    if (vaultIndex.length === 0 || (ttlMs > 0 && now - indexTimestamp > ttlMs)) {
+    // While live sync is connected, changes arrive as they happen and the TTL doesn't apply,
+    // but vaults or parse settings changed since the last build still need one
+    if (vaultIndex.length === 0
+        || isIndexOutdated(settings, vaultStates, now)
+        || (ttlMs > 0 && now - indexTimestamp > ttlMs && !isLiveSyncConnected())) {
         await buildIndex();
     }
 }
 
+// ============================================================================
+// Live Sync
+// ============================================================================
+
+/** Wait before reconnecting a dropped change notification stream */
+const LIVE_SYNC_RETRY_MS = 10000;
+
+/**
+ * @typedef {object} LiveWatch
+ * @property {string} key - Connection details and interval the stream was opened with
+ * @property {AbortController} controller - Closes the stream
+ * @property {boolean} connected
+ */
+
+/** @type {Map<string, LiveWatch>} vault id -> change notification stream */
+const liveWatches = new Map();
+
+/** @type {Map<string, ReturnType<typeof setTimeout>>} vault id -> timer catching up on changes reported during a full build */
+const pendingLiveChanges = new Map();
+
+/**
+ * Split Server-Sent Events text into complete events and the unfinished remainder.
+ * Comments (heartbeats) are skipped and data must be JSON.
+ * @param {string} buffer - Text received so far
+ * @returns {{ events: { event: string, data: object }[], rest: string }}
+ */
+function parseServerSentEvents(buffer) {
+    const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const events = [];
+    for (const block of blocks) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        }
+        if (data.length === 0) continue;
+        try {
+            events.push({ event, data: JSON.parse(data.join('\n')) });
+        } catch {
+            console.debug('[DeepLore] Ignoring malformed change notification:', block);
+        }
+    }
+    return { events, rest };
+}
+
+/**
+ * Whether every enabled vault has a connected change notification stream.
+ * @returns {boolean}
+ */
+function isLiveSyncConnected() {
+    const vaults = getSettings().vaults.filter(v => v.enabled);
+    return getSettings().liveSync && vaults.length > 0 && vaults.every(v => liveWatches.get(v.id)?.connected);
+}
+
+/**
+ * Patch one vault's entries after the server plugin reported changes. Only the changed
+ * notes (and notes embedding them) are downloaded and re-parsed.
+ * @param {VaultConnection} vault
+ */
+async function applyLiveChange(vault) {
+    if (indexing) {
+        // A full build is running; catch up once it's done. One catch-up covers every change until then.
+        scheduleOnce(pendingLiveChanges, vault.id, 1000, () => applyLiveChange(vault));
+        return;
+    }
+    clearTimeout(pendingLiveChanges.get(vault.id));
+    pendingLiveChanges.delete(vault.id);
+    const settings = getSettings();
+    indexing = true;
+    try {
+        await syncVault(vault, settings);
+        mergeVaultIndexes(settings);
+        rebuildDerivedIndexes();
+        updateIndexStats();
+    } catch (err) {
+        await handleSyncFailure(vault, err);
+    } finally {
+        indexing = false;
+        updateSyncStatus();
+    }
+}
+
+/**
+ * Keep a change notification stream open for a vault, reconnecting when it drops.
+ * @param {VaultConnection} vault
+ * @param {LiveWatch} watch
+ */
+async function runLiveWatch(vault, watch) {
+    const { signal } = watch.controller;
+    while (!signal.aborted) {
+        try {
+            const response = await fetch(`${PLUGIN_BASE}/watch`, {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ ...getConnectionPayload(vault), interval: getSettings().liveSyncInterval }),
+                signal,
+            });
+            if (!response.ok || !response.body) {
+                throw new Error(`Server plugin returned HTTP ${response.status}`);
+            }
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                const { events, rest } = parseServerSentEvents(buffer + value);
+                buffer = rest;
+                for (const { event, data } of events) {
+                    if (event === 'ready') {
+                        watch.connected = true;
+                        // Catch up on anything changed while the stream was closed
+                        await applyLiveChange(vault);
+                    } else if (event === 'change') {
+                        if (getSettings().debugMode) {
+                            console.debug(`[DeepLore] Vault "${vault.name}" changed:`, data);
+                        }
+                        await applyLiveChange(vault);
+                    } else if (event === 'error') {
+                        console.warn(`[DeepLore] Change detection failed for vault "${vault.name}": ${data.error}`);
+                    }
+                }
+            }
+        } catch (err) {
+            if (signal.aborted) break;
+            console.debug(`[DeepLore] Change notifications for vault "${vault.name}" dropped:`, err);
+        }
+        watch.connected = false;
+        updateSyncStatus();
+        if (!signal.aborted) {
+            await new Promise(resolve => setTimeout(resolve, LIVE_SYNC_RETRY_MS));
+        }
+    }
+}
+
+/**
+ * Open or close change notification streams to match the settings: one per enabled
+ * vault while Live Vault Updates is on. Streams whose connection settings changed are reopened.
+ */
+function updateLiveWatches() {
+    const settings = getSettings();
+    const wanted = new Map();
+    if (settings.liveSync) {
+        for (const vault of settings.vaults.filter(v => v.enabled)) {
+            wanted.set(vault.id, { vault, key: JSON.stringify([getConnectionPayload(vault), settings.liveSyncInterval]) });
+        }
+    }
+    for (const [id, watch] of liveWatches) {
+        if (wanted.get(id)?.key !== watch.key) {
+            watch.controller.abort();
+            liveWatches.delete(id);
+            clearTimeout(pendingLiveChanges.get(id));
+            pendingLiveChanges.delete(id);
+        }
+    }
+    for (const [id, { vault, key }] of wanted) {
+        if (liveWatches.has(id)) continue;
+        const watch = { key, controller: new AbortController(), connected: false };
+        liveWatches.set(id, watch);
+        runLiveWatch(vault, watch);
+    }
+    updateSyncStatus();
+}
+
+/**
+ * Show when the index last synced, and whether live updates are connected.
+ */
+function updateSyncStatus() {
+    const el = document.getElementById('deeplore_last_synced');
+    if (!el) return;
+    const lastSync = Math.max(0, ...[...vaultStates.values()].map(state => state.lastSync));
+    const synced = lastSync ? `Last synced ${new Date(lastSync).toLocaleTimeString()}` : 'Not synced yet';
+    let live = '';
+    if (getSettings().liveSync && liveWatches.size > 0) {
+        const connected = [...liveWatches.values()].filter(w => w.connected).length;
+        live = connected === liveWatches.size ? ', live updates on' : `, live updates connecting (${connected}/${liveWatches.size})`;
+    }
+    el.textContent = `${synced}${live}.`;
+
+    const stale = getSettings().vaults
+        .filter(v => v.enabled && vaultStates.get(v.id)?.error)
+        .map(v => {
+            const state = vaultStates.get(v.id);
+            const since = state.lastSync ? `stale since ${new Date(state.lastSync).toLocaleString()}` : 'no entries';
+            return `${v.name}: ${since}`;
+        });
+    $('#deeplore_stale_badge')
+        .text(stale.length > 0 ? `Offline - ${stale.join('; ')}` : '')
+        .attr('title', stale.length > 0 ? 'DeepLore couldn\'t reach these vaults and keeps using their last good index. It retries with growing pauses; Refresh Index retries now.' : '')
+        .toggle(stale.length > 0);
+}
+
+// ============================================================================
+// Scope
+// ============================================================================
+
+/**
+ * @typedef {object} Scope
+ * @property {string[]} names - Active character name, or group member names
+ * @property {string} folder - Only entries inside this vault folder are eligible ('' = any)
+ * @property {string} tag - Only entries with this tag are eligible ('' = any)
+ * @property {string} source - Where the folder/tag binding came from: 'chat', 'character', 'group' or ''
+ */
+
+/**
+ * Get DeepLore's per-chat state stored in the chat metadata.
+ * @returns {object}
+ */
+function getChatState() {
+    if (!chat_metadata.deeplore || typeof chat_metadata.deeplore !== 'object') {
+        chat_metadata.deeplore = {};
+    }
+    return chat_metadata.deeplore;
+}
+
+/**
+ * Key used to store the settings binding for the active character or group.
+ * @returns {string|null} Character avatar, "group:<id>", or null when nothing is selected
+ */
+function getScopeBindingKey() {
+    const context = getContext();
+    if (context.groupId) {
+        return `group:${context.groupId}`;
+    }
+    const character = context.characters[context.characterId];
+    return character ? character.avatar : null;
+}
+
+/**
+ * Normalize a vault folder binding: no leading or trailing slashes.
+ * @param {string} folder
+ * @returns {string}
+ */
+function normalizeFolder(folder) {
+    return String(folder || '').trim().replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Work out which entries are eligible in the current chat.
+ * A folder/tag binding on the chat takes precedence over one on the character or group.
+ * @returns {Scope}
+ */
+function getActiveScope() {
+    const settings = getSettings();
+    const context = getContext();
+    const names = [];
+
+    if (context.groupId) {
+        const group = context.groups.find(g => g.id === context.groupId);
+        for (const avatar of group?.members || []) {
+            const member = context.characters.find(c => c.avatar === avatar);
+            if (member) names.push(member.name);
+        }
+    } else if (context.characters[context.characterId]) {
+        names.push(context.characters[context.characterId].name);
+    }
+
+    const chatBinding = context.chatId ? getChatState().scope : null;
+    const bindingKey = getScopeBindingKey();
+    const characterBinding = bindingKey ? settings.characterScopes[bindingKey] : null;
+
+    let binding = null;
+    let source = '';
+    if (chatBinding && (chatBinding.folder || chatBinding.tag)) {
+        binding = chatBinding;
+        source = 'chat';
+    } else if (characterBinding && (characterBinding.folder || characterBinding.tag)) {
+        binding = characterBinding;
+        source = context.groupId ? 'group' : 'character';
+    }
+
+    return {
+        names,
+        folder: normalizeFolder(binding?.folder),
+        tag: String(binding?.tag || '').trim().replace(/^#/, '').toLowerCase(),
+        source,
+    };
+}
+
+/**
+ * Check whether an entry is eligible in the given scope.
+ * @param {VaultEntry} entry
+ * @param {Scope} scope
+ * @returns {boolean}
+ */
+function isEntryInScope(entry, scope) {
+    const names = scope.names.map(n => n.toLowerCase());
+    const characters = entry.characters || [];
+    const excluded = entry.excludeCharacters || [];
+
+    if (characters.length > 0 && !characters.some(c => names.includes(c.toLowerCase()))) {
+        return false;
+    }
+    if (excluded.some(c => names.includes(c.toLowerCase()))) {
+        return false;
+    }
+    if (scope.folder && !entry.filename.startsWith(scope.folder + '/')) {
+        return false;
+    }
+    if (scope.tag && !hasTag(entry.tags || [], scope.tag)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Describe a scope for status output.
+ * @param {Scope} scope
+ * @returns {string}
+ */
+function describeScope(scope) {
+    const who = scope.names.length > 0 ? scope.names.join(', ') : '(no character)';
+    if (!scope.source) {
+        return `${who}, whole vault`;
+    }
+    const limits = [
+        scope.folder ? `folder "${scope.folder}"` : '',
+        scope.tag ? `tag #${scope.tag}` : '',
+    ].filter(Boolean).join(' + ');
+    return `${who}, ${limits} (${scope.source} binding)`;
+}
+
+// ============================================================================
+// Vault Writing
+// ============================================================================
+
+/** Most recent text the user selected in the chat, used as content by the write commands */
+let lastChatSelection = '';
+
+/**
+ * Make a note title safe to use as a vault filename.
+ * @param {string} title
+ * @returns {string}
+ */
+function sanitizeFilename(title) {
+    return title.replace(/[\\/:*?"<>|#^[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Vault path of a new note: its sanitized title in a folder, without leading or trailing slashes.
+ * @param {string} title
+ * @param {string} folder - '' = the vault root
+ * @returns {string}
+ */
+function getNewNotePath(title, folder) {
+    const filenameBase = sanitizeFilename(title);
+    if (!filenameBase) {
+        throw new Error('A title is required');
+    }
+    const targetFolder = folder.trim().replace(/^\/+|\/+$/g, '');
+    return `${targetFolder ? targetFolder + '/' : ''}${filenameBase}.md`;
+}
+
+/**
+ * Build the markdown for a new lorebook note, with frontmatter and an H1 title.
+ * @param {object} note
+ * @param {string} note.title
+ * @param {string[]} note.tags
+ * @param {string[]} note.keys
+ * @param {number} note.priority
+ * @param {string} note.body
+ * @returns {string}
+ */
+function buildNoteContent({ title, tags, keys, priority, body }) {
+    const frontmatter = yaml.stringify({ tags, keys, priority }).trimEnd();
+    return `---\n${frontmatter}\n---\n\n# ${title}\n\n${body.trim()}\n`;
+}
+
+/**
+ * Send a request to the server plugin for a vault connection.
+ * @param {string} endpoint - Plugin endpoint, e.g. /create
+ * @param {object} payload - Request body (connection details are added)
+ * @param {VaultConnection} vault
+ * @returns {Promise<object>} Parsed response
+ */
+async function pluginRequest(endpoint, payload, vault) {
+    const response = await fetch(`${PLUGIN_BASE}${endpoint}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ...getConnectionPayload(vault),
+            ...payload,
+        }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server plugin returned HTTP ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Re-read a single vault file into the index without a full sync, and update the server
+ * plugin's cache and the offline copy with it.
+ * @param {{ filename: string, content: string }} file
+ * @param {VaultConnection} vault
+ */
+async function upsertIndexFile(file, vault) {
+    const settings = getSettings();
+    const state = getVaultState(vault.id);
+    state.files.set(file.filename, file.content);
+    const touched = findEmbeddingFiles(state.entries, [file.filename]).add(file.filename);
+    const { entries, errors } = parseFiles(vault, touched, settings);
+    await computeTokenEstimates(entries);
+
+    state.entries = state.entries.filter(e => !touched.has(e.filename)).concat(entries);
+    for (const filename of touched) {
+        if (errors.has(filename)) {
+            state.errors.set(filename, errors.get(filename));
+        } else {
+            state.errors.delete(filename);
+        }
+    }
+    mergeVaultIndexes(settings);
+    rebuildDerivedIndexes();
+    updateIndexStats();
+
+    if (state.signature) {
+        await saveCachedIndex(vault, state, { full: false, touched, entries, errors, written: true });
+    }
+    scheduleOfflineSnapshot(vault);
+}
+
+/**
+ * Take the text last selected in the chat, clearing it so it is only used once.
+ * @returns {string}
+ */
+function takeChatSelection() {
+    const text = lastChatSelection;
+    lastChatSelection = '';
+    return text;
+}
+
+/**
+ * Ask the AI to draft note text from the current chat.
+ * @param {string} prompt
+ * @returns {Promise<string>}
+ */
+async function draftWithAI(prompt) {
+    toastr.info('Drafting with AI...', 'DeepLore', { timeOut: 3000 });
+    const text = String(await generateQuietPrompt({ quietPrompt: prompt }) || '').trim();
+    if (!text) {
+        throw new Error('The AI returned an empty draft');
+    }
+    return text;
+}
+
+/**
+ * Find an indexed entry by title, ignoring case.
+ * @param {string} title
+ * @returns {VaultEntry|undefined}
+ */
+function findEntryByTitle(title) {
+    const wanted = title.trim().toLowerCase();
+    return vaultIndex.find(e => e.title.toLowerCase() === wanted);
+}
+
+/**
+ * Create a new lorebook note in the vault and add it to the index.
+ * Content comes from the content argument, the text selected in the chat, or an AI draft.
+ * @param {string} title
+ * @param {object} options
+ * @param {string[]} [options.keys] - Trigger keys (defaults to the title)
+ * @param {number} [options.priority=100]
+ * @param {string} [options.folder] - Vault folder (defaults to the New Entry Folder setting)
+ * @param {string} [options.content]
+ * @param {string} [options.vault] - Vault name (defaults to the first enabled vault)
+ * @returns {Promise<string>} Vault path of the created note
+ */
+async function createEntry(title, { keys, priority = 100, folder, content, vault: vaultName } = {}) {
+    const settings = getSettings();
+    const vault = findVaultConnection(settings, vaultName);
+    const filename = getNewNotePath(title, folder ?? settings.newEntryFolder);
+
+    const body = content
+        || takeChatSelection()
+        || await draftWithAI(`Write a concise lorebook entry about "${title}" using only facts established in the conversation so far. Output only the entry text, without a heading.`);
+
+    const noteContent = buildNoteContent({
+        title: title.trim(),
+        tags: [vault.lorebookTag],
+        keys: keys && keys.length > 0 ? keys : [title.trim()],
+        priority,
+        body,
+    });
+
+    await pluginRequest('/create', { filename, content: noteContent }, vault);
+    await upsertIndexFile({ filename, content: noteContent }, vault);
+    return filename;
+}
+
+/**
+ * Append a paragraph to an existing lorebook note and refresh its index entry.
+ * Content comes from the content argument, the text selected in the chat, or an AI draft.
+ * @param {string} title - Title of an indexed entry
+ * @param {object} options
+ * @param {string} [options.content]
+ * @param {string} [options.heading] - Append under this heading instead of at the end of the note
+ * @returns {Promise<string>} Vault path of the updated note
+ */
+async function appendToEntry(title, { content, heading } = {}) {
+    const entry = findEntryByTitle(title);
+    if (!entry) {
+        throw new Error(`No indexed entry titled "${title}"`);
+    }
+
+    const paragraph = content
+        || takeChatSelection()
+        || await draftWithAI(`Here is the current lorebook entry for "${entry.title}":\n\n${entry.content}\n\nWrite one short paragraph with new facts about "${entry.title}" established in the recent conversation that are not already in the entry. Output only the paragraph.`);
+
+    // Sub-entries append to the end of their own section by default
+    const target = heading || (entry.headingPath.length > 0 ? entry.headingPath.join('::') : undefined);
+    const vault = getSettings().vaults.find(v => v.id === entry.vault);
+    if (!vault) {
+        throw new Error(`Vault for "${entry.title}" is no longer configured`);
+    }
+    await pluginRequest('/append', { filename: entry.filename, content: `\n\n${paragraph.trim()}\n`, heading: target }, vault);
+
+    const { content: updated } = await pluginRequest('/file', { filename: entry.filename }, vault);
+    await upsertIndexFile({ filename: entry.filename, content: updated }, vault);
+    return entry.filename;
+}
+
 // ============================================================================
 // Keyword Matching
 // ============================================================================
@@ -368,129 +2269,914 @@ function buildScanText(chat, depth) {
         .join('\n');
 }
 
+/** Supported ways of combining secondary keys with primary keys */
+const SELECTIVE_LOGIC = ['AND ANY', 'AND ALL', 'NOT ANY', 'NOT ALL'];
+
+/**
+ * Normalize a frontmatter logic value ("and_any", "not all", ...) to one of SELECTIVE_LOGIC.
+ * @param {*} value
+ * @returns {string} Defaults to AND ANY for missing or unknown values
+ */
+function normalizeSelectiveLogic(value) {
+    const logic = String(value ?? '').trim().toUpperCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+    return SELECTIVE_LOGIC.includes(logic) ? logic : 'AND ANY';
+}
+
+/**
+ * Parse a key written as /pattern/flags into a regular expression.
+ * @param {string} key
+ * @returns {RegExp|null} The regex, or null if the key is a plain keyword or an invalid pattern
+ */
+function parseRegexKey(key) {
+    const match = key.match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (!match) return null;
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Test a single key against the given text.
+ * Regex keys use their own flags; plain keys follow the case and whole-word settings.
+ * @param {string} rawKey
+ * @param {string} scanText
+ * @param {typeof defaultSettings} settings
+ * @returns {boolean}
+ */
+function keyMatches(rawKey, scanText, settings) {
+    const regex = parseRegexKey(rawKey);
+    if (regex) {
+        return regex.test(scanText);
+    }
+
+    const key = settings.caseSensitive ? rawKey : rawKey.toLowerCase();
+
+    if (settings.matchWholeWords) {
+        return new RegExp(`\\b${escapeRegex(key)}\\b`, settings.caseSensitive ? '' : 'i').test(scanText);
+    }
+
+    const haystack = settings.caseSensitive ? scanText : scanText.toLowerCase();
+    return haystack.includes(key);
+}
+
+/**
+ * Test if an entry's keys match against the given text.
+ * One primary key must match; if the entry has secondary keys, they must also
+ * satisfy the entry's selective logic.
+ * @param {VaultEntry} entry
+ * @param {string} scanText
+ * @param {typeof defaultSettings} settings
+ * @returns {string|null} Description of the keys that satisfied the rule, or null if no match
+ */
+function testEntryMatch(entry, scanText, settings) {
+    if (entry.keys.length === 0) return null;
+
+    const primary = entry.keys.find(key => keyMatches(key, scanText, settings));
+    if (primary === undefined) return null;
+
+    const secondaryKeys = entry.secondaryKeys || [];
+    if (secondaryKeys.length === 0) return primary;
+
+    const present = secondaryKeys.filter(key => keyMatches(key, scanText, settings));
+    const absent = secondaryKeys.filter(key => !present.includes(key));
+
+    switch (entry.selectiveLogic) {
+        case 'AND ALL':
+            return absent.length === 0 ? `${primary} + ${present.join(' + ')}` : null;
+        case 'NOT ANY':
+            return present.length === 0 ? `${primary} + none of [${secondaryKeys.join(', ')}]` : null;
+        case 'NOT ALL':
+            return absent.length > 0 ? `${primary} + missing [${absent.join(', ')}]` : null;
+        default: // AND ANY
+            return present.length > 0 ? `${primary} + ${present[0]}` : null;
+    }
+}
+
+/**
+ * Match vault entries against chat messages, with recursive scanning support.
+ * Only entries in the active scope (character, chat and folder/tag bindings) are considered.
+ * @param {object[]} chat - Chat messages array
+ * @returns {{ matched: VaultEntry[], matchedKeys: Map<string, string>, candidates: VaultEntry[], disabled: VaultEntry[], linkHops: Map<VaultEntry, number>, steps: Map<VaultEntry, number>, recursionSources: Map<VaultEntry, VaultEntry[]> }} Matched entries sorted by priority, which key matched each, all entries in scope, disabled entries in scope, link hops of link-pulled entries, the recursion step that matched each entry (0 = the chat itself) and the entries whose content matched each recursion match
+ */
+function matchEntries(chat) {
+    const settings = getSettings();
+    const globalScanText = buildScanText(chat, settings.scanDepth);
+    const scope = getActiveScope();
+    const candidates = vaultIndex.filter(entry => isEntryInScope(entry, scope));
+    /** @type {Set<VaultEntry>} */
+    const matchedSet = new Set();
+    /** @type {Map<string, string>} entry title -> matched key */
+    const matchedKeys = new Map();
+    /** @type {Map<VaultEntry, number>} entry -> recursion step that matched it */
+    const steps = new Map();
+    /** @type {Map<VaultEntry, VaultEntry[]>} recursion match -> entries of the previous step whose content matched it */
+    const recursionSources = new Map();
+
+    // Initial scan pass
+    for (const entry of candidates) {
+        if (entry.constant) {
+            matchedSet.add(entry);
+            matchedKeys.set(entry.title, '(constant)');
+            steps.set(entry, 0);
+            continue;
+        }
+
+        // Use per-entry scan depth if set, otherwise use global scan text
+        const scanText = entry.scanDepth !== null
+            ? buildScanText(chat, entry.scanDepth)
+            : globalScanText;
+
+        const key = testEntryMatch(entry, scanText, settings);
+        if (key) {
+            matchedSet.add(entry);
+            matchedKeys.set(entry.title, key);
+            steps.set(entry, 0);
+        }
+    }
+
+    // Recursive scanning: scan matched entry content for more matches
+    if (settings.recursiveScan && settings.maxRecursionSteps > 0) {
+        let step = 0;
+        /** @type {Set<VaultEntry>} Entries added in the previous step (seed with initial matches) */
+        let newlyMatched = new Set(matchedSet);
+
+        while (newlyMatched.size > 0 && step < settings.maxRecursionSteps) {
+            step++;
+
+            // Only scan content from entries added in the previous step
+            const sources = [...newlyMatched].filter(e => !e.excludeRecursion);
+            const recursionText = sources.map(e => e.content).join('\n');
+
+            if (!recursionText.trim()) break;
+
+            newlyMatched = new Set();
+
+            for (const entry of candidates) {
+                if (matchedSet.has(entry)) continue;
+                if (entry.constant) continue; // Already added
+
+                const key = testEntryMatch(entry, recursionText, settings);
+                if (key) {
+                    matchedSet.add(entry);
+                    newlyMatched.add(entry);
+                    matchedKeys.set(entry.title, key);
+                    steps.set(entry, step);
+                    // Keys that only match across several entries' text count every one of them
+                    const triggers = sources.filter(source => testEntryMatch(entry, source.content, settings));
+                    recursionSources.set(entry, triggers.length > 0 ? triggers : sources);
+                }
+            }
+        }
+    }
+
+    // Link recursion: pull in notes linked from matched entries
+    /** @type {Map<VaultEntry, number>} link-pulled entry -> hops from the nearest direct match */
+    const linkHops = new Map();
+    if (settings.linkRecursion && settings.maxLinkHops > 0) {
+        const pulled = followLinks([...matchedSet], linkGraph, new Set(candidates), settings.maxLinkHops);
+        for (const [entry, { hop, from }] of pulled) {
+            matchedSet.add(entry);
+            linkHops.set(entry, hop);
+            matchedKeys.set(entry.title, `[[link]] from ${from.title} (hop ${hop})`);
+        }
+    }
+
+    // Sort by priority (ascending - lower number = higher priority), link-pulled entries last
+    const matched = [...matchedSet].sort((a, b) => (linkHops.get(a) || 0) - (linkHops.get(b) || 0) || a.priority - b.priority);
+
+    // Disabled entries never match; only note which key they would have matched in the chat, for traces
+    const disabled = disabledEntries.filter(entry => isEntryInScope(entry, scope));
+    for (const entry of disabled) {
+        const scanText = entry.scanDepth !== null ? buildScanText(chat, entry.scanDepth) : globalScanText;
+        const key = testEntryMatch(entry, scanText, settings);
+        if (key && !matchedKeys.has(entry.title)) {
+            matchedKeys.set(entry.title, key);
+        }
+    }
+
+    return { matched, matchedKeys, candidates, disabled, linkHops, steps, recursionSources };
+}
+
+/**
+ * Drop entries matched by recursion once timed effects, probability and inclusion groups
+ * have suppressed every entry whose content matched them. Entries are checked step by
+ * step, so a whole chain goes when its first entry does. Exempt entries always stay and
+ * count as sources even when they aren't in the list (forced entries are added back later).
+ * @param {VaultEntry[]} entries - Entries that survived the filters
+ * @param {Map<VaultEntry, number>} steps - Recursion step of each matched entry
+ * @param {Map<VaultEntry, VaultEntry[]>} recursionSources - Entries whose content matched each recursion match
+ * @param {Set<VaultEntry>} [exempt] - Entries kept for another reason, such as sticky or forced ones
+ * @returns {{ entries: VaultEntry[], dropped: VaultEntry[] }} Entries in their original order, and the ones that lost their sources
+ */
+function dropUntriggeredEntries(entries, steps, recursionSources, exempt = new Set()) {
+    const triggered = entries.filter(e => recursionSources.has(e) && !exempt.has(e));
+    const kept = new Set([...exempt, ...entries.filter(e => !triggered.includes(e))]);
+    const dropped = [];
+    for (const entry of triggered.sort((a, b) => steps.get(a) - steps.get(b))) {
+        if (recursionSources.get(entry).some(source => kept.has(source))) {
+            kept.add(entry);
+        } else {
+            dropped.push(entry);
+        }
+    }
+    return { entries: entries.filter(e => kept.has(e)), dropped };
+}
+
+/**
+ * Put matched entries in injection order: by priority, or by relevance blended with
+ * priority in relevance mode, with link-pulled entries after direct matches.
+ * @param {VaultEntry[]} matched - Matched entries sorted by priority
+ * @param {string} scanText - Recent chat, for relevance ranking
+ * @param {Map<VaultEntry, number>} linkHops
+ * @param {typeof defaultSettings} settings
+ * @returns {{ entries: VaultEntry[], relevance: Map<VaultEntry, number>, rankScores: Map<VaultEntry, number> }}
+ */
+function orderMatches(matched, scanText, linkHops, settings) {
+    let entries = matched;
+    /** @type {Map<VaultEntry, number>} */
+    const relevance = new Map();
+    /** @type {Map<VaultEntry, number>} */
+    let rankScores = new Map();
+
+    // Relevance mode: rank by how well each entry fits the recent chat, not just priority
+    if (settings.relevanceRanking && relevanceIndex) {
+        const queryTerms = [...new Set(tokenizeText(scanText))];
+        for (const entry of entries) {
+            relevance.set(entry, scoreBm25(relevanceIndex, queryTerms, entry.id));
+        }
+        const ranking = rankByRelevance(entries, relevance, settings.relevanceWeight / 100);
+        entries = ranking.entries;
+        rankScores = ranking.scores;
+    }
+
+    // Link-pulled entries always come after direct matches (the sort is stable)
+    if (linkHops.size > 0) {
+        entries = [...entries].sort((a, b) => (linkHops.get(a) || 0) - (linkHops.get(b) || 0));
+    }
+
+    return { entries, relevance, rankScores };
+}
+
+/**
+ * @typedef {object} Placement
+ * @property {number} position - extension_prompt_types value
+ * @property {number} depth - In-chat depth
+ * @property {number} role - extension_prompt_roles value
+ */
+
+/**
+ * Resolve where an entry is injected, applying its frontmatter overrides to the global settings.
+ * Depth and role only matter in-chat, so other positions use the global values for them.
+ * @param {VaultEntry} entry
+ * @param {{ injectionPosition: number, injectionDepth: number, injectionRole: number }} settings
+ * @returns {Placement}
+ */
+function getEntryPlacement(entry, settings) {
+    const position = entry.injectionPosition ?? settings.injectionPosition;
+    if (position !== POSITION_NAMES.depth) {
+        return { position, depth: settings.injectionDepth, role: settings.injectionRole };
+    }
+    return {
+        position,
+        depth: entry.injectionDepth ?? settings.injectionDepth,
+        role: entry.injectionRole ?? settings.injectionRole,
+    };
+}
+
+/**
+ * Describe a placement for debug output.
+ * @param {Placement} placement
+ * @returns {string}
+ */
+function describePlacement(placement) {
+    if (placement.position === POSITION_NAMES.before) return 'before';
+    if (placement.position === POSITION_NAMES.after) return 'after';
+    const role = Object.keys(ROLE_NAMES).find(name => ROLE_NAMES[name] === placement.role) || placement.role;
+    return `depth ${placement.depth} (${role})`;
+}
+
+/**
+ * @typedef {object} PackedEntry
+ * @property {VaultEntry} entry
+ * @property {string} content - Text to inject: the full content, the summary, or a truncated copy
+ * @property {number} tokens
+ * @property {'full'|'summarized'|'truncated'} fit
+ */
+
+/**
+ * Cut content down to roughly a token limit, preferring a paragraph or sentence break.
+ * @param {string} content
+ * @param {number} tokens - Token count of the full content
+ * @param {number} maxTokens
+ * @returns {{ content: string, tokens: number }}
+ */
+function truncateContent(content, tokens, maxTokens) {
+    if (tokens <= maxTokens) return { content, tokens };
+    let cut = content.slice(0, Math.floor(content.length * Math.max(0, maxTokens) / tokens));
+    const paragraphEnd = cut.lastIndexOf('\n\n');
+    const sentenceEnd = [...cut.matchAll(/[.!?](?=\s)/g)].pop();
+    if (paragraphEnd >= cut.length / 2) {
+        cut = cut.slice(0, paragraphEnd);
+    } else if (sentenceEnd && sentenceEnd.index >= cut.length / 2) {
+        cut = cut.slice(0, sentenceEnd.index + 1);
+    }
+    cut = `${cut.trimEnd()} …`;
+    return { content: cut, tokens: Math.min(maxTokens, Math.ceil(tokens * cut.length / content.length)) };
+}
+
+/**
+ * Choose which entries fit the entry and token limits, in order.
+ * An entry that doesn't fit in full falls back to its summary. In fill mode an entry that
+ * still doesn't fit is skipped so smaller entries after it can use the rest of the budget;
+ * if nothing fits at all, the first entry is truncated to the budget. In stop mode packing
+ * ends at the first entry that doesn't fit, and the first entry is always injected whole.
+ * @param {VaultEntry[]} entries - Entries in injection order
+ * @param {{ maxEntries: number, maxTokens: number, mode: string, useSummaries: boolean }} limits - Infinity = unlimited
+ * @returns {{ packed: PackedEntry[], skipped: { entry: VaultEntry, reason: string }[], totalTokens: number }}
+ */
+function packEntries(entries, { maxEntries, maxTokens, mode, useSummaries }) {
+    /** @type {PackedEntry[]} */
+    const packed = [];
+    const skipped = [];
+    let totalTokens = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (packed.length >= maxEntries) {
+            skipped.push(...entries.slice(i).map(e => ({ entry: e, reason: 'max entries' })));
+            break;
+        }
+
+        const remaining = maxTokens - totalTokens;
+        let fit = null;
+        if (entry.tokenEstimate <= remaining) {
+            fit = { content: entry.content, tokens: entry.tokenEstimate, fit: 'full' };
+        } else if (useSummaries && entry.summary && entry.summaryTokenEstimate <= remaining) {
+            fit = { content: entry.summary, tokens: entry.summaryTokenEstimate, fit: 'summarized' };
+        } else if (mode === 'stop' && packed.length === 0) {
+            fit = { content: entry.content, tokens: entry.tokenEstimate, fit: 'full' };
+        }
+
+        if (!fit) {
+            if (mode === 'stop') {
+                skipped.push(...entries.slice(i).map(e => ({ entry: e, reason: 'budget' })));
+                break;
+            }
+            skipped.push({ entry, reason: 'budget' });
+            continue;
+        }
+
+        packed.push({ entry, ...fit });
+        totalTokens += fit.tokens;
+    }
+
+    if (packed.length === 0 && skipped.length > 0 && skipped[0].reason === 'budget' && maxEntries > 0) {
+        const { entry } = skipped.shift();
+        const source = useSummaries && entry.summary ? { content: entry.summary, tokens: entry.summaryTokenEstimate } : { content: entry.content, tokens: entry.tokenEstimate };
+        const truncated = truncateContent(source.content, source.tokens, maxTokens);
+        packed.push({ entry, ...truncated, fit: 'truncated' });
+        totalTokens = truncated.tokens;
+    }
+
+    return { packed, skipped, totalTokens };
+}
+
+/**
+ * Format matched entries for injection, respecting budget limits.
+ * The entry and token limits apply across all entries; the result is then split into
+ * one group per placement, each becoming its own extension prompt.
+ * @param {VaultEntry[]} entries - Matched entries in injection order
+ * @returns {{ groups: { placement: Placement, text: string }[], injected: VaultEntry[], count: number, totalTokens: number, fits: Map<VaultEntry, string>, entryTokens: Map<VaultEntry, number>, skipped: { entry: VaultEntry, reason: string }[] }} Injection groups and stats
+ */
+function formatWithBudget(entries) {
+    const settings = getSettings();
+    const template = settings.injectionTemplate || '<{{title}}>\n{{content}}\n</{{title}}>';
+    /** @type {Map<string, { placement: Placement, parts: string[] }>} */
+    const groups = new Map();
+    /** @type {Map<VaultEntry, string>} */
+    const fits = new Map();
+    /** @type {Map<VaultEntry, number>} */
+    const entryTokens = new Map();
+
+    const { packed, skipped, totalTokens } = packEntries(entries, {
+        maxEntries: settings.unlimitedEntries ? Infinity : settings.maxEntries,
+        maxTokens: settings.unlimitedBudget ? Infinity : settings.maxTokensBudget,
+        mode: settings.budgetPacking,
+        useSummaries: settings.useSummaries,
+    });
+
+    for (const { entry, content, tokens, fit } of packed) {
+        const text = template
+            .replace(/\{\{title\}\}/g, entry.title)
+            .replace(/\{\{vault\}\}/g, entry.vaultName)
+            .replace(/\{\{content\}\}/g, content);
+
+        const placement = getEntryPlacement(entry, settings);
+        const key = `${placement.position}_${placement.depth}_${placement.role}`;
+        if (!groups.has(key)) {
+            groups.set(key, { placement, parts: [] });
+        }
+        groups.get(key).parts.push(text);
+        fits.set(entry, fit);
+        entryTokens.set(entry, tokens);
+    }
+
+    return {
+        groups: [...groups.values()].map(({ placement, parts }) => ({ placement, text: parts.join('\n\n') })),
+        injected: packed.map(p => p.entry),
+        count: packed.length,
+        totalTokens,
+        fits,
+        entryTokens,
+        skipped,
+    };
+}
+
+// ============================================================================
+// Timed Effects
+// ============================================================================
+
+/**
+ * @typedef {object} TimedEffect
+ * @property {number} trigger - Chat length when the entry triggered
+ * @property {number} start - Effect applies to generations after this chat length...
+ * @property {number} end - ...up to and including this chat length
+ */
+
+/**
+ * @typedef {object} TimedEffectsState
+ * @property {Object<string, TimedEffect>} sticky - entry id -> sticky window
+ * @property {Object<string, TimedEffect>} cooldown - entry id -> cooldown window
+ */
+
+/**
+ * Get the timed effects state stored in the chat metadata, so it survives reloads
+ * and is copied along with the chat when branching.
+ * @returns {TimedEffectsState}
+ */
+function getTimedEffectsState() {
+    const state = getChatState();
+    if (!state.timedEffects || typeof state.timedEffects !== 'object') {
+        state.timedEffects = {};
+    }
+    state.timedEffects.sticky ??= {};
+    state.timedEffects.cooldown ??= {};
+    return state.timedEffects;
+}
+
+/**
+ * Drop effects that have expired, or that were recorded at or after the current
+ * chat length (the message was swiped, deleted, or this is an earlier branch).
+ * @param {TimedEffectsState} state
+ * @param {number} chatLength
+ * @returns {boolean} Whether anything was removed
+ */
+function pruneTimedEffects(state, chatLength) {
+    let changed = false;
+    for (const effects of [state.sticky, state.cooldown]) {
+        for (const [key, effect] of Object.entries(effects)) {
+            if (effect.trigger >= chatLength || chatLength > effect.end) {
+                delete effects[key];
+                changed = true;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * @param {TimedEffect|undefined} effect
+ * @param {number} chatLength
+ * @returns {boolean}
+ */
+function isEffectActive(effect, chatLength) {
+    return Boolean(effect) && effect.start < chatLength && chatLength <= effect.end;
+}
+
+/**
+ * Apply sticky, cooldown and delay effects to this generation's matches.
+ * Sticky entries stay in even when their keys no longer match; entries on cooldown
+ * or still delayed are suppressed.
+ * @param {VaultEntry[]} matched - Entries matched by keys this generation
+ * @param {VaultEntry[]} candidates - All entries in scope
+ * @param {TimedEffectsState} state - Pruned timed effects state
+ * @param {number} chatLength - Number of messages in the chat
+ * @returns {{ entries: VaultEntry[], sticky: VaultEntry[], suppressed: VaultEntry[], reasons: Map<VaultEntry, string> }} Entries to inject (by priority), the ones kept by sticky, suppressed entries, and why each was kept or suppressed
+ */
+function applyTimedEffects(matched, candidates, state, chatLength) {
+    const matchedSet = new Set(matched);
+    const entries = [];
+    const sticky = [];
+    const suppressed = [];
+    /** @type {Map<VaultEntry, string>} */
+    const reasons = new Map();
+
+    for (const entry of candidates) {
+        const stickyEffect = state.sticky[entry.id];
+        const cooldown = state.cooldown[entry.id];
+
+        if (isEffectActive(stickyEffect, chatLength)) {
+            entries.push(entry);
+            sticky.push(entry);
+            reasons.set(entry, `sticky (${stickyEffect.end - chatLength + 1} left)`);
+            continue;
+        }
+
+        if (!matchedSet.has(entry)) continue;
+
+        if (entry.delay > 0 && chatLength < entry.delay) {
+            suppressed.push(entry);
+            reasons.set(entry, `delay (${chatLength}/${entry.delay} messages)`);
+        } else if (isEffectActive(cooldown, chatLength)) {
+            suppressed.push(entry);
+            reasons.set(entry, `cooldown (${cooldown.end - chatLength + 1} left)`);
+        } else {
+            entries.push(entry);
+        }
+    }
+
+    entries.sort((a, b) => a.priority - b.priority);
+    return { entries, sticky, suppressed, reasons };
+}
+
+/**
+ * Start sticky and cooldown windows for entries that were injected this generation.
+ * Entries already being kept by sticky don't restart their windows.
+ * @param {VaultEntry[]} injected
+ * @param {TimedEffectsState} state
+ * @param {number} chatLength
+ * @returns {boolean} Whether any window was started
+ */
+function recordTimedEffects(injected, state, chatLength) {
+    let changed = false;
+    for (const entry of injected) {
+        if (entry.sticky === 0 && entry.cooldown === 0) continue;
+        if (isEffectActive(state.sticky[entry.id], chatLength)) continue;
+
+        if (entry.sticky > 0) {
+            state.sticky[entry.id] = { trigger: chatLength, start: chatLength, end: chatLength + entry.sticky };
+        }
+        if (entry.cooldown > 0) {
+            const start = chatLength + entry.sticky;
+            state.cooldown[entry.id] = { trigger: chatLength, start, end: start + entry.cooldown };
+        }
+        changed = true;
+    }
+    return changed;
+}
+
+// ============================================================================
+// Randomness
+// ============================================================================
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a).
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Returns numbers in [0, 1), like Math.random
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick the seed for this generation's rolls. With a Random Seed setting, the seed is
+ * derived from it plus the chat, message and swipe, so re-running the same point of a
+ * chat gives the same rolls. Without one, every generation gets a fresh seed.
+ * @param {string} randomSeed - The Random Seed setting
+ * @param {string} chatId
+ * @param {number} chatLength
+ * @param {number} swipe - Swipe number when swiping, otherwise 0
+ * @returns {number}
+ */
+function getGenerationSeed(randomSeed, chatId, chatLength, swipe) {
+    if (!randomSeed) {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    return hashString(`${randomSeed}:${chatId}:${chatLength}:${swipe}`);
+}
+
+/**
+ * Roll each entry's probability check.
+ * Every entry gets its own roll derived from the seed and its `entry.id`, so the result
+ * does not depend on how many other entries matched.
+ * @param {VaultEntry[]} entries
+ * @param {number} seed
+ * @param {Set<VaultEntry>} exempt - Entries that skip the check (kept by sticky)
+ * @returns {{ entries: VaultEntry[], failed: { entry: VaultEntry, roll: number }[] }} Entries that passed, and the rolls of those that failed
+ */
+function applyProbability(entries, seed, exempt) {
+    const passed = [];
+    const failed = [];
+    for (const entry of entries) {
+        if (entry.probability >= 100 || exempt.has(entry)) {
+            passed.push(entry);
+            continue;
+        }
+        const roll = createRng(hashString(`${seed}:${entry.id}`))() * 100;
+        if (roll < entry.probability) {
+            passed.push(entry);
+        } else {
+            failed.push({ entry, roll });
+        }
+    }
+    return { entries: passed, failed };
+}
+
+// ============================================================================
+// Inclusion Groups
+// ============================================================================
+
 /**
- * Test if an entry's keys match against the given text.
- * @param {VaultEntry} entry
- * @param {string} scanText
- * @param {typeof defaultSettings} settings
- * @returns {string|null} The matched key, or null if no match
+ * Keep only one entry per inclusion group.
+ * Entries flagged groupOverride beat the rest of their group. Otherwise the winner is the
+ * lowest priority entry, or a random pick weighted by groupWeight, depending on mode.
+ * @param {VaultEntry[]} entries - Candidate entries sorted by priority
+ * @param {object} options
+ * @param {string} options.mode - 'weighted' or 'priority'
+ * @param {() => number} options.random - Random number source in [0, 1)
+ * @param {Object<string, string>} [options.keep] - group -> entry id of a previous pick to keep if still a candidate
+ * @returns {{ entries: VaultEntry[], losers: VaultEntry[], picks: Object<string, string>, reasons: Map<VaultEntry, string> }} Remaining entries, entries that lost, group -> winning entry id, and why each entry lost
  */
-function testEntryMatch(entry, scanText, settings) {
-    if (entry.keys.length === 0) return null;
+function selectGroupWinners(entries, { mode, random, keep = {} }) {
+    const losers = new Set();
+    /** @type {Object<string, string>} */
+    const picks = {};
+    /** @type {Map<VaultEntry, string>} */
+    const reasons = new Map();
 
-    const haystack = settings.caseSensitive ? scanText : scanText.toLowerCase();
+    const groupNames = [...new Set(entries.flatMap(e => e.groups || []))].sort();
 
-    for (const rawKey of entry.keys) {
-        const key = settings.caseSensitive ? rawKey : rawKey.toLowerCase();
+    for (const group of groupNames) {
+        const contenders = entries.filter(e => !losers.has(e) && (e.groups || []).includes(group));
+        if (contenders.length < 2) continue;
 
-        if (settings.matchWholeWords) {
-            const regex = new RegExp(`\\b${escapeRegex(key)}\\b`, settings.caseSensitive ? '' : 'i');
-            if (regex.test(scanText)) return rawKey;
-        } else {
-            if (haystack.includes(key)) return rawKey;
+        const overrides = contenders.filter(e => e.groupOverride);
+        const pool = overrides.length > 0 ? overrides : contenders;
+
+        let winner = pool.find(e => e.id === keep[group]);
+        if (!winner && (overrides.length > 0 || mode === 'priority')) {
+            winner = pool[0];
+        }
+        if (!winner) {
+            const totalWeight = pool.reduce((sum, e) => sum + e.groupWeight, 0);
+            let roll = random() * totalWeight;
+            winner = pool.find(e => (roll -= e.groupWeight) < 0) || pool[0];
+        }
+
+        picks[group] = winner.id;
+        for (const entry of contenders) {
+            if (entry !== winner) {
+                losers.add(entry);
+                reasons.set(entry, `lost group "${group}" to ${winner.title}`);
+            }
         }
     }
-    return null;
+
+    return {
+        entries: entries.filter(e => !losers.has(e)),
+        losers: entries.filter(e => losers.has(e)),
+        picks,
+        reasons,
+    };
 }
 
+// ============================================================================
+// Link Graph
+// ============================================================================
+
+/** @type {Map<string, VaultEntry[]>} entry id -> entries its wiki-links point to, rebuilt with the index */
+let linkGraph = new Map();
+
 /**
- * Match vault entries against chat messages, with recursive scanning support.
- * @param {object[]} chat - Chat messages array
- * @returns {{ matched: VaultEntry[], matchedKeys: Map<string, string> }} Matched entries sorted by priority, and which key matched each
+ * Resolve every entry's wiki-links to index entries, the way Obsidian resolves them: by vault
+ * path or by note name, ignoring case. A link to a heading of a split note points to that
+ * section and its subsections. A link to a split note without a heading points to the text
+ * before its first section, or to all its sections if there is none.
+ * Links resolve within the linking entry's own vault. Links to notes that aren't
+ * lorebook entries are dropped.
+ * @param {VaultEntry[]} entries
+ * @returns {Map<string, VaultEntry[]>} entry id -> linked entries
  */
-function matchEntries(chat) {
-    const settings = getSettings();
-    const globalScanText = buildScanText(chat, settings.scanDepth);
-    /** @type {Set<VaultEntry>} */
-    const matchedSet = new Set();
-    /** @type {Map<string, string>} entry title -> matched key */
-    const matchedKeys = new Map();
+function buildLinkGraph(entries) {
+    /** @type {Map<string, VaultEntry[]>} vault id and lowercased path or name without .md -> entries of that note */
+    const notes = new Map();
+    const addNote = (key, entry) => {
+        if (!notes.has(key)) notes.set(key, []);
+        notes.get(key).push(entry);
+    };
+    for (const entry of entries) {
+        const path = entry.filename.replace(/\.md$/i, '').toLowerCase();
+        addNote(`${entry.vault}:${path}`, entry);
+        const name = path.split('/').pop();
+        if (name !== path) addNote(`${entry.vault}:${name}`, entry);
+    }
 
-    // Initial scan pass
-    for (const entry of vaultIndex) {
-        if (entry.constant) {
-            matchedSet.add(entry);
-            matchedKeys.set(entry.title, '(constant)');
-            continue;
+    const graph = new Map();
+    for (const entry of entries) {
+        const linked = new Set();
+        for (const { target, heading } of entry.links || []) {
+            const key = (target || entry.filename).replace(/\.md$/i, '').toLowerCase();
+            const noteEntries = notes.get(`${entry.vault}:${key}`) || [];
+            const wanted = heading?.toLowerCase();
+            const sections = wanted ? noteEntries.filter(e => e.headingPath.some(h => h.toLowerCase() === wanted)) : [];
+            const whole = noteEntries.filter(e => e.headingPath.length === 0);
+            const picked = sections.length > 0 ? sections : whole.length > 0 ? whole : noteEntries;
+            for (const linkedEntry of picked) {
+                if (linkedEntry !== entry) linked.add(linkedEntry);
+            }
         }
+        graph.set(entry.id, [...linked]);
+    }
+    return graph;
+}
 
-        // Use per-entry scan depth if set, otherwise use global scan text
-        const scanText = entry.scanDepth !== null
-            ? buildScanText(chat, entry.scanDepth)
-            : globalScanText;
-
-        const key = testEntryMatch(entry, scanText, settings);
-        if (key) {
-            matchedSet.add(entry);
-            matchedKeys.set(entry.title, key);
+/**
+ * Walk the link graph outward from the given entries, breadth first.
+ * Entries with excludeRecursion are pulled in but their own links aren't followed.
+ * @param {VaultEntry[]} seeds - Directly matched entries
+ * @param {Map<string, VaultEntry[]>} graph
+ * @param {Set<VaultEntry>} eligible - Entries that may be pulled in (those in scope)
+ * @param {number} maxHops
+ * @returns {Map<VaultEntry, { hop: number, from: VaultEntry }>} Pulled-in entries, with the hop they were reached at and the entry linking to them
+ */
+function followLinks(seeds, graph, eligible, maxHops) {
+    const pulled = new Map();
+    const seen = new Set(seeds);
+    let frontier = seeds.filter(e => !e.excludeRecursion);
+
+    for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+        const next = [];
+        for (const from of frontier) {
+            for (const target of graph.get(from.id) || []) {
+                if (seen.has(target) || !eligible.has(target)) continue;
+                seen.add(target);
+                pulled.set(target, { hop, from });
+                if (!target.excludeRecursion) next.push(target);
+            }
         }
+        frontier = next;
     }
+    return pulled;
+}
 
-    // Recursive scanning: scan matched entry content for more matches
-    if (settings.recursiveScan && settings.maxRecursionSteps > 0) {
-        let step = 0;
-        /** @type {Set<VaultEntry>} Entries added in the previous step (seed with initial matches) */
-        let newlyMatched = new Set(matchedSet);
+/**
+ * Drop link-pulled entries that are no longer linked from an entry being injected, after
+ * timed effects, probability and inclusion groups have suppressed some of their sources.
+ * A pulled entry stays if an entry kept at an earlier hop still links to it.
+ * @param {VaultEntry[]} entries - Entries that survived the filters
+ * @param {Map<VaultEntry, number>} linkHops - Link-pulled entries and their hop
+ * @param {Map<string, VaultEntry[]>} graph
+ * @returns {{ entries: VaultEntry[], dropped: VaultEntry[] }} Entries in their original order, and the pulled entries that lost their source
+ */
+function dropUnlinkedEntries(entries, linkHops, graph) {
+    const kept = new Set(entries.filter(e => !linkHops.has(e)));
+    const dropped = [];
+    const pulled = entries.filter(e => linkHops.has(e)).sort((a, b) => linkHops.get(a) - linkHops.get(b));
+    for (const entry of pulled) {
+        const hop = linkHops.get(entry);
+        const linked = [...kept].some(from => !from.excludeRecursion
+            && (linkHops.get(from) ?? 0) < hop
+            && (graph.get(from.id) || []).includes(entry));
+        if (linked) {
+            kept.add(entry);
+        } else {
+            dropped.push(entry);
+        }
+    }
+    return { entries: entries.filter(e => kept.has(e)), dropped };
+}
 
-        while (newlyMatched.size > 0 && step < settings.maxRecursionSteps) {
-            step++;
+// ============================================================================
+// Relevance Ranking
+// ============================================================================
 
-            // Only scan content from entries added in the previous step
-            const recursionText = [...newlyMatched]
-                .filter(e => !e.excludeRecursion)
-                .map(e => e.content)
-                .join('\n');
+/**
+ * @typedef {object} Bm25Index
+ * @property {number} docCount
+ * @property {number} avgLength - Average document length in terms
+ * @property {Map<string, number>} docFreq - term -> number of documents containing it
+ * @property {Map<string, { length: number, termFreq: Map<string, number> }>} docs - document id -> term statistics
+ */
 
-            if (!recursionText.trim()) break;
+/** BM25 term frequency saturation */
+const BM25_K1 = 1.2;
+/** BM25 document length normalization */
+const BM25_B = 0.75;
 
-            newlyMatched = new Set();
+/** @type {Bm25Index|null} Built from the vault index whenever it changes */
+let relevanceIndex = null;
 
-            for (const entry of vaultIndex) {
-                if (matchedSet.has(entry)) continue;
-                if (entry.constant) continue; // Already added
+/**
+ * Split text into lowercase terms for lexical scoring.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeText(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1);
+}
 
-                const key = testEntryMatch(entry, recursionText, settings);
-                if (key) {
-                    matchedSet.add(entry);
-                    newlyMatched.add(entry);
-                    matchedKeys.set(entry.title, `${key} (recursion step ${step})`);
-                }
-            }
+/**
+ * Build a BM25 index over a set of documents.
+ * @param {{ id: string, text: string }[]} docs
+ * @returns {Bm25Index}
+ */
+function buildBm25Index(docs) {
+    const docFreq = new Map();
+    const docStats = new Map();
+    let totalLength = 0;
+
+    for (const { id, text } of docs) {
+        const terms = tokenizeText(text);
+        const termFreq = new Map();
+        for (const term of terms) {
+            termFreq.set(term, (termFreq.get(term) || 0) + 1);
+        }
+        for (const term of termFreq.keys()) {
+            docFreq.set(term, (docFreq.get(term) || 0) + 1);
         }
+        docStats.set(id, { length: terms.length, termFreq });
+        totalLength += terms.length;
     }
 
-    // Sort by priority (ascending - lower number = higher priority)
-    const matched = [...matchedSet].sort((a, b) => a.priority - b.priority);
-
-    return { matched, matchedKeys };
+    return {
+        docCount: docs.length,
+        avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+        docFreq,
+        docs: docStats,
+    };
 }
 
 /**
- * Format matched entries for injection, respecting budget limits.
- * @param {VaultEntry[]} entries - Matched entries sorted by priority
- * @returns {{ text: string, count: number, totalTokens: number }} Injection text and stats
+ * Score one document against a query with BM25.
+ * @param {Bm25Index} index
+ * @param {string[]} queryTerms - Unique query terms
+ * @param {string} id - Document id
+ * @returns {number} 0 when the document is unknown or shares no terms with the query
  */
-function formatWithBudget(entries) {
-    const settings = getSettings();
-    const template = settings.injectionTemplate || '<{{title}}>\n{{content}}\n</{{title}}>';
-    const parts = [];
-    let totalTokens = 0;
-    let count = 0;
+function scoreBm25(index, queryTerms, id) {
+    const doc = index.docs.get(id);
+    if (!doc || doc.length === 0) return 0;
+
+    let score = 0;
+    for (const term of queryTerms) {
+        const tf = doc.termFreq.get(term);
+        if (!tf) continue;
+        const df = index.docFreq.get(term) || 0;
+        const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (index.avgLength || 1));
+        score += idf * tf * (BM25_K1 + 1) / norm;
+    }
+    return score;
+}
 
+/**
+ * Rank entries by a blend of relevance and priority.
+ * Both are normalized to 0-1 across the given entries: the best relevance score and the
+ * lowest priority number each count as 1.
+ * @param {VaultEntry[]} entries
+ * @param {Map<VaultEntry, number>} relevance - Raw relevance score per entry
+ * @param {number} weight - 0-1 share of relevance in the blend
+ * @returns {{ entries: VaultEntry[], scores: Map<VaultEntry, number> }} Entries best first, and each entry's blended score
+ */
+function rankByRelevance(entries, relevance, weight) {
+    const maxRelevance = Math.max(0, ...entries.map(e => relevance.get(e) || 0));
+    const priorities = entries.map(e => e.priority);
+    const minPriority = Math.min(...priorities);
+    const priorityRange = Math.max(...priorities) - minPriority;
+
+    /** @type {Map<VaultEntry, number>} */
+    const scores = new Map();
     for (const entry of entries) {
-        if (!settings.unlimitedEntries && count >= settings.maxEntries) break;
-        if (!settings.unlimitedBudget && totalTokens + entry.tokenEstimate > settings.maxTokensBudget && count > 0) break;
-
-        const text = template
-            .replace(/\{\{title\}\}/g, entry.title)
-            .replace(/\{\{content\}\}/g, entry.content);
-
-        parts.push(text);
-        totalTokens += entry.tokenEstimate;
-        count++;
+        const relevanceScore = maxRelevance > 0 ? (relevance.get(entry) || 0) / maxRelevance : 0;
+        const priorityScore = priorityRange > 0 ? 1 - (entry.priority - minPriority) / priorityRange : 1;
+        scores.set(entry, weight * relevanceScore + (1 - weight) * priorityScore);
     }
 
-    return { text: parts.join('\n\n'), count, totalTokens };
+    const ranked = [...entries].sort((a, b) => scores.get(b) - scores.get(a) || a.priority - b.priority);
+    return { entries: ranked, scores };
 }
 
 // ============================================================================
@@ -500,6 +3186,34 @@ function formatWithBudget(entries) {
 /** Track last warning ratio to avoid spamming toasts */
 let lastWarningRatio = 0;
 
+/** Extension prompt tags set by the last generation, cleared before the next one */
+let activePromptTags = new Set([PROMPT_TAG]);
+
+/**
+ * Extension prompt tag for a placement. The global placement keeps the plain tag.
+ * @param {Placement} placement
+ * @param {typeof defaultSettings} settings
+ * @returns {string}
+ */
+function getPromptTag(placement, settings) {
+    if (placement.position === settings.injectionPosition
+        && placement.depth === settings.injectionDepth
+        && placement.role === settings.injectionRole) {
+        return PROMPT_TAG;
+    }
+    return `${PROMPT_TAG}_${placement.position}_${placement.depth}_${placement.role}`;
+}
+
+/**
+ * Remove all extension prompts set by the previous generation.
+ */
+function clearInjection() {
+    for (const tag of activePromptTags) {
+        setExtensionPrompt(tag, '', 0, 0);
+    }
+    activePromptTags = new Set();
+}
+
 /**
  * Called by SillyTavern's generation interceptor system.
  * @param {object[]} chat - Array of chat messages
@@ -515,7 +3229,12 @@ async function onGenerate(chat, contextSize, abort, type) {
     }
 
     // Clear previous injection
-    setExtensionPrompt(PROMPT_TAG, '', settings.injectionPosition, settings.injectionDepth, false, settings.injectionRole);
+    clearInjection();
+
+    // A regeneration from the message lore popup applies to this generation only
+    const override = loreOverride;
+    loreOverride = null;
+    pendingLore = null;
 
     try {
         // Ensure index is fresh
@@ -528,69 +3247,584 @@ async function onGenerate(chat, contextSize, abort, type) {
             return;
         }
 
-        // Check scan text exists
-        const scanText = buildScanText(chat, settings.scanDepth);
-        if (!scanText.trim()) {
-            return;
-        }
+        // Check scan text exists
+        const scanText = buildScanText(chat, settings.scanDepth);
+        if (!scanText.trim()) {
+            return;
+        }
+
+        // Match entries (now takes chat array for per-entry scan depth)
+        const { matched: keyMatched, matchedKeys, candidates, disabled, linkHops, steps, recursionSources } = matchEntries(chat);
+
+        // Sticky, cooldown and delay
+        const timedState = getTimedEffectsState();
+        const pruned = pruneTimedEffects(timedState, chat.length);
+        const { entries: timedEntries, sticky, suppressed, reasons } = applyTimedEffects(keyMatched, candidates, timedState, chat.length);
+        for (const entry of sticky) {
+            if (!matchedKeys.has(entry.title)) {
+                matchedKeys.set(entry.title, '(sticky)');
+            }
+        }
+
+        // Probability checks, with a seed that can be reproduced
+        const context = getContext();
+        const swipe = type === 'swipe' ? (context.chat[context.chat.length - 1]?.swipes?.length ?? 0) : 0;
+        const seed = getGenerationSeed(settings.randomSeed, String(context.chatId ?? ''), chat.length, swipe);
+        const chance = applyProbability(timedEntries, seed, new Set(sticky));
+        for (const { entry, roll } of chance.failed) {
+            suppressed.push(entry);
+            reasons.set(entry, `probability (rolled ${roll.toFixed(1)}, needed < ${entry.probability})`);
+        }
+
+        // Inclusion groups: one winner per group. A swipe can keep the previous picks.
+        const chatState = getChatState();
+        const previousPicks = chatState.groupPicks;
+        const keepPicks = settings.keepGroupPickOnSwipe && type === 'swipe' && previousPicks?.chatLength === chat.length;
+        const groupResult = selectGroupWinners(chance.entries, {
+            mode: settings.groupSelection,
+            random: createRng(hashString(`${seed}:groups`)),
+            keep: keepPicks ? previousPicks.picks : {},
+        });
+        let matched = groupResult.entries;
+        for (const [entry, reason] of groupResult.reasons) {
+            suppressed.push(entry);
+            reasons.set(entry, reason);
+        }
+        const nextPicks = { chatLength: chat.length, picks: groupResult.picks };
+        const picksChanged = JSON.stringify(nextPicks) !== JSON.stringify(previousPicks ?? { chatLength: chat.length, picks: {} });
+        if (picksChanged) {
+            chatState.groupPicks = nextPicks;
+        }
+
+        const overridden = applyLoreOverride(matched, override, vaultIndex);
+        matched = overridden.entries;
+        for (const entry of overridden.excluded) {
+            suppressed.push(entry);
+            reasons.set(entry, 'left out for this regeneration');
+        }
+
+        // Recursion and links only count from entries that are still being injected
+        const triggered = dropUntriggeredEntries(matched, steps, recursionSources, new Set([...sticky, ...overridden.forced]));
+        matched = triggered.entries;
+        for (const entry of triggered.dropped) {
+            suppressed.push(entry);
+            reasons.set(entry, 'recursion source suppressed');
+        }
+        const linked = dropUnlinkedEntries(matched, linkHops, linkGraph);
+        matched = linked.entries;
+        for (const entry of linked.dropped) {
+            suppressed.push(entry);
+            reasons.set(entry, 'link source suppressed');
+        }
+        for (const entry of overridden.forced) {
+            if (!matchedKeys.has(entry.title)) matchedKeys.set(entry.title, '(forced)');
+            reasons.set(entry, 'forced');
+        }
+        const traced = [...candidates, ...overridden.forced.filter(e => !candidates.includes(e)), ...disabled];
+
+        if (settings.debugMode && suppressed.length > 0) {
+            console.log(`[DeepLore] ${suppressed.length} matched entries suppressed by timed effects, probability or inclusion groups (seed ${seed})`);
+            console.table(suppressed.map(e => ({
+                title: e.title,
+                matchedKey: matchedKeys.get(e.title) || '?',
+                reason: reasons.get(e),
+            })));
+        }
+
+        if (matched.length === 0 && overridden.forced.length === 0) {
+            if (settings.debugMode) {
+                console.debug('[DeepLore] No entries matched');
+            }
+            if (pruned || picksChanged) saveMetadataDebounced();
+            const trace = buildGenerationTrace({ type, seed, candidates: traced, matchedKeys, steps, linkHops, reasons }, settings);
+            recordGenerationTrace(trace);
+            setPendingLore(trace, type);
+            return;
+        }
+
+        const ordered = orderMatches(matched, scanText, linkHops, settings);
+        const { relevance, rankScores } = ordered;
+        matched = ordered.entries;
+
+        // Forced entries go first so the budget can't leave them out
+        matched = [...overridden.forced, ...matched];
+
+        // Format with budget
+        const { groups, injected, count: injectedCount, totalTokens, fits, entryTokens, skipped } = formatWithBudget(matched);
+
+        const recorded = recordTimedEffects(injected, timedState, chat.length);
+        if (pruned || recorded || picksChanged) saveMetadataDebounced();
+
+        const trace = buildGenerationTrace({
+            type, seed, candidates: traced, matchedKeys, steps, linkHops, reasons, injected, fits, entryTokens, skipped, groups, totalTokens,
+        }, settings);
+        recordGenerationTrace(trace);
+        setPendingLore(trace, type);
+
+        if (groups.length > 0) {
+            for (const { placement, text } of groups) {
+                const tag = getPromptTag(placement, settings);
+                setExtensionPrompt(tag, text, placement.position, placement.depth, settings.allowWIScan, placement.role);
+                activePromptTags.add(tag);
+            }
+
+            // Context usage warning
+            if (contextSize > 0) {
+                const ratio = totalTokens / contextSize;
+                if (ratio > 0.20 && ratio > lastWarningRatio + 0.05) {
+                    const pct = Math.round(ratio * 100);
+                    toastr.warning(
+                        `${injectedCount} entries injected (~${totalTokens} tokens, ${pct}% of context). Consider setting a token budget.`,
+                        'DeepLore',
+                        { preventDuplicates: true, timeOut: 8000 },
+                    );
+                    lastWarningRatio = ratio;
+                }
+            }
+
+            if (settings.debugMode) {
+                console.log(`[DeepLore] ${matched.length} matched, ${injectedCount} injected in ${groups.length} placements, ~${totalTokens} tokens` +
+                    (contextSize > 0 ? ` (${Math.round(totalTokens / contextSize * 100)}% of ${contextSize} context)` : ''));
+                console.table(injected.map(e => ({
+                    title: e.title,
+                    ...(settings.vaults.filter(v => v.enabled).length > 1 ? { vault: e.vaultName } : {}),
+                    matchedKey: matchedKeys.get(e.title) || '?',
+                    step: describeMatchStep(steps.get(e), linkHops.get(e)),
+                    priority: e.priority,
+                    tokens: e.tokenEstimate,
+                    fit: fits.get(e),
+                    constant: e.constant,
+                    placement: describePlacement(getEntryPlacement(e, settings)),
+                    effect: reasons.get(e) || '',
+                    ...(settings.relevanceRanking ? {
+                        bm25: Number((relevance.get(e) || 0).toFixed(2)),
+                        score: Number((rankScores.get(e) || 0).toFixed(3)),
+                    } : {}),
+                })));
+                if (skipped.length > 0) {
+                    console.log(`[DeepLore] ${skipped.length} matched entries left out by the entry or token limits`);
+                    console.table(skipped.map(({ entry, reason }) => ({
+                        title: entry.title,
+                        tokens: entry.tokenEstimate,
+                        summaryTokens: entry.summaryTokenEstimate,
+                        reason,
+                    })));
+                }
+            }
+        }
+    } catch (err) {
+        console.error('[DeepLore] Error during generation:', err);
+    }
+}
+
+// Register the interceptor on globalThis so SillyTavern can find it
+globalThis.deepLore_onGenerate = onGenerate;
+
+// ============================================================================
+// Lore Inspector
+// ============================================================================
+
+/** How many past generations the inspector keeps */
+const INSPECTOR_HISTORY = 10;
+
+/**
+ * @typedef {object} TraceEntry
+ * @property {string} id - Entry id
+ * @property {string} title
+ * @property {string} vault - Vault name
+ * @property {'injected'|'dropped'|'not matched'} status
+ * @property {string} matchedKey - Key that matched ('' = not matched)
+ * @property {string} step - How the entry was reached: direct, recursion N, link hop N ('' = not matched or sticky)
+ * @property {string} reason - Why a dropped entry was left out, or how an injected one fit
+ * @property {number} priority
+ * @property {number} tokens - Tokens injected, or the full entry's tokens if it wasn't
+ * @property {string} placement - Where the entry was injected ('' = not injected)
+ */
+
+/**
+ * @typedef {object} GenerationTrace
+ * @property {number} time - When the generation ran
+ * @property {string} type - Generation type (normal, swipe, regenerate, ...)
+ * @property {number|null} seed - Seed used for probability and group rolls (null = dry run)
+ * @property {TraceEntry[]} entries - Every entry in scope, injected first, then dropped, then unmatched
+ * @property {string} text - Injected text of all placements
+ * @property {number} totalTokens
+ */
+
+/** @type {GenerationTrace[]} Most recent first */
+let generationTraces = [];
+
+/**
+ * Describe how an entry was matched.
+ * @param {number|undefined} step - Recursion step (0 = matched the chat itself)
+ * @param {number|undefined} hop - Link hop for entries pulled in by wiki-links
+ * @returns {string}
+ */
+function describeMatchStep(step, hop) {
+    if (hop) return `link hop ${hop}`;
+    if (step === undefined) return '';
+    return step === 0 ? 'direct' : `recursion ${step}`;
+}
+
+/**
+ * Summarize one generation for the inspector. Only plain values are kept, so a trace
+ * doesn't hold on to entries from an old index.
+ * @param {object} run
+ * @param {string} run.type
+ * @param {number|null} run.seed
+ * @param {VaultEntry[]} run.candidates - Entries in scope, disabled ones included
+ * @param {Map<string, string>} run.matchedKeys
+ * @param {Map<VaultEntry, number>} run.steps
+ * @param {Map<VaultEntry, number>} run.linkHops
+ * @param {Map<VaultEntry, string>} run.reasons - Timed effect, probability and group notes
+ * @param {VaultEntry[]} [run.injected]
+ * @param {Map<VaultEntry, string>} [run.fits]
+ * @param {Map<VaultEntry, number>} [run.entryTokens] - Tokens injected per entry
+ * @param {{ entry: VaultEntry, reason: string }[]} [run.skipped] - Entries left out by the limits
+ * @param {{ placement: Placement, text: string }[]} [run.groups]
+ * @param {number} [run.totalTokens]
+ * @param {typeof defaultSettings} settings - For the placement of injected entries
+ * @returns {GenerationTrace}
+ */
+function buildGenerationTrace({ type, seed, candidates, matchedKeys, steps, linkHops, reasons, injected = [], fits = new Map(), entryTokens = new Map(), skipped = [], groups = [], totalTokens = 0 }, settings) {
+    const injectedSet = new Set(injected);
+    const budgetReasons = new Map(skipped.map(({ entry, reason }) => [entry, reason]));
+    const order = { injected: 0, dropped: 1, 'not matched': 2 };
+
+    const entries = candidates.map(entry => {
+        const matchedKey = matchedKeys.get(entry.title) || '';
+        let status = 'not matched';
+        let reason = '';
+        if (entry.disabled) {
+            status = matchedKey ? 'dropped' : 'not matched';
+            reason = 'disabled';
+        } else if (injectedSet.has(entry)) {
+            status = 'injected';
+            reason = [fits.get(entry), reasons.get(entry)].filter(Boolean).join(', ');
+        } else if (budgetReasons.has(entry)) {
+            status = 'dropped';
+            reason = budgetReasons.get(entry) === 'budget' ? 'token budget' : budgetReasons.get(entry);
+        } else if (reasons.has(entry)) {
+            status = 'dropped';
+            reason = reasons.get(entry);
+        } else if (matchedKey) {
+            status = 'dropped';
+        }
+        return {
+            id: entry.id,
+            title: entry.title,
+            vault: entry.vaultName,
+            status,
+            matchedKey,
+            step: describeMatchStep(steps.get(entry), linkHops.get(entry)),
+            reason,
+            priority: entry.priority,
+            tokens: entryTokens.get(entry) ?? entry.tokenEstimate,
+            placement: status === 'injected' ? describePlacement(getEntryPlacement(entry, settings)) : '',
+        };
+    });
+
+    // Injected entries keep their injection order; the rest go by priority
+    const rank = new Map(injected.map((entry, i) => [entry.title, i]));
+    entries.sort((a, b) => order[a.status] - order[b.status]
+        || (rank.get(a.title) ?? 0) - (rank.get(b.title) ?? 0)
+        || a.priority - b.priority);
+
+    return {
+        time: Date.now(),
+        type: type || 'normal',
+        seed,
+        entries,
+        text: groups.map(({ placement, text }) => (groups.length > 1 ? `[${describePlacement(placement)}]\n${text}` : text)).join('\n\n'),
+        totalTokens,
+    };
+}
+
+/**
+ * Add a generation to the inspector history and show it.
+ * @param {GenerationTrace} trace
+ */
+function recordGenerationTrace(trace) {
+    generationTraces = [trace, ...generationTraces].slice(0, INSPECTOR_HISTORY);
+    renderInspector(0);
+}
+
+/**
+ * Show a generation from the history in the inspector drawer.
+ * @param {number} index - Position in the history (0 = latest)
+ */
+function renderInspector(index) {
+    const select = $('#deeplore_inspector_history');
+    if (select.length === 0) return;
+
+    select.empty();
+    generationTraces.forEach((trace, i) => {
+        const injected = trace.entries.filter(e => e.status === 'injected').length;
+        select.append($('<option>').val(i).text(`${new Date(trace.time).toLocaleTimeString()} - ${trace.type}, ${injected} injected`));
+    });
+    select.val(String(index));
+
+    const trace = generationTraces[index];
+    const table = $('#deeplore_inspector_entries').empty();
+    if (!trace) {
+        $('#deeplore_inspector_summary').text('No generations yet.');
+        $('#deeplore_inspector_text').val('');
+        return;
+    }
+
+    const counts = { injected: 0, dropped: 0, 'not matched': 0 };
+    for (const entry of trace.entries) counts[entry.status]++;
+    $('#deeplore_inspector_summary').text(`${counts.injected} injected (~${trace.totalTokens} tokens), ${counts.dropped} dropped, ${counts['not matched']} not matched. Seed ${trace.seed}.`);
+    $('#deeplore_inspector_text').val(trace.text);
+
+    renderTraceTable(table, trace, $('#deeplore_inspector_unmatched').prop('checked'));
+}
+
+/**
+ * Fill a table with the entries of a trace.
+ * @param {JQuery} table
+ * @param {GenerationTrace} trace
+ * @param {boolean} showUnmatched - Also list entries that didn't match
+ */
+function renderTraceTable(table, trace, showUnmatched) {
+    const multiVault = new Set(trace.entries.map(e => e.vault)).size > 1;
+    const columns = ['Entry', ...(multiVault ? ['Vault'] : []), 'Status', 'Matched Key', 'Step', 'Priority', 'Tokens', 'Notes'];
+    table.append($('<tr>').append(columns.map(name => $('<th>').text(name))));
+    for (const entry of trace.entries) {
+        if (entry.status === 'not matched' && !showUnmatched) continue;
+        const notes = [entry.reason, entry.placement].filter(Boolean).join('; ');
+        const cells = [entry.title, ...(multiVault ? [entry.vault] : []), entry.status, entry.matchedKey, entry.step, entry.priority, entry.tokens, notes];
+        table.append($('<tr>').addClass(`deeplore_trace_${entry.status.replace(' ', '_')}`).append(cells.map(value => $('<td>').text(value))));
+    }
+}
+
+/**
+ * Match entries against some text, or the current chat, without generating anything.
+ * Timed effects, probability, inclusion groups and the one-off overrides of a regeneration
+ * depend on the generation, so they aren't applied; everything else runs as in a real generation.
+ * @param {string} text - Text to scan ('' = the current chat)
+ * @returns {Promise<{ trace: GenerationTrace, groups: { placement: Placement, text: string }[] }>}
+ */
+async function testLore(text) {
+    const settings = getSettings();
+    await ensureIndexFresh();
+
+    const chat = text ? [{ name: '', mes: text }] : getContext().chat;
+    const { matched, matchedKeys, candidates, disabled, linkHops, steps } = matchEntries(chat);
+    const { entries } = orderMatches(matched, buildScanText(chat, settings.scanDepth), linkHops, settings);
+    const { groups, injected, fits, entryTokens, skipped, totalTokens } = formatWithBudget(entries);
+    const trace = buildGenerationTrace({
+        type: 'test', seed: null, candidates: [...candidates, ...disabled], matchedKeys, steps, linkHops, reasons: new Map(), injected, fits, entryTokens, skipped, groups, totalTokens,
+    }, settings);
+    return { trace, groups };
+}
+
+/**
+ * Show a dry run's trace in a popup.
+ * @param {GenerationTrace} trace
+ * @param {{ placement: Placement, text: string }[]} groups
+ */
+async function showTestResult(trace, groups) {
+    const injected = trace.entries.filter(e => e.status === 'injected').length;
+    const dropped = trace.entries.filter(e => e.status === 'dropped').length;
+    const content = $('<div class="deeplore_popup">');
+    content.append($('<h3>').text('DeepLore Test'));
+    content.append($('<small>').text(`${injected} injected (~${trace.totalTokens} tokens), ${dropped} cut by the limits. Timed effects, probability, inclusion groups and "Regenerate without/forcing" are not applied.`));
+    const table = $('<table>');
+    renderTraceTable(table, trace, false);
+    content.append(table);
+    for (const { placement, text } of groups) {
+        content.append($('<h4>').text(`Injected ${describePlacement(placement)}`));
+        content.append($('<textarea class="text_pole textarea_compact" rows="6" readonly>').val(text));
+    }
+    await new Popup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true }).show();
+}
+
+/**
+ * The result of a dry run as returned by /deeplore-test: the matched entries, the text
+ * injected at each placement, and the token total.
+ * @param {GenerationTrace} trace
+ * @param {{ placement: Placement, text: string }[]} groups
+ * @returns {string} JSON
+ */
+function formatTestResult(trace, groups) {
+    return JSON.stringify({
+        entries: trace.entries.filter(e => e.status !== 'not matched'),
+        injections: groups.map(({ placement, text }) => ({ placement: describePlacement(placement), text })),
+        totalTokens: trace.totalTokens,
+    });
+}
+
+// ============================================================================
+// Message Lore
+// ============================================================================
+
+/**
+ * @typedef {object} LoreOverride
+ * @property {string[]} exclude - Ids of entries to leave out
+ * @property {string[]} force - Ids of entries to inject whether they match or not
+ */
+
+/**
+ * @typedef {object} MessageLore
+ * @property {number} time - When the reply was generated
+ * @property {number} totalTokens
+ * @property {TraceEntry[]} entries - Injected and dropped entries
+ * @property {string[]} candidates - Ids of the other entries in scope, which a regeneration can force in
+ */
+
+/** @type {LoreOverride|null} Applied to the next generation, set by the message lore popup */
+let loreOverride = null;
+
+/** @type {MessageLore|null} Lore of the generation in progress, stored on the reply when it arrives */
+let pendingLore = null;
+
+/**
+ * Leave out and force in entries for a one-off regeneration.
+ * @param {VaultEntry[]} matched
+ * @param {LoreOverride|null} override
+ * @param {VaultEntry[]} entries - Every indexed entry, so entries out of scope can be forced too
+ * @returns {{ entries: VaultEntry[], excluded: VaultEntry[], forced: VaultEntry[] }} Matched entries without the excluded and forced ones, and both of those
+ */
+function applyLoreOverride(matched, override, entries) {
+    if (!override) return { entries: matched, excluded: [], forced: [] };
+    const exclude = new Set(override.exclude);
+    const force = new Set(override.force.filter(id => !exclude.has(id)));
+    return {
+        entries: matched.filter(e => !exclude.has(e.id) && !force.has(e.id)),
+        excluded: matched.filter(e => exclude.has(e.id)),
+        forced: entries.filter(e => force.has(e.id)),
+    };
+}
+
+/**
+ * Keep what a generation injected and dropped, small enough to store with the message.
+ * Unmatched entries only keep their ids; disabled ones can't be forced, so they aren't kept.
+ * @param {GenerationTrace} trace
+ * @returns {MessageLore}
+ */
+function buildMessageLore(trace) {
+    return {
+        time: trace.time,
+        totalTokens: trace.totalTokens,
+        entries: trace.entries
+            .filter(e => e.status !== 'not matched')
+            .map(({ id, title, vault, status, matchedKey, step, reason, tokens }) => ({ id, title, vault, status, matchedKey, step, reason, tokens })),
+        candidates: trace.entries
+            .filter(e => e.status === 'not matched' && e.reason !== 'disabled')
+            .map(e => e.id),
+    };
+}
+
+/**
+ * Remember a generation's lore until its reply arrives. Continues and impersonations
+ * don't produce a new reply, so they keep the lore that is already stored.
+ * @param {GenerationTrace} trace
+ * @param {string} type
+ */
+function setPendingLore(trace, type) {
+    pendingLore = type === 'continue' || type === 'impersonate' ? null : buildMessageLore(trace);
+}
 
-        // Match entries (now takes chat array for per-entry scan depth)
-        const { matched, matchedKeys } = matchEntries(chat);
+/**
+ * Store the pending lore in a new reply's extra data, and in its swipe's extra data
+ * so that swiping back and forth shows the lore of each swipe.
+ * @param {number} messageId
+ */
+function storeMessageLore(messageId) {
+    const message = getContext().chat[messageId];
+    if (!pendingLore || !message || message.is_user) return;
+
+    message.extra ??= {};
+    message.extra.deeplore = pendingLore;
+    const swipe = message.swipe_info?.[message.swipe_id ?? 0];
+    if (swipe) {
+        swipe.extra ??= {};
+        swipe.extra.deeplore = pendingLore;
+    }
+    pendingLore = null;
+    saveChatDebounced();
+}
 
-        if (matched.length === 0) {
-            if (settings.debugMode) {
-                console.debug('[DeepLore] No entries matched');
+/**
+ * Show the lore used for a reply. On the last reply, entries can be left out or forced
+ * in for a regeneration.
+ * @param {number} messageId
+ */
+async function showMessageLore(messageId) {
+    const { chat } = getContext();
+    const lore = chat[messageId]?.extra?.deeplore;
+    if (!lore) {
+        toastr.info('DeepLore has no record of the lore used for this message.', 'DeepLore');
+        return;
+    }
+
+    const canRegenerate = messageId === chat.length - 1 && !chat[messageId].is_user;
+    /** @type {LoreOverride|null} */
+    let choice = null;
+    let popup = null;
+
+    const content = $('<div class="deeplore_popup">');
+    const injected = lore.entries.filter(e => e.status === 'injected');
+    content.append($('<h3>').text('Lore used for this reply'));
+    content.append($('<small>').text(`${injected.length} entries, ~${lore.totalTokens} tokens, generated ${new Date(lore.time).toLocaleString()}`));
+
+    for (const status of ['injected', 'dropped']) {
+        const entries = lore.entries.filter(e => e.status === status);
+        if (entries.length === 0) continue;
+        content.append($('<h4>').text(status === 'injected' ? 'Injected' : 'Matched but left out'));
+        const table = $('<table>');
+        for (const entry of entries) {
+            const notes = [entry.matchedKey, entry.step, entry.reason].filter(Boolean).join('; ');
+            const row = $('<tr>').append(
+                $('<td>').text(entry.title),
+                $('<td>').text(notes),
+                $('<td>').text(status === 'injected' ? `${entry.tokens} tokens` : ''),
+            );
+            // Disabled entries are never injected, even when forced
+            if (canRegenerate && entry.reason !== 'disabled') {
+                const label = status === 'injected' ? 'Regenerate without' : 'Regenerate forcing';
+                const button = $('<div class="menu_button menu_button_icon">')
+                    .append($('<i class="fa-solid fa-rotate">'), $('<span>').text(label))
+                    .on('click', () => {
+                        choice = status === 'injected' ? { exclude: [entry.id], force: [] } : { exclude: [], force: [entry.id] };
+                        popup.complete(POPUP_RESULT.AFFIRMATIVE);
+                    });
+                row.append($('<td>').append(button));
             }
-            return;
+            table.append(row);
         }
+        content.append(table);
+    }
 
-        // Format with budget
-        const { text: injectionText, count: injectedCount, totalTokens } = formatWithBudget(matched);
-
-        if (injectionText) {
-            setExtensionPrompt(
-                PROMPT_TAG,
-                injectionText,
-                settings.injectionPosition,
-                settings.injectionDepth,
-                settings.allowWIScan,
-                settings.injectionRole,
-            );
+    // Entries that were in scope but didn't match, if they are still indexed
+    const candidateIds = new Set(lore.candidates || []);
+    const candidates = vaultIndex.filter(e => candidateIds.has(e.id)).sort((a, b) => a.title.localeCompare(b.title));
+    if (canRegenerate && candidates.length > 0) {
+        content.append($('<h4>').text('Not matched'));
+        const select = $('<select class="text_pole">').append(candidates.map(e => $('<option>').val(e.id).text(e.title)));
+        const button = $('<div class="menu_button menu_button_icon">')
+            .append($('<i class="fa-solid fa-rotate">'), $('<span>').text('Regenerate forcing'))
+            .on('click', () => {
+                choice = { exclude: [], force: [String(select.val())] };
+                popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            });
+        content.append($('<div class="flex-container alignItemsCenter">').append(select, button));
+    }
 
-            // Context usage warning
-            if (contextSize > 0) {
-                const ratio = totalTokens / contextSize;
-                if (ratio > 0.20 && ratio > lastWarningRatio + 0.05) {
-                    const pct = Math.round(ratio * 100);
-                    toastr.warning(
-                        `${injectedCount} entries injected (~${totalTokens} tokens, ${pct}% of context). Consider setting a token budget.`,
-                        'DeepLore',
-                        { preventDuplicates: true, timeOut: 8000 },
-                    );
-                    lastWarningRatio = ratio;
-                }
-            }
+    popup = new Popup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true, okButton: 'Close' });
+    await popup.show();
+    if (!choice) return;
 
-            if (settings.debugMode) {
-                console.log(`[DeepLore] ${matched.length} matched, ${injectedCount} injected, ~${totalTokens} tokens` +
-                    (contextSize > 0 ? ` (${Math.round(totalTokens / contextSize * 100)}% of ${contextSize} context)` : ''));
-                console.table(matched.slice(0, injectedCount).map(e => ({
-                    title: e.title,
-                    matchedKey: matchedKeys.get(e.title) || '?',
-                    priority: e.priority,
-                    tokens: e.tokenEstimate,
-                    constant: e.constant,
-                })));
-            }
-        }
-    } catch (err) {
-        console.error('[DeepLore] Error during generation:', err);
+    loreOverride = choice;
+    // The same path as SillyTavern's Regenerate option: group chats pick the speaker themselves
+    if (selected_group) {
+        await regenerateGroup();
+    } else {
+        await Generate('regenerate');
     }
 }
 
-// Register the interceptor on globalThis so SillyTavern can find it
-globalThis.deepLore_onGenerate = onGenerate;
-
 // ============================================================================
 // UI & Settings Binding
 // ============================================================================
@@ -598,26 +3832,262 @@ globalThis.deepLore_onGenerate = onGenerate;
 function updateIndexStats() {
     const statsEl = document.getElementById('deeplore_index_stats');
     if (statsEl) {
+        const errorCount = countParseErrors();
         if (vaultIndex.length > 0) {
             const totalKeys = vaultIndex.reduce((sum, e) => sum + e.keys.length, 0);
             const constants = vaultIndex.filter(e => e.constant).length;
             const totalTokens = vaultIndex.reduce((sum, e) => sum + e.tokenEstimate, 0);
-            statsEl.textContent = `${vaultIndex.length} entries (${totalKeys} keywords, ${constants} always-send, ~${totalTokens} total tokens)`;
+            const vaults = vaultStates.size > 1 ? ` from ${vaultStates.size} vaults` : '';
+            const errors = errorCount > 0 ? `, ${errorCount} frontmatter errors` : '';
+            statsEl.textContent = `${vaultIndex.length} entries${vaults} (${totalKeys} keywords, ${constants} always-send, ~${totalTokens} total tokens${errors})`;
+        } else if (errorCount > 0) {
+            statsEl.textContent = `No entries indexed (${errorCount} frontmatter errors).`;
         } else {
             statsEl.textContent = 'No index loaded.';
         }
     }
 }
 
+/**
+ * Clean a vault note with the current settings, for the before/after preview.
+ * @param {string} name - Entry title, note name or vault path
+ * @returns {{ before: string, after: string }|null} null if the note isn't in the loaded vault
+ */
+function previewCleaning(name) {
+    const settings = getSettings();
+    const wanted = name.trim().toLowerCase();
+    if (!wanted) return null;
+    const entry = vaultIndex.find(e => e.title.toLowerCase() === wanted || e.title.split(' › ')[0].toLowerCase() === wanted);
+    let files;
+    let vault;
+    let filename;
+    if (entry) {
+        files = getVaultState(entry.vault).files;
+        vault = createVaultFiles(files);
+        filename = entry.filename;
+    } else {
+        // Not an indexed entry: look the note up by name in each vault
+        for (const state of vaultStates.values()) {
+            vault = createVaultFiles(state.files);
+            filename = vault.names.get(normalizeNoteTarget(name));
+            if (filename) {
+                files = state.files;
+                break;
+            }
+        }
+    }
+    if (!filename || !files?.has(filename)) return null;
+
+    const { body } = parseFrontmatter(files.get(filename));
+    const expanded = settings.resolveEmbeds ? expandEmbeds(body, filename, vault, settings.maxEmbedDepth).text : body;
+    return { before: body, after: cleanContent(expanded, getCleanRules(settings)) };
+}
+
+/**
+ * Describe how the server plugin reached a vault, as reported by its /test endpoint.
+ * @param {{ url: string, tls: string|null, fingerprint: string|null }} connection
+ * @returns {string} e.g. "https://127.0.0.1:27124, self-signed certificate SHA-256 E4:52:…"
+ */
+function describeTestedConnection({ url, tls, fingerprint }) {
+    const certificate = {
+        'self-signed': 'self-signed certificate',
+        'pin': 'pinned certificate',
+        'insecure': 'certificate not checked',
+    }[tls];
+    return [url, certificate, fingerprint && `SHA-256 ${fingerprint}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Test a vault connection and show the result in its status element.
+ * @param {VaultConnection} vault
+ * @param {JQuery} statusEl
+ */
+async function testVaultConnection(vault, statusEl) {
+    statusEl.text('Testing...').removeClass('success failure');
+
+    try {
+        const response = await fetch(`${PLUGIN_BASE}/test`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(getConnectionPayload(vault)),
+        });
+
+        const data = await response.json();
+        const via = data.connection ? ` via ${describeTestedConnection(data.connection)}` : '';
+
+        if (data.ok) {
+            const authStatus = data.authenticated ? 'authenticated' : 'not authenticated';
+            statusEl.text(`Connected (${authStatus})${via}`).addClass('success').removeClass('failure');
+        } else {
+            statusEl.text(`Failed: ${data.error}${via}`).addClass('failure').removeClass('success');
+        }
+    } catch (err) {
+        statusEl.text(`Error: ${err.message}`).addClass('failure').removeClass('success');
+    }
+}
+
+/**
+ * Render one settings row per vault connection and bind its inputs.
+ */
+function renderVaultList() {
+    const settings = getSettings();
+    const template = /** @type {HTMLTemplateElement} */ (document.getElementById('deeplore_vault_template'));
+    const list = $('#deeplore_vault_list').empty();
+    if (!template) return;
+
+    for (const vault of settings.vaults) {
+        const row = $(template.content.cloneNode(true)).children().first();
+        row.toggleClass('disabled', !vault.enabled);
+        row.find('[data-field="enabled"]').prop('checked', vault.enabled).on('change', function () {
+            vault.enabled = $(this).prop('checked');
+            row.toggleClass('disabled', !vault.enabled);
+            saveSettingsDebounced();
+        });
+        row.find('[data-field="name"]').val(vault.name).on('input', function () {
+            vault.name = String($(this).val()).trim() || 'Vault';
+            saveSettingsDebounced();
+        });
+        const showTlsFields = () => {
+            row.find('.deeplore_vault_tls').toggle(vault.protocol === 'https');
+            row.find('.deeplore_vault_fingerprint').toggle(vault.protocol === 'https' && vault.tls === 'pin');
+        };
+        showTlsFields();
+        row.find('[data-field="protocol"]').val(vault.protocol).on('change', function () {
+            vault.protocol = String($(this).val());
+            // Switch between the Local REST API's default ports
+            const defaultPort = { http: 27123, https: 27124 };
+            if (vault.port === defaultPort[vault.protocol === 'https' ? 'http' : 'https']) {
+                vault.port = defaultPort[vault.protocol];
+                row.find('[data-field="port"]').val(vault.port);
+            }
+            showTlsFields();
+            saveSettingsDebounced();
+        });
+        row.find('[data-field="host"]').val(vault.host).on('input', function () {
+            vault.host = String($(this).val()).trim() || '127.0.0.1';
+            saveSettingsDebounced();
+        });
+        row.find('[data-field="port"]').val(vault.port).on('input', function () {
+            vault.port = Number($(this).val()) || 27123;
+            saveSettingsDebounced();
+        });
+        row.find('[data-field="tls"]').val(vault.tls).on('change', function () {
+            vault.tls = String($(this).val());
+            showTlsFields();
+            saveSettingsDebounced();
+        });
+        row.find('[data-field="certFingerprint"]').val(vault.certFingerprint).on('input', function () {
+            vault.certFingerprint = String($(this).val()).trim();
+            saveSettingsDebounced();
+        });
+        const showKeyStatus = () => {
+            const status = apiKeyStatus.get(vault.id);
+            const statusText = {
+                stored: 'Key stored on server',
+                none: 'No key stored',
+                moved: 'Address changed - paste the key again to use it here',
+            };
+            row.find('[data-field="apiKey"]').attr('placeholder', status === 'stored' ? 'Key stored - paste a new key to replace it' : 'Paste your API key');
+            row.find('.deeplore_vault_key_status').text(statusText[status] || '');
+            row.find('.deeplore_vault_clear_key').toggle(status === 'stored' || status === 'moved');
+        };
+        showKeyStatus();
+        // A stored key is only sent to the address it was stored for
+        row.find('[data-field="protocol"], [data-field="host"], [data-field="port"], [data-field="tls"], [data-field="certFingerprint"]')
+            .on('change', () => loadApiKeyStatus([vault]).then(showKeyStatus));
+        // The key goes straight to the server plugin and is never shown again
+        row.find('[data-field="apiKey"]').on('change', async function () {
+            const apiKey = String($(this).val()).trim();
+            if (!apiKey) return;
+            $(this).val('');
+            try {
+                await storeApiKey(vault, apiKey);
+            } catch (err) {
+                toastr.error(`Could not store the API key: ${err.message}`, 'DeepLore');
+            }
+            showKeyStatus();
+        });
+        row.find('.deeplore_vault_clear_key').on('click', async function () {
+            try {
+                await storeApiKey(vault, '');
+            } catch (err) {
+                toastr.error(`Could not remove the API key: ${err.message}`, 'DeepLore');
+            }
+            showKeyStatus();
+        });
+        row.find('[data-field="lorebookTag"]').val(vault.lorebookTag).on('input', function () {
+            vault.lorebookTag = String($(this).val()).trim() || 'lorebook';
+            saveSettingsDebounced();
+        });
+        for (const field of ['constantTag', 'neverInsertTag']) {
+            row.find(`[data-field="${field}"]`).val(vault[field]).on('input', function () {
+                vault[field] = String($(this).val()).trim();
+                saveSettingsDebounced();
+            });
+        }
+        row.find('.deeplore_vault_test').on('click', () => testVaultConnection(vault, row.find('.deeplore_status')));
+        // At least one connection stays configured
+        row.find('.deeplore_vault_remove').toggle(settings.vaults.length > 1).on('click', function () {
+            settings.vaults.splice(settings.vaults.indexOf(vault), 1);
+            saveSettingsDebounced();
+            renderVaultList();
+            storeApiKey(vault, '').catch(err => console.warn('[DeepLore] Could not remove the stored API key:', err));
+            deleteOfflineSnapshot(vault.id).catch(() => {});
+        });
+        list.append(row);
+    }
+}
+
+/**
+ * Show the scope bindings for the active character/group and chat.
+ */
+function loadScopeUI() {
+    const settings = getSettings();
+    const context = getContext();
+    const bindingKey = getScopeBindingKey();
+    const characterBinding = bindingKey ? settings.characterScopes[bindingKey] || {} : {};
+    const chatBinding = context.chatId ? getChatState().scope || {} : {};
+
+    let target = 'No character selected';
+    if (context.groupId) {
+        const group = context.groups.find(g => g.id === context.groupId);
+        target = `Group: ${group?.name || context.groupId}`;
+    } else if (context.characters[context.characterId]) {
+        target = `Character: ${context.characters[context.characterId].name}`;
+    }
+
+    $('#deeplore_scope_target').text(target);
+    $('#deeplore_character_scope_folder').val(characterBinding.folder || '').prop('disabled', !bindingKey);
+    $('#deeplore_character_scope_tag').val(characterBinding.tag || '').prop('disabled', !bindingKey);
+    $('#deeplore_chat_scope_folder').val(chatBinding.folder || '').prop('disabled', !context.chatId);
+    $('#deeplore_chat_scope_tag').val(chatBinding.tag || '').prop('disabled', !context.chatId);
+    $('#deeplore_scope_summary').text(`Active scope: ${describeScope(getActiveScope())}`);
+}
+
 function loadSettingsUI() {
     const settings = getSettings();
 
     $('#deeplore_enabled').prop('checked', settings.enabled);
-    $('#deeplore_port').val(settings.obsidianPort);
-    $('#deeplore_api_key').val(settings.obsidianApiKey);
-    $('#deeplore_tag').val(settings.lorebookTag);
-    $('#deeplore_constant_tag').val(settings.constantTag);
-    $('#deeplore_never_insert_tag').val(settings.neverInsertTag);
+    renderVaultList();
+    $('#deeplore_duplicate_titles').val(settings.duplicateTitles);
+    $('#deeplore_inline_tags').prop('checked', settings.inlineTags);
+    $('#deeplore_aliases_as_keys').prop('checked', settings.aliasesAsKeys);
+    $('#deeplore_title_as_key').prop('checked', settings.titleAsKey);
+    $('#deeplore_split_sections').prop('checked', settings.splitSections);
+    $('#deeplore_clean_comments').prop('checked', settings.cleanComments);
+    $('#deeplore_clean_html_comments').prop('checked', settings.cleanHtmlComments);
+    $('#deeplore_clean_dataview').prop('checked', settings.cleanDataview);
+    $('#deeplore_clean_callouts').prop('checked', settings.cleanCallouts);
+    $('#deeplore_clean_footnotes').prop('checked', settings.cleanFootnotes);
+    $('#deeplore_clean_block_ids').prop('checked', settings.cleanBlockIds);
+    $('#deeplore_clean_html').prop('checked', settings.cleanHtml);
+    $('#deeplore_clean_tables').prop('checked', settings.tablesToText);
+    $('#deeplore_remove_callout_types').val(settings.removeCalloutTypes);
+    $('#deeplore_remove_sections').val(settings.removeSections);
+    $('#deeplore_resolve_embeds').prop('checked', settings.resolveEmbeds);
+    $('#deeplore_max_embed_depth').val(settings.maxEmbedDepth);
+    $('#deeplore_max_embed_depth').prop('disabled', !settings.resolveEmbeds);
+    $('#deeplore_new_entry_folder').val(settings.newEntryFolder);
     $('#deeplore_scan_depth').val(settings.scanDepth);
     $('#deeplore_max_entries').val(settings.maxEntries);
     $('#deeplore_unlimited_entries').prop('checked', settings.unlimitedEntries);
@@ -625,6 +4095,8 @@ function loadSettingsUI() {
     $('#deeplore_token_budget').val(settings.maxTokensBudget);
     $('#deeplore_unlimited_budget').prop('checked', settings.unlimitedBudget);
     $('#deeplore_token_budget').prop('disabled', settings.unlimitedBudget);
+    $('#deeplore_budget_packing').val(settings.budgetPacking);
+    $('#deeplore_use_summaries').prop('checked', settings.useSummaries);
     $('#deeplore_template').val(settings.injectionTemplate);
     $(`input[name="deeplore_position"][value="${settings.injectionPosition}"]`).prop('checked', true);
     $('#deeplore_depth').val(settings.injectionDepth);
@@ -633,12 +4105,25 @@ function loadSettingsUI() {
     $('#deeplore_recursive_scan').prop('checked', settings.recursiveScan);
     $('#deeplore_max_recursion').val(settings.maxRecursionSteps);
     $('#deeplore_max_recursion').prop('disabled', !settings.recursiveScan);
+    $('#deeplore_link_recursion').prop('checked', settings.linkRecursion);
+    $('#deeplore_max_link_hops').val(settings.maxLinkHops);
+    $('#deeplore_max_link_hops').prop('disabled', !settings.linkRecursion);
+    $('#deeplore_group_selection').val(settings.groupSelection);
+    $('#deeplore_keep_group_pick').prop('checked', settings.keepGroupPickOnSwipe);
+    $('#deeplore_random_seed').val(settings.randomSeed);
+    $('#deeplore_relevance_ranking').prop('checked', settings.relevanceRanking);
+    $('#deeplore_relevance_weight').val(settings.relevanceWeight);
+    $('#deeplore_relevance_weight').prop('disabled', !settings.relevanceRanking);
     $('#deeplore_cache_ttl').val(settings.cacheTTL);
+    $('#deeplore_live_sync').prop('checked', settings.liveSync);
+    $('#deeplore_live_sync_interval').val(settings.liveSyncInterval);
+    $('#deeplore_live_sync_interval').prop('disabled', !settings.liveSync);
     $('#deeplore_review_tokens').val(settings.reviewResponseTokens);
     $('#deeplore_case_sensitive').prop('checked', settings.caseSensitive);
     $('#deeplore_match_whole_words').prop('checked', settings.matchWholeWords);
     $('#deeplore_debug').prop('checked', settings.debugMode);
 
+    loadScopeUI();
     updateIndexStats();
 }
 
@@ -650,28 +4135,121 @@ function bindSettingsEvents() {
         saveSettingsDebounced();
     });
 
-    $('#deeplore_port').on('input', function () {
-        settings.obsidianPort = Number($(this).val()) || 27123;
+    $('#deeplore_add_vault').on('click', function () {
+        settings.vaults.push(createVaultConnection({ name: `Vault ${settings.vaults.length + 1}` }));
+        saveSettingsDebounced();
+        renderVaultList();
+    });
+
+    $('#deeplore_duplicate_titles').on('change', function () {
+        settings.duplicateTitles = String($(this).val());
+        saveSettingsDebounced();
+        if (vaultStates.size > 0) {
+            mergeVaultIndexes(settings);
+            rebuildDerivedIndexes();
+            updateIndexStats();
+        }
+    });
+
+    $('#deeplore_inline_tags').on('change', function () {
+        settings.inlineTags = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_aliases_as_keys').on('change', function () {
+        settings.aliasesAsKeys = $(this).prop('checked');
         saveSettingsDebounced();
     });
 
-    $('#deeplore_api_key').on('input', function () {
-        settings.obsidianApiKey = String($(this).val());
+    $('#deeplore_title_as_key').on('change', function () {
+        settings.titleAsKey = $(this).prop('checked');
         saveSettingsDebounced();
     });
 
-    $('#deeplore_tag').on('input', function () {
-        settings.lorebookTag = String($(this).val()).trim() || 'lorebook';
+    $('#deeplore_split_sections').on('change', function () {
+        settings.splitSections = $(this).prop('checked');
         saveSettingsDebounced();
     });
 
-    $('#deeplore_constant_tag').on('input', function () {
-        settings.constantTag = String($(this).val()).trim();
+    $('#deeplore_clean_comments').on('change', function () {
+        settings.cleanComments = $(this).prop('checked');
         saveSettingsDebounced();
     });
 
-    $('#deeplore_never_insert_tag').on('input', function () {
-        settings.neverInsertTag = String($(this).val()).trim();
+    $('#deeplore_clean_html_comments').on('change', function () {
+        settings.cleanHtmlComments = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_dataview').on('change', function () {
+        settings.cleanDataview = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_callouts').on('change', function () {
+        settings.cleanCallouts = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_footnotes').on('change', function () {
+        settings.cleanFootnotes = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_block_ids').on('change', function () {
+        settings.cleanBlockIds = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_html').on('change', function () {
+        settings.cleanHtml = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_tables').on('change', function () {
+        settings.tablesToText = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_remove_callout_types').on('input', function () {
+        settings.removeCalloutTypes = String($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_remove_sections').on('input', function () {
+        settings.removeSections = String($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_clean_preview_note').on('focus', function () {
+        const titles = [...new Set(vaultIndex.map(e => e.title.split(' › ')[0]))].sort();
+        $('#deeplore_clean_preview_notes').empty().append(titles.map(title => $('<option>').val(title)));
+    });
+
+    $('#deeplore_clean_preview').on('click', function () {
+        const preview = previewCleaning(String($('#deeplore_clean_preview_note').val()));
+        if (!preview) {
+            toastr.warning('Note not found. Load the index first, then pick an indexed note or a vault note name.', 'DeepLore');
+            return;
+        }
+        $('#deeplore_clean_preview_before').val(preview.before);
+        $('#deeplore_clean_preview_after').val(preview.after);
+        $('#deeplore_clean_preview_output').show();
+    });
+
+    $('#deeplore_resolve_embeds').on('change', function () {
+        settings.resolveEmbeds = $(this).prop('checked');
+        $('#deeplore_max_embed_depth').prop('disabled', !settings.resolveEmbeds);
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_max_embed_depth').on('input', function () {
+        settings.maxEmbedDepth = Number($(this).val()) || 3;
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_new_entry_folder').on('input', function () {
+        settings.newEntryFolder = String($(this).val()).trim();
         saveSettingsDebounced();
     });
 
@@ -702,6 +4280,16 @@ function bindSettingsEvents() {
         saveSettingsDebounced();
     });
 
+    $('#deeplore_budget_packing').on('change', function () {
+        settings.budgetPacking = String($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_use_summaries').on('change', function () {
+        settings.useSummaries = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
     $('#deeplore_template').on('input', function () {
         settings.injectionTemplate = String($(this).val());
         saveSettingsDebounced();
@@ -738,11 +4326,64 @@ function bindSettingsEvents() {
         saveSettingsDebounced();
     });
 
+    $('#deeplore_link_recursion').on('change', function () {
+        settings.linkRecursion = $(this).prop('checked');
+        $('#deeplore_max_link_hops').prop('disabled', !settings.linkRecursion);
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_max_link_hops').on('input', function () {
+        settings.maxLinkHops = Number($(this).val()) || 1;
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_group_selection').on('change', function () {
+        settings.groupSelection = String($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_keep_group_pick').on('change', function () {
+        settings.keepGroupPickOnSwipe = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_random_seed').on('input', function () {
+        settings.randomSeed = String($(this).val()).trim();
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_relevance_ranking').on('change', function () {
+        settings.relevanceRanking = $(this).prop('checked');
+        $('#deeplore_relevance_weight').prop('disabled', !settings.relevanceRanking);
+        saveSettingsDebounced();
+    });
+
+    $('#deeplore_relevance_weight').on('input', function () {
+        const value = Number($(this).val());
+        settings.relevanceWeight = Number.isFinite(value) ? Math.min(100, Math.max(0, value)) : 70;
+        saveSettingsDebounced();
+    });
+
     $('#deeplore_cache_ttl').on('input', function () {
         settings.cacheTTL = Number($(this).val()) || 300;
         saveSettingsDebounced();
     });
 
+    $('#deeplore_live_sync').on('change', function () {
+        settings.liveSync = $(this).prop('checked');
+        $('#deeplore_live_sync_interval').prop('disabled', !settings.liveSync);
+        saveSettingsDebounced();
+        updateLiveWatches();
+    });
+
+    $('#deeplore_live_sync_interval').on('change', function () {
+        settings.liveSyncInterval = Number($(this).val()) || 10;
+        validateSettings(settings);
+        $(this).val(settings.liveSyncInterval);
+        saveSettingsDebounced();
+        updateLiveWatches();
+    });
+
     $('#deeplore_review_tokens').on('input', function () {
         settings.reviewResponseTokens = Number($(this).val()) || 0;
         saveSettingsDebounced();
@@ -763,32 +4404,44 @@ function bindSettingsEvents() {
         saveSettingsDebounced();
     });
 
-    // Test Connection button
-    $('#deeplore_test_connection').on('click', async function () {
-        const statusEl = $('#deeplore_connection_status');
-        statusEl.text('Testing...').removeClass('success failure');
+    $('#deeplore_inspector_history').on('change', function () {
+        renderInspector(Number($(this).val()));
+    });
 
-        try {
-            const response = await fetch(`${PLUGIN_BASE}/test`, {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    port: settings.obsidianPort,
-                    apiKey: settings.obsidianApiKey,
-                }),
-            });
+    $('#deeplore_inspector_unmatched').on('change', function () {
+        renderInspector(Number($('#deeplore_inspector_history').val()) || 0);
+    });
 
-            const data = await response.json();
+    $('#deeplore_character_scope_folder, #deeplore_character_scope_tag').on('input', function () {
+        const bindingKey = getScopeBindingKey();
+        if (!bindingKey) return;
+        const binding = {
+            folder: normalizeFolder($('#deeplore_character_scope_folder').val()),
+            tag: String($('#deeplore_character_scope_tag').val()).trim(),
+        };
+        if (binding.folder || binding.tag) {
+            settings.characterScopes[bindingKey] = binding;
+        } else {
+            delete settings.characterScopes[bindingKey];
+        }
+        $('#deeplore_scope_summary').text(`Active scope: ${describeScope(getActiveScope())}`);
+        saveSettingsDebounced();
+    });
 
-            if (data.ok) {
-                const authStatus = data.authenticated ? 'authenticated' : 'not authenticated';
-                statusEl.text(`Connected (${authStatus})`).addClass('success').removeClass('failure');
-            } else {
-                statusEl.text(`Failed: ${data.error}`).addClass('failure').removeClass('success');
-            }
-        } catch (err) {
-            statusEl.text(`Error: ${err.message}`).addClass('failure').removeClass('success');
+    $('#deeplore_chat_scope_folder, #deeplore_chat_scope_tag').on('input', function () {
+        if (!getContext().chatId) return;
+        const binding = {
+            folder: normalizeFolder($('#deeplore_chat_scope_folder').val()),
+            tag: String($('#deeplore_chat_scope_tag').val()).trim(),
+        };
+        const state = getChatState();
+        if (binding.folder || binding.tag) {
+            state.scope = binding;
+        } else {
+            delete state.scope;
         }
+        $('#deeplore_scope_summary').text(`Active scope: ${describeScope(getActiveScope())}`);
+        saveMetadataDebounced();
     });
 
     // Refresh Index button
@@ -796,6 +4449,8 @@ function bindSettingsEvents() {
         $('#deeplore_index_stats').text('Refreshing...');
         vaultIndex = [];
         indexTimestamp = 0;
+        vaultStates.clear();
+        await clearServerIndexCache();
         await buildIndex();
     });
 }
@@ -810,6 +4465,8 @@ function registerSlashCommands() {
         callback: async () => {
             vaultIndex = [];
             indexTimestamp = 0;
+            vaultStates.clear();
+            await clearServerIndexCache();
             await buildIndex();
             const msg = `Indexed ${vaultIndex.length} entries.`;
             toastr.success(msg, 'DeepLore');
@@ -823,18 +4480,24 @@ function registerSlashCommands() {
         name: 'deeplore-status',
         callback: async () => {
             const settings = getSettings();
+            const scope = getActiveScope();
             const constants = vaultIndex.filter(e => e.constant).length;
             const totalTokens = vaultIndex.reduce((sum, e) => sum + e.tokenEstimate, 0);
+            const parseErrors = [...vaultStates].flatMap(([id, state]) => {
+                const name = settings.vaults.find(v => v.id === id)?.name ?? id;
+                return [...state.errors.keys()].map(filename => `${name}/${filename}`);
+            });
             const lines = [
                 `Enabled: ${settings.enabled}`,
-                `Port: ${settings.obsidianPort}`,
-                `Lorebook Tag: #${settings.lorebookTag}`,
-                `Always-Send Tag: ${settings.constantTag ? '#' + settings.constantTag : '(none)'}`,
-                `Never-Insert Tag: ${settings.neverInsertTag ? '#' + settings.neverInsertTag : '(none)'}`,
+                ...settings.vaults.map(vault => `Vault ${describeVaultHealth(vault)}`),
                 `Entries: ${vaultIndex.length} (${constants} always-send, ~${totalTokens} tokens)`,
+                `Duplicate Titles: ${duplicateEntries.length} (${settings.duplicateTitles === 'all' ? 'all kept' : 'first vault wins'})`,
+                `Scope: ${describeScope(scope)}, ${vaultIndex.filter(e => isEntryInScope(e, scope)).length} entries eligible`,
+                `Frontmatter Errors: ${parseErrors.length > 0 ? parseErrors.join(', ') : 'none'}`,
                 `Budget: ${settings.unlimitedBudget ? 'unlimited' : settings.maxTokensBudget + ' tokens'}`,
                 `Max Entries: ${settings.unlimitedEntries ? 'unlimited' : settings.maxEntries}`,
                 `Recursive: ${settings.recursiveScan ? 'on (max ' + settings.maxRecursionSteps + ' steps)' : 'off'}`,
+                `Link Recursion: ${settings.linkRecursion ? 'on (max ' + settings.maxLinkHops + ' hops)' : 'off'}`,
                 `Cache: ${indexTimestamp ? Math.round((Date.now() - indexTimestamp) / 1000) + 's old' : 'none'} / TTL ${settings.cacheTTL}s`,
             ];
             const msg = lines.join('\n');
@@ -845,6 +4508,139 @@ function registerSlashCommands() {
         returns: 'Status information',
     }));
 
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'deeplore-test',
+        callback: async (args, text) => {
+            try {
+                const { trace, groups } = await testLore(String(text || '').trim());
+                if (args.format !== 'json') {
+                    await showTestResult(trace, groups);
+                }
+                return formatTestResult(trace, groups);
+            } catch (err) {
+                console.error('[DeepLore] Test failed:', err);
+                toastr.error(String(err.message || err), 'DeepLore');
+                return '';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: 'popup shows the trace, json only returns it',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'popup',
+                enumList: ['popup', 'json'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Text to match against (defaults to the current chat)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: 'Match entries against the given text, or the current chat, without generating anything. Shows which entries matched, the key and recursion step, priority, tokens, whether the budget kept them, and the exact injected text. Returns the trace as JSON, e.g. /deeplore-test format=json The goddess Eris | /echo',
+        returns: 'JSON trace: entries (id, title, vault, status, matchedKey, step, reason, priority, tokens, placement), injections (placement, text) and totalTokens',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'deeplore-new',
+        callback: async (args, title) => {
+            try {
+                const keys = args.keys ? String(args.keys).split(',').map(k => k.trim()).filter(Boolean) : undefined;
+                const priority = args.priority !== undefined && args.priority !== '' ? Number(args.priority) : undefined;
+                const filename = await createEntry(String(title || ''), {
+                    keys,
+                    priority: Number.isFinite(priority) ? priority : undefined,
+                    folder: args.folder !== undefined ? String(args.folder) : undefined,
+                    content: args.content ? String(args.content) : undefined,
+                    vault: args.vault ? String(args.vault) : undefined,
+                });
+                toastr.success(`Created ${filename}`, 'DeepLore');
+                return filename;
+            } catch (err) {
+                console.error('[DeepLore] Failed to create entry:', err);
+                toastr.error(String(err.message || err), 'DeepLore');
+                return '';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'keys',
+                description: 'Comma-separated trigger keys (defaults to the title)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'priority',
+                description: 'Entry priority (lower = injected first)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '100',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'folder',
+                description: 'Vault folder for the note (defaults to the New Entry Folder setting)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'content',
+                description: 'Note text. Defaults to the text selected in the chat, or an AI-drafted summary.',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'vault',
+                description: 'Name of the vault to create the note in (defaults to the first enabled vault)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Note title',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Create a new lorebook note in the Obsidian vault. The text comes from content=, the text selected in the chat, or an AI-drafted summary of the chat, e.g. /deeplore-new keys=Eris,goddess Eris',
+        returns: 'Vault path of the created note',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'deeplore-append',
+        callback: async (args, title) => {
+            try {
+                const filename = await appendToEntry(String(title || ''), {
+                    content: args.content ? String(args.content) : undefined,
+                    heading: args.heading ? String(args.heading) : undefined,
+                });
+                toastr.success(`Updated ${filename}`, 'DeepLore');
+                return filename;
+            } catch (err) {
+                console.error('[DeepLore] Failed to append to entry:', err);
+                toastr.error(String(err.message || err), 'DeepLore');
+                return '';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'content',
+                description: 'Paragraph to add. Defaults to the text selected in the chat, or an AI-drafted paragraph.',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'heading',
+                description: 'Add the paragraph at the end of this section instead of the end of the note',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Title of an indexed entry',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Add a paragraph to an existing lorebook note. The text comes from content=, the text selected in the chat, or an AI-drafted paragraph, e.g. /deeplore-append Eris',
+        returns: 'Vault path of the updated note',
+    }));
+
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'deeplore-review',
         callback: async (_args, userPrompt) => {
@@ -901,6 +4697,32 @@ jQuery(async function () {
         bindSettingsEvents();
         registerSlashCommands();
 
+        // Move plaintext API keys of earlier versions to the server, then show which vaults have one
+        await migrateApiKeys(getSettings());
+        await loadApiKeyStatus(getSettings().vaults);
+        renderVaultList();
+        updateLiveWatches();
+
+        eventSource.on(event_types.CHAT_CHANGED, () => {
+            loadScopeUI();
+        });
+
+        // Record the lore of each reply, with a button on every message to show it
+        eventSource.on(event_types.MESSAGE_RECEIVED, storeMessageLore);
+        $('#message_template .mes_buttons .extraMesButtons').prepend('<div title="Lore used for this reply" class="mes_button deeplore_message_lore_button fa-solid fa-book-atlas"></div>');
+        $(document).on('click', '.deeplore_message_lore_button', function () {
+            showMessageLore(Number($(this).closest('.mes').attr('mesid')));
+        });
+
+        // Remember text selected in the chat for /deeplore-new and /deeplore-append
+        document.addEventListener('selectionchange', () => {
+            const selection = window.getSelection();
+            if (!selection || selection.isCollapsed) return;
+            if (document.getElementById('chat')?.contains(selection.anchorNode)) {
+                lastChatSelection = selection.toString().trim();
+            }
+        });
+
         console.log('[DeepLore] Client extension initialized');
     } catch (err) {
         console.error('[DeepLore] Failed to initialize:', err);
@@ -1,4 +1,9 @@
 const http = require('node:http');
+const https = require('node:https');
+const tls = require('node:tls');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
 
 const info = {
     id: 'deeplore',
@@ -6,28 +11,357 @@ const info = {
     description: 'Proxies requests to the Obsidian Local REST API for vault-based lorebook functionality',
 };
 
+// ============================================================================
+// Connection
+// ============================================================================
+
+/** How HTTPS certificates are checked */
+const TLS_MODES = ['self-signed', 'pin', 'insecure'];
+
+/**
+ * @typedef {object} Connection
+ * @property {string} protocol - 'http' or 'https'
+ * @property {string} host - Host name or IP of the machine running Obsidian
+ * @property {number} port - Obsidian REST API port
+ * @property {string} apiKey - Bearer token, looked up from the stored credentials
+ * @property {string} tls - HTTPS certificate check: 'self-signed', 'pin' or 'insecure'
+ * @property {string} fingerprint - SHA-256 certificate fingerprint for 'pin' (colon-separated hex)
+ * @property {string} [trusted] - Fingerprint trusted on first use in 'self-signed' mode, kept with the stored credential
+ */
+
+/**
+ * Normalize a SHA-256 certificate fingerprint to Node's format: uppercase hex pairs joined by colons.
+ * @param {string} fingerprint - Any case, with or without colons or spaces
+ * @returns {string} Normalized fingerprint, or '' if it isn't 32 bytes of hex
+ */
+function normalizeFingerprint(fingerprint) {
+    const hex = String(fingerprint || '').replace(/^sha-?256(\s+fingerprint)?\s*[:=]?\s*/i, '').replace(/[\s:]/g, '').toUpperCase();
+    return /^[0-9A-F]{64}$/.test(hex) ? hex.match(/../g).join(':') : '';
+}
+
+/**
+ * Read the connection settings from a request body.
+ * @param {object} body - Request body with port and optional host, protocol, tls and fingerprint
+ * @param {string} [apiKey] - API key stored for the connection
+ * @returns {Connection}
+ * @throws {Error} If a setting is invalid
+ */
+function parseConnection(body, apiKey = '') {
+    const protocol = body.protocol || 'http';
+    if (protocol !== 'http' && protocol !== 'https') {
+        throw new Error(`Unknown protocol "${protocol}"`);
+    }
+    const port = Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid port "${body.port}"`);
+    }
+    const host = String(body.host || '127.0.0.1').trim();
+    if (!/^[\w.-]+$|^\[[0-9a-fA-F:.]+\]$/.test(host)) {
+        throw new Error(`Invalid host "${host}"`);
+    }
+    const mode = body.tls || 'self-signed';
+    if (!TLS_MODES.includes(mode)) {
+        throw new Error(`Unknown certificate mode "${mode}"`);
+    }
+    const fingerprint = normalizeFingerprint(body.fingerprint);
+    if (protocol === 'https' && mode === 'pin' && !fingerprint) {
+        throw new Error('Certificate pinning needs a SHA-256 fingerprint');
+    }
+    return { protocol, host, port, apiKey, tls: mode, fingerprint };
+}
+
+/**
+ * Key identifying the Obsidian instance a connection points to.
+ * @param {Connection} connection
+ * @returns {string}
+ */
+function connectionKey({ protocol, host, port }) {
+    return `${protocol}://${host}:${port}`;
+}
+
+/**
+ * Certificates last seen for 'self-signed' and 'pin' connections, keyed by connectionKey.
+ * Only a cache: each connection still checks the fingerprint it expects.
+ * @type {Map<string, {pem: string, fingerprint: string}>}
+ */
+const trustedCertificates = new Map();
+
+/**
+ * Connect without verification and read the certificate the server presents.
+ * Nothing is sent over the connection.
+ * @param {Connection} connection
+ * @returns {Promise<{pem: string, fingerprint: string}>}
+ */
+function fetchServerCertificate({ host, port }) {
+    return new Promise((resolve, reject) => {
+        const socket = tls.connect({
+            host: host.replace(/^\[|\]$/g, ''),
+            port,
+            servername: /^[\d.]+$|:/.test(host) ? undefined : host,
+            rejectUnauthorized: false,
+            timeout: 10000,
+        }, () => {
+            const cert = socket.getPeerCertificate();
+            socket.end();
+            if (!cert || !cert.raw) {
+                return reject(new Error('Server presented no certificate'));
+            }
+            const pem = `-----BEGIN CERTIFICATE-----\n${cert.raw.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+            resolve({ pem, fingerprint: cert.fingerprint256 });
+        });
+        socket.on('error', reject);
+        socket.on('timeout', () => {
+            socket.destroy();
+            reject(new Error('TLS handshake timed out'));
+        });
+    });
+}
+
+/**
+ * Get the certificate to trust for an HTTPS connection. In 'pin' mode it must match the
+ * configured fingerprint; in 'self-signed' mode the one trusted on first use, once there is one.
+ * @param {Connection} connection
+ * @returns {Promise<{pem: string, fingerprint: string}>}
+ */
+async function getTrustedCertificate(connection) {
+    const key = connectionKey(connection);
+    const expected = connection.tls === 'pin' ? connection.fingerprint : connection.trusted;
+    let trusted = trustedCertificates.get(key);
+    if (!trusted || (expected && trusted.fingerprint !== expected)) {
+        trusted = await fetchServerCertificate(connection);
+        if (expected && trusted.fingerprint !== expected) {
+            throw new Error(connection.tls === 'pin'
+                ? `Certificate fingerprint ${trusted.fingerprint} does not match the pinned fingerprint`
+                : `Certificate fingerprint ${trusted.fingerprint} does not match the trusted ${expected}; test the connection to trust the new certificate`);
+        }
+        trustedCertificates.set(key, trusted);
+    }
+    return trusted;
+}
+
+/**
+ * Build the TLS options for a request to an HTTPS connection.
+ * @param {Connection} connection
+ * @returns {Promise<object>} Options for https.request
+ */
+async function getTlsOptions(connection) {
+    if (connection.tls === 'insecure') {
+        return { rejectUnauthorized: false };
+    }
+    const trusted = await getTrustedCertificate(connection);
+    return {
+        ca: trusted.pem,
+        // The certificate is trusted as-is, so it doesn't have to name the host (Obsidian may run on another machine)
+        checkServerIdentity: (_host, cert) => cert.fingerprint256 === trusted.fingerprint
+            ? undefined
+            : new Error(`Certificate changed: expected ${trusted.fingerprint}, got ${cert.fingerprint256}`),
+    };
+}
+
+/**
+ * Describe how a connection was made, for the connection test.
+ * @param {Connection} connection
+ * @returns {{url: string, protocol: string, tls: string|null, fingerprint: string|null}}
+ */
+function describeConnection(connection) {
+    const secure = connection.protocol === 'https';
+    const trusted = trustedCertificates.get(connectionKey(connection));
+    return {
+        url: connectionKey(connection),
+        protocol: connection.protocol,
+        tls: secure ? connection.tls : null,
+        fingerprint: secure && connection.tls !== 'insecure' && trusted ? trusted.fingerprint : null,
+    };
+}
+
+// ============================================================================
+// Credentials
+// ============================================================================
+
+/**
+ * Directory for the plugin's data, inside the SillyTavern user's data directory.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getDataDir(req) {
+    const root = req.user && req.user.directories ? req.user.directories.root : path.join(__dirname, 'data');
+    return path.join(root, 'deeplore');
+}
+
 /**
- * Makes an HTTP request to the Obsidian Local REST API.
+ * Check that a connection ID from the client is safe to use as a key.
+ * @param {unknown} connectionId
+ * @returns {boolean}
+ */
+function isValidConnectionId(connectionId) {
+    return typeof connectionId === 'string' && /^[\w-]{1,64}$/.test(connectionId);
+}
+
+/**
+ * @typedef {object} StoredCredential
+ * @property {string} apiKey
+ * @property {string} protocol - Address the key was stored for; it is never sent anywhere else
+ * @property {string} host
+ * @property {number} port
+ * @property {string} tls
+ * @property {string} fingerprint
+ * @property {string} [trusted] - Certificate fingerprint trusted on first use
+ */
+
+/**
+ * Read the stored API keys of the requesting user.
+ * @param {import('express').Request} req
+ * @returns {Promise<Object<string, StoredCredential>>} connection ID -> key and address
+ */
+async function readCredentials(req) {
+    try {
+        const data = JSON.parse(await fs.promises.readFile(path.join(getDataDir(req), 'credentials.json'), 'utf8'));
+        return Object.assign(Object.create(null), data);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return Object.create(null);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Store the API keys of the requesting user, readable only by the server's OS user.
+ * @param {import('express').Request} req
+ * @param {Object<string, StoredCredential>} credentials - connection ID -> key and address
+ */
+async function writeCredentials(req, credentials) {
+    const dir = getDataDir(req);
+    const file = path.join(dir, 'credentials.json');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(credentials, null, 4), { mode: 0o600 });
+    await fs.promises.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Check whether two connections reach the same Obsidian instance the same way.
+ * For HTTPS the certificate handling must match too, since a weaker check could hand the key to another server.
+ * @param {Connection} a
+ * @param {Connection} b
+ * @returns {boolean}
+ */
+function isSameAddress(a, b) {
+    return connectionKey(a) === connectionKey(b)
+        && (a.protocol !== 'https' || (a.tls === b.tls && a.fingerprint === b.fingerprint));
+}
+
+/**
+ * Resolve the connection a request refers to from its stored credential. The API key is
+ * only ever sent to the address it was stored with, so a request body naming another
+ * address is refused rather than followed.
+ * @param {StoredCredential|undefined} stored
+ * @param {object} body - Request body; its address, if any, must match the stored one
+ * @returns {Connection|null} null if no key is stored
+ * @throws {Error} If the body names another address
+ */
+function resolveConnection(stored, body) {
+    if (!stored || typeof stored !== 'object' || !stored.apiKey) {
+        return null;
+    }
+    const connection = { ...parseConnection(stored, stored.apiKey), trusted: normalizeFingerprint(stored.trusted) };
+    if (body.port !== undefined) {
+        const requested = parseConnection(body);
+        if (!isSameAddress(requested, connection)) {
+            throw new Error(`The API key was stored for ${connectionKey(connection)}; enter it again to use it with ${connectionKey(requested)}`);
+        }
+    }
+    return connection;
+}
+
+/**
+ * Store the certificate fingerprint trusted for a connection with its credential, so it
+ * is required after a restart too. A credential stored for another address is left alone.
+ * @param {import('express').Request} req
+ * @param {string} connectionId
+ * @param {Connection} connection - Connection with the fingerprint to trust
+ */
+async function saveTrustedFingerprint(req, connectionId, connection) {
+    const credentials = await readCredentials(req);
+    const stored = credentials[connectionId];
+    if (!stored || !stored.apiKey || !isSameAddress(parseConnection(stored), connection)) {
+        return;
+    }
+    credentials[connectionId] = { ...stored, trusted: connection.trusted };
+    await writeCredentials(req, credentials);
+}
+
+/**
+ * Get the connection of a request, or answer the request with why there is none.
+ * A 'self-signed' connection without a trusted certificate trusts the one presented now.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<Connection|null>} null once the response has been sent
+ */
+async function requireConnection(req, res) {
+    const { connectionId } = req.body;
+    if (req.body.port !== undefined) {
+        // An address that doesn't parse is a bad request, not another address
+        try {
+            parseConnection(req.body);
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+            return null;
+        }
+    }
+    const credentials = isValidConnectionId(connectionId) ? await readCredentials(req) : {};
+    let connection;
+    try {
+        connection = resolveConnection(credentials[connectionId], req.body);
+    } catch (err) {
+        res.status(403).json({ error: err.message });
+        return null;
+    }
+    if (!connection) {
+        res.status(400).json({ error: 'No API key stored for this connection' });
+        return null;
+    }
+    if (connection.protocol === 'https' && connection.tls === 'self-signed' && !connection.trusted) {
+        connection.trusted = (await getTrustedCertificate(connection)).fingerprint;
+        await saveTrustedFingerprint(req, connectionId, connection);
+    }
+    return connection;
+}
+
+/**
+ * Makes an HTTP or HTTPS request to the Obsidian Local REST API.
  * @param {object} options
- * @param {number} options.port - Obsidian REST API port
- * @param {string} options.apiKey - Bearer token
+ * @param {Connection} options.connection - Where and how to connect
  * @param {string} options.path - API path (e.g. /vault/)
  * @param {string} [options.method='GET'] - HTTP method
  * @param {string} [options.accept='application/json'] - Accept header
+ * @param {string} [options.body] - Request body
+ * @param {string} [options.contentType] - Content-Type header for the body
+ * @param {object} [options.headers] - Additional request headers
  * @returns {Promise<{status: number, data: string}>}
  */
-function obsidianRequest({ port, apiKey, path, method = 'GET', accept = 'application/json' }) {
+async function obsidianRequest({ connection, path, method = 'GET', accept = 'application/json', body, contentType, headers: extraHeaders = {} }) {
+    const secure = connection.protocol === 'https';
+    const tlsOptions = secure ? await getTlsOptions(connection) : {};
+
     return new Promise((resolve, reject) => {
-        const req = http.request({
-            hostname: '127.0.0.1',
-            port: port,
+        const headers = {
+            ...extraHeaders,
+            'Authorization': `Bearer ${connection.apiKey}`,
+            'Accept': accept,
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = contentType || 'text/plain';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        const req = (secure ? https : http).request({
+            hostname: connection.host.replace(/^\[|\]$/g, ''),
+            port: connection.port,
             path: path,
             method: method,
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Accept': accept,
-            },
+            headers: headers,
             timeout: 30000,
+            ...tlsOptions,
         }, (res) => {
             let data = '';
             res.on('data', (chunk) => { data += chunk; });
@@ -45,6 +379,9 @@ function obsidianRequest({ port, apiKey, path, method = 'GET', accept = 'applica
             reject(new Error('Request timed out'));
         });
 
+        if (body !== undefined) {
+            req.write(body);
+        }
         req.end();
     });
 }
@@ -63,14 +400,13 @@ function encodeVaultPath(vaultPath) {
  * Recursively collects all file paths from the Obsidian vault directory listing.
  * The Obsidian REST API returns { files: [...] } where entries ending in / are directories.
  * Note: The API returns paths relative to the queried directory.
- * @param {number} port
- * @param {string} apiKey
+ * @param {Connection} connection
  * @param {string} directory - Directory path (e.g. '' for root, 'LA World')
  * @returns {Promise<string[]>} Array of full file paths
  */
-async function listAllFiles(port, apiKey, directory = '') {
+async function listAllFiles(connection, directory = '') {
     const urlPath = directory ? `/vault/${encodeVaultPath(directory)}/` : '/vault/';
-    const res = await obsidianRequest({ port, apiKey, path: urlPath });
+    const res = await obsidianRequest({ connection, path: urlPath });
 
     if (res.status !== 200) {
         throw new Error(`Failed to list files at "${directory}": HTTP ${res.status}`);
@@ -86,7 +422,7 @@ async function listAllFiles(port, apiKey, directory = '') {
             // It's a directory, recurse with the full path
             const dirName = file.slice(0, -1); // Remove trailing /
             const fullDirPath = prefix + dirName;
-            const subFiles = await listAllFiles(port, apiKey, fullDirPath);
+            const subFiles = await listAllFiles(connection, fullDirPath);
             allFiles.push(...subFiles);
         } else {
             allFiles.push(prefix + file);
@@ -96,28 +432,721 @@ async function listAllFiles(port, apiKey, directory = '') {
     return allFiles;
 }
 
+// ============================================================================
+// Incremental sync
+// ============================================================================
+
+/** Maximum number of sync snapshots kept per vault (oldest are evicted first), about one per open tab */
+const MAX_SYNC_SNAPSHOTS = 8;
+
+/**
+ * Snapshots of note versions handed out to clients: vault connectionKey -> sync token -> versions.
+ * @type {Map<string, Map<string, Object<string, string>>>}
+ */
+const syncSnapshots = new Map();
+
+/**
+ * Look up the note versions a sync token refers to.
+ * @param {string} connection - connectionKey of the vault
+ * @param {string} token
+ * @returns {Object<string, string>|null} filename -> version string, or null if the token is unknown or evicted
+ */
+function getSyncSnapshot(connection, token) {
+    const snapshots = syncSnapshots.get(connection);
+    return (token && snapshots && snapshots.get(token)) || null;
+}
+
+/**
+ * Store a snapshot of note versions and return the sync token that refers to it.
+ * The token the client synced from is retired, so each client holds one snapshot per vault.
+ * @param {string} connection - connectionKey of the vault the versions come from
+ * @param {Object<string, string>} versions - filename -> version string
+ * @param {string} [previousToken] - Token the client sent with this sync
+ * @returns {string} Sync token
+ */
+function saveSyncSnapshot(connection, versions, previousToken) {
+    let snapshots = syncSnapshots.get(connection);
+    if (!snapshots) {
+        snapshots = new Map();
+        syncSnapshots.set(connection, snapshots);
+    }
+    if (previousToken) {
+        snapshots.delete(previousToken);
+    }
+    const token = crypto.randomUUID();
+    snapshots.set(token, versions);
+    while (snapshots.size > MAX_SYNC_SNAPSHOTS) {
+        snapshots.delete(snapshots.keys().next().value);
+    }
+    return token;
+}
+
+/**
+ * Hash note content so unchanged notes can be recognized without a modification time.
+ * @param {string} content
+ * @returns {string}
+ */
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Compare two version maps and list what changed between them.
+ * @param {Object<string, string>} previous - filename -> version from the client's last sync
+ * @param {Object<string, string>} current - filename -> version now
+ * @returns {{ changed: string[], deleted: string[] }} Added or modified files, and removed files
+ */
+function diffVersions(previous, current) {
+    const changed = [];
+    const deleted = [];
+    for (const [filename, version] of Object.entries(current)) {
+        if (previous[filename] !== version) {
+            changed.push(filename);
+        }
+    }
+    for (const filename of Object.keys(previous)) {
+        if (!(filename in current)) {
+            deleted.push(filename);
+        }
+    }
+    return { changed, deleted };
+}
+
+/**
+ * List modification times of all markdown notes in a single request, using the
+ * Local REST API's JsonLogic search. Returns null if the search is unavailable.
+ * @param {Connection} connection
+ * @returns {Promise<Object<string, string>|null>} filename -> version string
+ */
+async function listNoteVersions(connection) {
+    try {
+        const res = await obsidianRequest({
+            connection,
+            path: '/search/',
+            method: 'POST',
+            body: JSON.stringify({ var: 'stat.mtime' }),
+            contentType: 'application/vnd.olrapi.jsonlogic+json',
+        });
+        if (res.status !== 200) {
+            return null;
+        }
+        const results = JSON.parse(res.data);
+        if (!Array.isArray(results)) {
+            return null;
+        }
+        const versions = {};
+        for (const { filename, result } of results) {
+            if (typeof filename === 'string' && filename.endsWith('.md')) {
+                versions[filename] = `mtime:${result}`;
+            }
+        }
+        return versions;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch the content of many notes in parallel batches of 10.
+ * Notes that fail to load are left out of the result.
+ * @param {Connection} connection
+ * @param {string[]} filenames
+ * @returns {Promise<{filename: string, content: string}[]>}
+ */
+async function fetchNotes(connection, filenames) {
+    const BATCH_SIZE = 10;
+    const results = [];
+
+    for (let i = 0; i < filenames.length; i += BATCH_SIZE) {
+        const batch = filenames.slice(i, i + BATCH_SIZE);
+        const batchResults = await Promise.all(
+            batch.map(async (filename) => {
+                try {
+                    const result = await obsidianRequest({
+                        connection,
+                        path: `/vault/${encodeVaultPath(filename)}`,
+                        accept: 'text/markdown',
+                    });
+                    if (result.status === 200) {
+                        return { filename, content: result.data };
+                    }
+                    return null;
+                } catch {
+                    return null;
+                }
+            }),
+        );
+        results.push(...batchResults.filter(Boolean));
+    }
+
+    return results;
+}
+
+// ============================================================================
+// Change notifications
+// ============================================================================
+
+/** Bounds for the change detection poll interval requested by clients, in seconds */
+const WATCH_INTERVAL = { min: 2, max: 300, default: 10 };
+
+/** How often an idle event stream sends a comment, so proxies don't close it */
+const WATCH_HEARTBEAT = 25000;
+
+/**
+ * @typedef {object} VaultWatcher
+ * @property {Connection} connection
+ * @property {number} interval - Poll interval in milliseconds (the shortest any listener asked for)
+ * @property {Object<string, string>|null} versions - Note versions seen at the last poll (null = not polled yet)
+ * @property {Map<function(string, object): void, number>} listeners - Listener -> poll interval it asked for
+ * @property {NodeJS.Timeout|null} timer
+ * @property {boolean} polling
+ */
+
+/**
+ * Vaults being polled for changes, shared by every client watching the same vault.
+ * @type {Map<string, VaultWatcher>}
+ */
+const vaultWatchers = new Map();
+
+/**
+ * Format one Server-Sent Event.
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ * @returns {string}
+ */
+function formatServerSentEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * List the current version of every markdown note: its modification time, or just
+ * its presence when the Local REST API search is unavailable (then only added and
+ * deleted notes are detected).
+ * @param {Connection} connection
+ * @returns {Promise<Object<string, string>>} filename -> version string
+ */
+async function listWatchVersions(connection) {
+    const mtimes = await listNoteVersions(connection);
+    if (mtimes) {
+        return mtimes;
+    }
+    const versions = {};
+    for (const filename of await listAllFiles(connection)) {
+        if (filename.endsWith('.md')) {
+            versions[filename] = 'listed';
+        }
+    }
+    return versions;
+}
+
+/**
+ * Send an event to every listener of a watcher.
+ * @param {VaultWatcher} watcher
+ * @param {string} event
+ * @param {object} data
+ */
+function notifyWatchers(watcher, event, data) {
+    for (const listener of watcher.listeners.keys()) {
+        listener(event, data);
+    }
+}
+
+/**
+ * Compare the vault's note versions against the previous poll and report the difference.
+ * The first poll only records the versions and reports 'ready'.
+ * @param {VaultWatcher} watcher
+ */
+async function pollVault(watcher) {
+    if (watcher.polling) return;
+    watcher.polling = true;
+    try {
+        const versions = await listWatchVersions(watcher.connection);
+        const total = Object.keys(versions).length;
+        if (!watcher.versions) {
+            watcher.versions = versions;
+            notifyWatchers(watcher, 'ready', { total });
+            return;
+        }
+        const { changed, deleted } = diffVersions(watcher.versions, versions);
+        watcher.versions = versions;
+        if (changed.length > 0 || deleted.length > 0) {
+            notifyWatchers(watcher, 'change', { changed, deleted, total });
+        }
+    } catch (err) {
+        notifyWatchers(watcher, 'error', { error: err.message });
+    } finally {
+        watcher.polling = false;
+    }
+}
+
+/**
+ * Poll a watcher at the shortest interval its listeners ask for, restarting the timer if that changed.
+ * @param {VaultWatcher} watcher
+ */
+function scheduleWatcher(watcher) {
+    const interval = Math.min(...watcher.listeners.values());
+    if (watcher.timer && interval === watcher.interval) return;
+    clearInterval(watcher.timer);
+    watcher.interval = interval;
+    watcher.timer = setInterval(() => pollVault(watcher), interval);
+}
+
+/**
+ * Watch a vault for note changes. Clients watching the same vault share one poller.
+ * The listener receives 'ready' once the vault has been listed, 'change' with the
+ * changed and deleted filenames, and 'error' when a poll fails.
+ * @param {Connection} connection
+ * @param {number} interval - Poll interval in milliseconds
+ * @param {function(string, object): void} listener - Called with the event name and data
+ * @returns {function(): void} Stops watching
+ */
+function watchVault(connection, interval, listener) {
+    const key = getVaultCacheKey(connection);
+    let watcher = vaultWatchers.get(key);
+    if (!watcher) {
+        watcher = { connection, interval, versions: null, listeners: new Map(), timer: null, polling: false };
+        vaultWatchers.set(key, watcher);
+        pollVault(watcher);
+    } else if (watcher.versions) {
+        listener('ready', { total: Object.keys(watcher.versions).length });
+    }
+    watcher.listeners.set(listener, interval);
+    scheduleWatcher(watcher);
+
+    return () => {
+        if (!watcher.listeners.delete(listener)) return;
+        if (watcher.listeners.size === 0) {
+            clearInterval(watcher.timer);
+            vaultWatchers.delete(key);
+        } else {
+            // The listener that wanted the fastest polls may have left
+            scheduleWatcher(watcher);
+        }
+    };
+}
+
+// ============================================================================
+// Index cache
+// ============================================================================
+
+/** Where parsed indexes are persisted, shared by all users of this SillyTavern server */
+const INDEX_CACHE_DIR = path.join(__dirname, 'data', 'index-cache');
+
+/** Cached indexes older than this are deleted from memory and disk regardless of the client's TTL */
+const INDEX_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/** Size of the cached indexes kept in memory; the least recently used are dropped beyond it */
+const INDEX_CACHE_MEMORY_LIMIT = 256 * 1024 * 1024;
+
+/** Size of the cache folder; the oldest files are deleted beyond it */
+const INDEX_CACHE_DISK_LIMIT = 1024 * 1024 * 1024;
+
+/**
+ * Parsed indexes and note copies in memory, keyed by cache file name, least recently used first.
+ * `size` is the length of the JSON they were read from or written as.
+ * @type {Map<string, {savedAt: number, index: object, size: number}>}
+ */
+const indexCache = new Map();
+
+/**
+ * @typedef {object} StoredNote
+ * @property {string} version - Modification time or content hash, as in sync snapshots
+ * @property {string} content
+ */
+
+/**
+ * @typedef {object} CachedNote
+ * @property {string} version - Version of the note the entries were parsed from
+ * @property {object[]} entries - Parsed entries of the note, none for notes outside the lorebook
+ * @property {string|null} error - Why the note could not be parsed
+ */
+
+/**
+ * @typedef {object} CachedIndex
+ * @property {Object<string, CachedNote>} files - filename -> parsed note
+ * @property {number} total - Notes in the vault
+ */
+
+/**
+ * Cache key prefix for a vault. Includes the API key, so only clients that could read
+ * the vault themselves can read its cached index.
+ * @param {Connection} connection
+ * @returns {string}
+ */
+function getVaultCacheKey(connection) {
+    return crypto.createHash('sha256').update(`${connectionKey(connection)}\n${connection.apiKey}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Cache file name for a vault parsed with particular client settings.
+ * @param {Connection} connection
+ * @param {string} signature - Client settings the index was parsed with
+ * @returns {string}
+ */
+function getIndexCacheName(connection, signature) {
+    return `${getVaultCacheKey(connection)}-${hashContent(String(signature)).slice(0, 16)}.json`;
+}
+
+/**
+ * Cache file name of the server's own copy of a vault's notes, which /index keeps up to date
+ * from the notes it downloads. Cached indexes are served with these instead of raw notes
+ * uploaded by clients.
+ * @param {Connection} connection
+ * @returns {string}
+ */
+function getNoteStoreName(connection) {
+    return `${getVaultCacheKey(connection)}-notes.json`;
+}
+
+/**
+ * Bring the copy of a vault's notes up to date with a sync.
+ * @param {Object<string, StoredNote>} stored - Notes copied so far
+ * @param {Object<string, string>} versions - Current version of every note
+ * @param {{filename: string, content: string}[]} downloaded - Notes downloaded by this sync
+ * @returns {{notes: Object<string, StoredNote>, changed: boolean}}
+ */
+function patchNoteStore(stored, versions, downloaded) {
+    const notes = {};
+    for (const [filename, version] of Object.entries(versions)) {
+        if (stored[filename]?.version === version) {
+            notes[filename] = stored[filename];
+        }
+    }
+    let changed = Object.keys(notes).length !== Object.keys(stored).length;
+    for (const note of downloaded) {
+        if (note.filename in versions && notes[note.filename]?.content !== note.content) {
+            notes[note.filename] = { version: versions[note.filename], content: note.content };
+            changed = true;
+        }
+    }
+    return { notes, changed };
+}
+
+/**
+ * Put a note written through /create or /append into the copy of the vault's notes. Its
+ * modification time isn't known until the next listing, so it is versioned by content,
+ * and the next sync downloads it again.
+ * @param {Connection} connection
+ * @param {string} filename
+ * @param {string} content
+ */
+async function storeWrittenNote(connection, filename, content) {
+    const name = getNoteStoreName(connection);
+    await queueCacheUpdate(name, async () => {
+        const stored = (await readIndexCache(name))?.index || {};
+        await writeIndexCache(name, { ...stored, [filename]: { version: `written:${hashContent(content)}`, content } });
+    });
+}
+
+/**
+ * Apply the parsed notes a client sends after a sync to a cached index. Each note is
+ * recorded with the version it was parsed from; notes the server doesn't know are ignored.
+ * @param {CachedIndex|null} index - Cached index to patch, ignored for a full update
+ * @param {Object<string, string>} versions - Known version of every note
+ * @param {{full: boolean, total: number, notes: Object<string, {entries: object[], error: string|null}>, removed: string[]}} update
+ * @returns {CachedIndex|null} null if a partial update has nothing to patch
+ */
+function patchCachedIndex(index, versions, { full, total, notes, removed }) {
+    if (!full && !index) {
+        return null;
+    }
+    const files = full ? {} : { ...index.files };
+    for (const filename of Array.isArray(removed) ? removed : []) {
+        delete files[filename];
+    }
+    for (const [filename, note] of Object.entries(notes && typeof notes === 'object' ? notes : {})) {
+        if (!(filename in versions) || !note || !Array.isArray(note.entries)) continue;
+        files[filename] = {
+            version: versions[filename],
+            entries: note.entries.filter(entry => entry && entry.filename === filename),
+            error: typeof note.error === 'string' ? note.error : null,
+        };
+    }
+    return { files, total: Number(total) || Object.keys(files).length };
+}
+
+/**
+ * Combine a cached index with the server's copy of the notes. Notes whose copy has another
+ * version than their entries are left out, and the client's next sync fetches them again.
+ * @param {CachedIndex} index
+ * @param {Object<string, StoredNote>} stored
+ * @returns {{entries: object[], errors: Object<string, string>, files: Object<string, string>, versions: Object<string, string>, total: number, partial: boolean}}
+ */
+function assembleCachedIndex(index, stored) {
+    const result = { entries: [], errors: {}, files: {}, versions: {}, total: index.total, partial: false };
+    for (const [filename, note] of Object.entries(index.files)) {
+        if (stored[filename]?.version !== note.version) {
+            result.partial = true;
+            continue;
+        }
+        result.entries.push(...note.entries);
+        if (note.error) {
+            result.errors[filename] = note.error;
+        }
+        result.files[filename] = stored[filename].content;
+        result.versions[filename] = note.version;
+    }
+    return result;
+}
+
+/**
+ * Choose cached items to evict: every item older than INDEX_CACHE_MAX_AGE, then the least
+ * recently used ones until the rest fit the size limit. The most recent item is always kept.
+ * @param {{name: string, savedAt: number, size: number}[]} items - Least recently used first
+ * @param {number} limit - Total size allowed
+ * @param {number} [now]
+ * @returns {string[]} Names of the items to evict
+ */
+function pickCacheEvictions(items, limit, now = Date.now()) {
+    const evict = [];
+    const fresh = [];
+    let total = 0;
+    for (const item of items) {
+        if (now - item.savedAt > INDEX_CACHE_MAX_AGE) {
+            evict.push(item.name);
+        } else {
+            fresh.push(item);
+            total += item.size;
+        }
+    }
+    for (const item of fresh.slice(0, -1)) {
+        if (total <= limit) break;
+        evict.push(item.name);
+        total -= item.size;
+    }
+    return evict;
+}
+
+/**
+ * Keep a cached index in memory as the most recently used one, dropping expired and least
+ * recently used indexes beyond INDEX_CACHE_MEMORY_LIMIT. Dropped indexes stay on disk.
+ * @param {string} name - Cache file name
+ * @param {{savedAt: number, index: object, size: number}} cached
+ */
+function rememberIndexCache(name, cached) {
+    indexCache.delete(name);
+    indexCache.set(name, cached);
+    const items = [...indexCache].map(([key, { savedAt, size }]) => ({ name: key, savedAt, size }));
+    for (const key of pickCacheEvictions(items, INDEX_CACHE_MEMORY_LIMIT)) {
+        indexCache.delete(key);
+    }
+}
+
+/**
+ * Delete expired cache files, then the oldest ones beyond INDEX_CACHE_DISK_LIMIT.
+ */
+async function pruneIndexCacheDir() {
+    const items = [];
+    for (const name of await fs.promises.readdir(INDEX_CACHE_DIR)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+            const stat = await fs.promises.stat(path.join(INDEX_CACHE_DIR, name));
+            items.push({ name, savedAt: stat.mtimeMs, size: stat.size });
+        } catch {
+            // Deleted by a concurrent prune or refresh
+        }
+    }
+    items.sort((a, b) => a.savedAt - b.savedAt);
+    await Promise.all(pickCacheEvictions(items, INDEX_CACHE_DISK_LIMIT).map(deleteIndexCache));
+}
+
+/**
+ * Get a cached index from memory, or from disk after a restart.
+ * @param {string} name - Cache file name
+ * @returns {Promise<{savedAt: number, index: object}|null>}
+ */
+async function readIndexCache(name) {
+    let cached = indexCache.get(name);
+    if (!cached) {
+        try {
+            const text = await fs.promises.readFile(path.join(INDEX_CACHE_DIR, name), 'utf8');
+            cached = { ...JSON.parse(text), size: text.length };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`[DeepLore] Ignoring unreadable index cache ${name}:`, err.message);
+            }
+            return null;
+        }
+    }
+    if (Date.now() - cached.savedAt > INDEX_CACHE_MAX_AGE) {
+        await deleteIndexCache(name);
+        return null;
+    }
+    rememberIndexCache(name, cached);
+    return cached;
+}
+
+/**
+ * Store a parsed index in memory and on disk, and prune both.
+ * @param {string} name - Cache file name
+ * @param {object} index
+ * @returns {Promise<number>} When the index was saved
+ */
+async function writeIndexCache(name, index) {
+    const savedAt = Date.now();
+    const text = JSON.stringify({ savedAt, index });
+    rememberIndexCache(name, { savedAt, index, size: text.length });
+    await fs.promises.mkdir(INDEX_CACHE_DIR, { recursive: true });
+    // Unique temp file, so concurrent saves from several tabs can't interleave
+    const temp = path.join(INDEX_CACHE_DIR, `${name}.${crypto.randomUUID()}.tmp`);
+    await fs.promises.writeFile(temp, text, { mode: 0o600 });
+    await fs.promises.rename(temp, path.join(INDEX_CACHE_DIR, name));
+    await pruneIndexCacheDir();
+    return savedAt;
+}
+
+/** @type {Map<string, Promise<void>>} cache file name -> settles when its queued updates are done */
+const cacheUpdates = new Map();
+
+/**
+ * Run read-modify-write updates of a cache file one at a time, so concurrent requests
+ * don't overwrite each other's changes. The update must read the file itself.
+ * @template T
+ * @param {string} name - Cache file name
+ * @param {() => Promise<T>} update
+ * @returns {Promise<T>}
+ */
+function queueCacheUpdate(name, update) {
+    const result = (cacheUpdates.get(name) || Promise.resolve()).then(update);
+    const done = result.then(() => {}, () => {});
+    cacheUpdates.set(name, done);
+    done.then(() => {
+        if (cacheUpdates.get(name) === done) {
+            cacheUpdates.delete(name);
+        }
+    });
+    return result;
+}
+
+/**
+ * Remove a cached index from memory and disk.
+ * @param {string} name - Cache file name
+ */
+async function deleteIndexCache(name) {
+    indexCache.delete(name);
+    await fs.promises.rm(path.join(INDEX_CACHE_DIR, name), { force: true });
+}
+
+/**
+ * Remove every cached index of a vault, whatever settings it was parsed with.
+ * @param {Connection} connection
+ * @returns {Promise<number>} Number of cached indexes removed
+ */
+async function clearVaultIndexCache(connection) {
+    const prefix = `${getVaultCacheKey(connection)}-`;
+    let names = [];
+    try {
+        names = (await fs.promises.readdir(INDEX_CACHE_DIR)).filter(name => name.startsWith(prefix) && name.endsWith('.json'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    const all = new Set([...names, ...[...indexCache.keys()].filter(name => name.startsWith(prefix))]);
+    await Promise.all([...all].map(deleteIndexCache));
+    return all.size;
+}
+
 async function init(router) {
-    // Parse JSON bodies
+    // Parse JSON bodies. A full index sent to /cache/put holds every entry of the vault, so only
+    // that route accepts large bodies; the others keep the default limit
     const express = require('express');
+    router.use('/cache/put', express.json({ limit: '200mb' }));
     router.use(express.json());
 
+    /**
+     * POST /credentials - Store or remove the API key of a connection, together with the
+     * address it is for. The key never leaves the server again: clients only learn whether
+     * one is set, and it is only sent to that address.
+     */
+    router.post('/credentials', async (req, res) => {
+        try {
+            const { connectionId, apiKey } = req.body;
+
+            if (!isValidConnectionId(connectionId) || typeof apiKey !== 'string' || (apiKey.trim() && !req.body.port)) {
+                return res.status(400).json({ error: 'Missing or invalid connectionId, apiKey or port' });
+            }
+
+            let address;
+            try {
+                address = apiKey.trim() ? parseConnection(req.body) : null;
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+
+            const credentials = await readCredentials(req);
+            if (address) {
+                const { protocol, host, port, tls: mode, fingerprint } = address;
+                // A new key for the same address keeps the certificate trusted for it
+                let trusted = '';
+                try {
+                    trusted = resolveConnection(credentials[connectionId], req.body)?.trusted || '';
+                } catch {
+                    // Stored for another address
+                }
+                credentials[connectionId] = { apiKey: apiKey.trim(), protocol, host, port, tls: mode, fingerprint, trusted };
+            } else {
+                delete credentials[connectionId];
+            }
+            await writeCredentials(req, credentials);
+            return res.json({ ok: true, hasKey: Boolean(apiKey.trim()) });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /credentials/status - Report which connections have an API key stored:
+     * 'stored', 'none', or 'moved' when it was stored for another address than the client's.
+     */
+    router.post('/credentials/status', async (req, res) => {
+        try {
+            const { connections } = req.body;
+
+            if (!Array.isArray(connections)) {
+                return res.status(400).json({ error: 'Missing connections' });
+            }
+
+            const credentials = await readCredentials(req);
+            const keys = {};
+            for (const connection of connections.filter(c => c && isValidConnectionId(c.connectionId))) {
+                try {
+                    keys[connection.connectionId] = resolveConnection(credentials[connection.connectionId], connection) ? 'stored' : 'none';
+                } catch {
+                    keys[connection.connectionId] = 'moved';
+                }
+            }
+            return res.json({ keys });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
     /**
      * POST /test - Test connection to Obsidian REST API
      */
     router.post('/test', async (req, res) => {
         try {
-            const { port, apiKey } = req.body;
-
-            if (!port) {
+            if (!req.body.port) {
                 return res.status(400).json({ error: 'Missing port' });
             }
+            try {
+                parseConnection(req.body);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+
+            // Without a stored key the address is tested anonymously; with one it must be the stored address
+            const credentials = isValidConnectionId(req.body.connectionId) ? await readCredentials(req) : {};
+            const stored = resolveConnection(credentials[req.body.connectionId], req.body);
+            const connection = stored ? { ...stored, trusted: '' } : parseConnection(req.body);
+            // Testing re-reads the certificate, so a regenerated one is picked up and trusted from then on
+            trustedCertificates.delete(connectionKey(connection));
 
             // The root endpoint / doesn't require auth and returns server info
-            const result = await obsidianRequest({
-                port,
-                apiKey: apiKey || '',
-                path: '/',
-            });
+            const result = await obsidianRequest({ connection, path: '/' });
+            if (stored && connection.protocol === 'https' && connection.tls === 'self-signed') {
+                connection.trusted = (await getTrustedCertificate(connection)).fingerprint;
+                await saveTrustedFingerprint(req, req.body.connectionId, connection);
+            }
 
             if (result.status === 200) {
                 const serverInfo = JSON.parse(result.data);
@@ -125,10 +1154,11 @@ async function init(router) {
                     ok: true,
                     authenticated: serverInfo.authenticated || false,
                     versions: serverInfo.versions || {},
+                    connection: describeConnection(connection),
                 });
             }
 
-            return res.json({ ok: false, error: `HTTP ${result.status}` });
+            return res.json({ ok: false, error: `HTTP ${result.status}`, connection: describeConnection(connection) });
         } catch (err) {
             return res.json({ ok: false, error: err.message });
         }
@@ -139,13 +1169,10 @@ async function init(router) {
      */
     router.post('/files', async (req, res) => {
         try {
-            const { port, apiKey } = req.body;
-
-            if (!port || !apiKey) {
-                return res.status(400).json({ error: 'Missing port or apiKey' });
-            }
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
 
-            const files = await listAllFiles(port, apiKey);
+            const files = await listAllFiles(connection);
             return res.json({ files });
         } catch (err) {
             return res.status(500).json({ error: err.message });
@@ -157,15 +1184,17 @@ async function init(router) {
      */
     router.post('/file', async (req, res) => {
         try {
-            const { port, apiKey, filename } = req.body;
+            const { filename } = req.body;
 
-            if (!port || !apiKey || !filename) {
-                return res.status(400).json({ error: 'Missing port, apiKey, or filename' });
+            if (!filename) {
+                return res.status(400).json({ error: 'Missing filename' });
             }
 
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
             const result = await obsidianRequest({
-                port,
-                apiKey,
+                connection,
                 path: `/vault/${encodeVaultPath(filename)}`,
                 accept: 'text/markdown',
             });
@@ -181,49 +1210,296 @@ async function init(router) {
     });
 
     /**
-     * POST /index - Fetch all .md files and return their contents
+     * POST /create - Create a new note. Fails with 409 if the file already exists.
+     */
+    router.post('/create', async (req, res) => {
+        try {
+            const { filename, content } = req.body;
+
+            if (!filename || typeof content !== 'string') {
+                return res.status(400).json({ error: 'Missing filename or content' });
+            }
+
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+            const notePath = `/vault/${encodeVaultPath(filename)}`;
+            const existing = await obsidianRequest({ connection, path: notePath, accept: 'text/markdown' });
+            if (existing.status === 200) {
+                return res.status(409).json({ error: `"${filename}" already exists` });
+            }
+
+            const result = await obsidianRequest({
+                connection,
+                path: notePath,
+                method: 'PUT',
+                body: content,
+                contentType: 'text/markdown',
+            });
+
+            if (result.status === 200 || result.status === 204) {
+                await storeWrittenNote(connection, filename, content);
+                return res.json({ ok: true, filename });
+            }
+
+            return res.status(result.status).json({ error: `HTTP ${result.status}` });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /append - Append content to an existing note, either at the end of the
+     * file or at the end of the section under a heading.
+     */
+    router.post('/append', async (req, res) => {
+        try {
+            const { filename, content, heading } = req.body;
+
+            if (!filename || typeof content !== 'string') {
+                return res.status(400).json({ error: 'Missing filename or content' });
+            }
+
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+            const notePath = `/vault/${encodeVaultPath(filename)}`;
+            const result = heading
+                ? await obsidianRequest({
+                    connection,
+                    path: notePath,
+                    method: 'PATCH',
+                    body: content,
+                    contentType: 'text/markdown',
+                    headers: {
+                        'Operation': 'append',
+                        'Target-Type': 'heading',
+                        'Target': encodeURIComponent(heading),
+                    },
+                })
+                : await obsidianRequest({
+                    connection,
+                    path: notePath,
+                    method: 'POST',
+                    body: content,
+                    contentType: 'text/markdown',
+                });
+
+            if (result.status === 200 || result.status === 204) {
+                const updated = await obsidianRequest({ connection, path: notePath, accept: 'text/markdown' });
+                if (updated.status === 200) {
+                    await storeWrittenNote(connection, filename, updated.data);
+                }
+                return res.json({ ok: true, filename });
+            }
+
+            return res.status(result.status).json({ error: `HTTP ${result.status}` });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /index - Fetch .md files and return their contents
      * This is the main endpoint used by the client extension to build the vault index.
+     * When the client sends the syncToken from its previous call, only notes added or
+     * changed since then are returned, along with the filenames of deleted notes.
      */
     router.post('/index', async (req, res) => {
         try {
-            const { port, apiKey } = req.body;
-
-            if (!port || !apiKey) {
-                return res.status(400).json({ error: 'Missing port or apiKey' });
-            }
-
-            // List all files
-            const allFiles = await listAllFiles(port, apiKey);
-            const mdFiles = allFiles.filter(f => f.endsWith('.md'));
-
-            // Fetch content in parallel batches of 10
-            const BATCH_SIZE = 10;
-            const results = [];
-
-            for (let i = 0; i < mdFiles.length; i += BATCH_SIZE) {
-                const batch = mdFiles.slice(i, i + BATCH_SIZE);
-                const batchResults = await Promise.all(
-                    batch.map(async (filename) => {
-                        try {
-                            const result = await obsidianRequest({
-                                port,
-                                apiKey,
-                                path: `/vault/${encodeVaultPath(filename)}`,
-                                accept: 'text/markdown',
-                            });
-                            if (result.status === 200) {
-                                return { filename, content: result.data };
-                            }
-                            return null;
-                        } catch {
-                            return null;
-                        }
-                    }),
-                );
-                results.push(...batchResults.filter(Boolean));
-            }
-
-            return res.json({ files: results, total: mdFiles.length });
+            const { syncToken } = req.body;
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
+            const previous = getSyncSnapshot(connectionKey(connection), syncToken);
+            const storeName = getNoteStoreName(connection);
+            // Read now to skip notes already copied; the copy is re-read when it is updated below
+            const stored = (await readIndexCache(storeName))?.index || {};
+
+            // Prefer modification times so unchanged notes never have to be downloaded
+            const mtimes = await listNoteVersions(connection);
+            let versions;
+            let downloaded;
+            let files;
+
+            if (mtimes) {
+                versions = mtimes;
+                const wanted = previous ? diffVersions(previous, versions).changed : Object.keys(versions);
+                // Also refresh the server's own copy of notes it missed, without sending them to the client
+                const outdated = Object.keys(versions).filter(filename => stored[filename]?.version !== versions[filename]);
+                downloaded = await fetchNotes(connection, [...new Set([...wanted, ...outdated])]);
+                const wantedSet = new Set(wanted);
+                files = downloaded.filter(note => wantedSet.has(note.filename));
+            } else {
+                // Search unavailable: download everything and compare content hashes instead
+                const allFiles = await listAllFiles(connection);
+                const mdFiles = allFiles.filter(f => f.endsWith('.md'));
+                downloaded = await fetchNotes(connection, mdFiles);
+                versions = {};
+                for (const note of downloaded) {
+                    versions[note.filename] = `sha1:${hashContent(note.content)}`;
+                }
+                const changed = previous ? new Set(diffVersions(previous, versions).changed) : null;
+                files = changed ? downloaded.filter(note => changed.has(note.filename)) : downloaded;
+            }
+
+            // Notes that failed to download are left out of the snapshot so they are retried next sync
+            const fetched = new Set(downloaded.map(f => f.filename));
+            for (const filename of Object.keys(versions)) {
+                if (!fetched.has(filename) && (!previous || previous[filename] !== versions[filename])) {
+                    if (previous && filename in previous) {
+                        versions[filename] = previous[filename];
+                    } else {
+                        delete versions[filename];
+                    }
+                }
+            }
+
+            const deleted = previous ? diffVersions(previous, versions).deleted : [];
+            const newToken = saveSyncSnapshot(connectionKey(connection), versions, syncToken);
+
+            await queueCacheUpdate(storeName, async () => {
+                const store = patchNoteStore((await readIndexCache(storeName))?.index || {}, versions, downloaded);
+                if (store.changed) {
+                    await writeIndexCache(storeName, store.notes);
+                }
+            });
+
+            return res.json({
+                full: !previous,
+                files,
+                deleted,
+                total: Object.keys(versions).length,
+                syncToken: newToken,
+            });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /watch - Stream change notifications for a vault as Server-Sent Events.
+     * The vault is polled every `interval` seconds; see watchVault for the events.
+     */
+    router.post('/watch', async (req, res) => {
+        try {
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
+            const seconds = Math.max(WATCH_INTERVAL.min, Math.min(WATCH_INTERVAL.max, Number(req.body.interval) || WATCH_INTERVAL.default));
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            // Compression middleware buffers responses unless flushed
+            const write = (text) => {
+                res.write(text);
+                if (typeof res.flush === 'function') res.flush();
+            };
+
+            const unwatch = watchVault(connection, seconds * 1000, (event, data) => write(formatServerSentEvent(event, data)));
+            const heartbeat = setInterval(() => write(': ping\n\n'), WATCH_HEARTBEAT);
+            // The response closes when the client disconnects
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                unwatch();
+            });
+        } catch (err) {
+            if (res.headersSent) {
+                return res.end();
+            }
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /cache/get - Get the cached index of a vault parsed with the given settings signature.
+     * Returns { found: false } when there is none; otherwise the entries, the notes they were
+     * parsed from, a sync token for them, and the index's age in milliseconds. `partial` means
+     * some notes were left out, and the client should sync before relying on the index.
+     */
+    router.post('/cache/get', async (req, res) => {
+        try {
+            const { signature } = req.body;
+
+            if (typeof signature !== 'string') {
+                return res.status(400).json({ error: 'Missing signature' });
+            }
+
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
+            const cached = await readIndexCache(getIndexCacheName(connection, signature));
+            if (!cached || !cached.index.files) {
+                return res.json({ found: false });
+            }
+            const stored = (await readIndexCache(getNoteStoreName(connection)))?.index || {};
+            const { entries, errors, files, versions, total, partial } = assembleCachedIndex(cached.index, stored);
+            return res.json({
+                found: true,
+                age: Date.now() - cached.savedAt,
+                partial,
+                index: { entries, errors, files, total },
+                syncToken: saveSyncSnapshot(connectionKey(connection), versions),
+            });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /cache/put - Update the cached index of a vault parsed with the given settings signature
+     * with the notes a client parsed after a sync: every note for a full sync, else only the changed
+     * ones, plus the `removed` filenames. Notes are recorded with the versions of the client's
+     * sync token, or with `written`, the versions of notes just written through /create or /append.
+     * Raw note contents come from the server's own copy, never from the client.
+     * Returns { ok: false } when there is no cached index to patch.
+     */
+    router.post('/cache/put', async (req, res) => {
+        try {
+            const { signature, syncToken, written, full, total, notes, removed } = req.body;
+
+            if (typeof signature !== 'string' || !notes || typeof notes !== 'object') {
+                return res.status(400).json({ error: 'Missing signature or notes' });
+            }
+
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
+            let versions = getSyncSnapshot(connectionKey(connection), syncToken);
+            if (written) {
+                const stored = (await readIndexCache(getNoteStoreName(connection)))?.index || {};
+                versions = Object.fromEntries(Object.entries(stored).map(([filename, note]) => [filename, note.version]));
+            }
+            if (!versions) {
+                return res.json({ ok: false, error: 'Unknown sync token' });
+            }
+            const name = getIndexCacheName(connection, signature);
+            const savedAt = await queueCacheUpdate(name, async () => {
+                const cached = full ? null : await readIndexCache(name);
+                const index = patchCachedIndex(cached?.index?.files ? cached.index : null, versions, { full: Boolean(full), total, notes, removed });
+                return index ? writeIndexCache(name, index) : null;
+            });
+            if (!savedAt) {
+                return res.json({ ok: false, error: 'No cached index to update' });
+            }
+            return res.json({ ok: true, savedAt });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /cache/refresh - Drop every cached index of a vault, so the next sync rebuilds it from Obsidian.
+     */
+    router.post('/cache/refresh', async (req, res) => {
+        try {
+            const connection = await requireConnection(req, res);
+            if (!connection) return;
+
+            const removed = await clearVaultIndexCache(connection);
+            return res.json({ ok: true, removed });
         } catch (err) {
             return res.status(500).json({ error: err.message });
         }
@@ -233,7 +1509,11 @@ async function init(router) {
 }
 
 async function exit() {
+    for (const watcher of vaultWatchers.values()) {
+        clearInterval(watcher.timer);
+    }
+    vaultWatchers.clear();
     console.log('[DeepLore] Server plugin shutting down');
 }
 
-module.exports = { info, init, exit };
+module.exports = { info, init, exit, watchVault };
@@ -1,11 +1,15 @@
 /**
  * DeepLore unit tests
- * Run with: node tests.js
+ * Run with: npm install && npm test
  *
- * Tests pure functions extracted from index.js.
+ * Tests pure functions extracted from index.js and server/index.js.
  * These are duplicated here to avoid ESM/browser import issues.
+ * The server plugin's change detection is tested directly against a stand-in Local REST API.
  */
 
+const yaml = require('yaml');
+const crypto = require('node:crypto');
+
 // ============================================================================
 // Functions under test (copied from index.js for standalone testing)
 // ============================================================================
@@ -13,59 +17,73 @@
 function parseFrontmatter(content) {
     const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
     if (!match) {
-        return { frontmatter: {}, body: content };
+        return { frontmatter: {}, body: content, error: null };
     }
 
-    const yamlText = match[1];
     const body = match[2];
-    const frontmatter = {};
-    let currentKey = null;
-    let currentArray = null;
-
-    for (const line of yamlText.split('\n')) {
-        const trimmed = line.trimEnd();
-
-        if (/^\s+-\s+/.test(trimmed) && currentKey) {
-            const value = trimmed.replace(/^\s+-\s+/, '').trim();
-            if (!currentArray) {
-                currentArray = [];
-                frontmatter[currentKey] = currentArray;
-            }
-            currentArray.push(value);
-            continue;
-        }
 
-        const kvMatch = trimmed.match(/^(\w[\w-]*)\s*:\s*(.*)/);
-        if (kvMatch) {
-            currentKey = kvMatch[1];
-            const rawValue = kvMatch[2].trim();
-            currentArray = null;
-
-            if (rawValue === '' || rawValue === '[]') {
-                frontmatter[currentKey] = [];
-                currentArray = frontmatter[currentKey];
-            } else if (rawValue === 'true') {
-                frontmatter[currentKey] = true;
-            } else if (rawValue === 'false') {
-                frontmatter[currentKey] = false;
-            } else if (/^\d+$/.test(rawValue)) {
-                frontmatter[currentKey] = parseInt(rawValue, 10);
-            } else {
-                frontmatter[currentKey] = rawValue.replace(/^['"]|['"]$/g, '');
-            }
+    try {
+        const parsed = yaml.parse(match[1]);
+        if (parsed === null || parsed === undefined) {
+            return { frontmatter: {}, body, error: null };
         }
+        if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return { frontmatter: {}, body, error: 'Frontmatter is not a set of properties' };
+        }
+        return { frontmatter: parsed, body, error: null };
+    } catch (err) {
+        return { frontmatter: {}, body, error: err.message };
     }
-
-    return { frontmatter, body };
 }
 
-function cleanContent(content) {
+function removeHiddenContent(content, rules = {}) {
     let cleaned = content;
+
+    if (rules.comments) {
+        cleaned = cleaned.replace(/%%[\s\S]*?%%/g, '');
+    }
+    if (rules.htmlComments) {
+        cleaned = cleaned.replace(/<!--[\s\S]*?-->/g, '');
+    }
+    if (rules.dataview) {
+        cleaned = cleaned.replace(/^(```|~~~)\s*dataview(?:js)?\b[\s\S]*?^\1\s*$/gm, '');
+    }
+    if (rules.sections?.length) {
+        cleaned = removeHeadingSections(cleaned, rules.sections);
+    }
+    if (rules.callouts || rules.calloutTypes?.length) {
+        cleaned = cleanCallouts(cleaned, Boolean(rules.callouts), rules.calloutTypes || []);
+    }
+    if (rules.footnotes) {
+        cleaned = cleaned.replace(/^\[\^[^\]]+\]:.*$/gm, '');
+        cleaned = cleaned.replace(/\[\^[^\]]+\]/g, '');
+        cleaned = cleaned.replace(/\^\[[^\]]*\]/g, '');
+    }
+    return cleaned;
+}
+
+function cleanContent(content, rules = {}) {
+    let cleaned = removeHiddenContent(content, rules);
+
+    if (rules.blockIds) {
+        cleaned = cleaned.replace(/(^|[ \t])\^[\w-]+[ \t]*$/gm, '');
+    }
+    if (rules.tables) {
+        cleaned = convertTables(cleaned);
+    }
+    if (rules.html) {
+        cleaned = cleaned.replace(/<br\s*\/?>/gi, '\n');
+        cleaned = cleaned.replace(/<\/?[a-zA-Z][\w:-]*(?:\s[^<>]*)?\/?>/g, '');
+    }
+
     cleaned = cleaned.replace(/!\[\[.*?\]\]/g, '');
     cleaned = cleaned.replace(/!\[.*?\]\(.*?\)/g, '');
+
     cleaned = cleaned.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2');
     cleaned = cleaned.replace(/\[\[([^\]]+)\]\]/g, '$1');
+
     cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
+
     return cleaned.trim();
 }
 
@@ -85,28 +103,40 @@ function escapeRegex(str) {
 
 function testEntryMatch(entry, scanText, settings) {
     if (entry.keys.length === 0) return null;
-    const haystack = settings.caseSensitive ? scanText : scanText.toLowerCase();
-    for (const rawKey of entry.keys) {
-        const key = settings.caseSensitive ? rawKey : rawKey.toLowerCase();
-        if (settings.matchWholeWords) {
-            const regex = new RegExp(`\\b${escapeRegex(key)}\\b`, settings.caseSensitive ? '' : 'i');
-            if (regex.test(scanText)) return rawKey;
-        } else {
-            if (haystack.includes(key)) return rawKey;
-        }
+
+    const primary = entry.keys.find(key => keyMatches(key, scanText, settings));
+    if (primary === undefined) return null;
+
+    const secondaryKeys = entry.secondaryKeys || [];
+    if (secondaryKeys.length === 0) return primary;
+
+    const present = secondaryKeys.filter(key => keyMatches(key, scanText, settings));
+    const absent = secondaryKeys.filter(key => !present.includes(key));
+
+    switch (entry.selectiveLogic) {
+        case 'AND ALL':
+            return absent.length === 0 ? `${primary} + ${present.join(' + ')}` : null;
+        case 'NOT ANY':
+            return present.length === 0 ? `${primary} + none of [${secondaryKeys.join(', ')}]` : null;
+        case 'NOT ALL':
+            return absent.length > 0 ? `${primary} + missing [${absent.join(', ')}]` : null;
+        default: // AND ANY
+            return present.length > 0 ? `${primary} + ${present[0]}` : null;
     }
-    return null;
 }
 
 const settingsConstraints = {
-    obsidianPort: { min: 1, max: 65535 },
     scanDepth: { min: 1, max: 100 },
     maxEntries: { min: 1, max: 100 },
     maxTokensBudget: { min: 100, max: 100000 },
     injectionDepth: { min: 0, max: 9999 },
     maxRecursionSteps: { min: 1, max: 10 },
+    maxLinkHops: { min: 1, max: 10 },
+    maxEmbedDepth: { min: 1, max: 10 },
     cacheTTL: { min: 0, max: 86400 },
+    liveSyncInterval: { min: 2, max: 300 },
     reviewResponseTokens: { min: 0, max: 100000 },
+    relevanceWeight: { min: 0, max: 100 },
 };
 
 function validateSettings(settings) {
@@ -115,179 +145,3010 @@ function validateSettings(settings) {
             settings[key] = Math.max(min, Math.min(max, Math.round(settings[key])));
         }
     }
-    if (typeof settings.lorebookTag === 'string') {
-        settings.lorebookTag = settings.lorebookTag.trim() || 'lorebook';
+    for (const vault of Array.isArray(settings.vaults) ? settings.vaults : []) {
+        vault.port = Math.max(1, Math.min(65535, Math.round(Number(vault.port) || 27123)));
+        vault.host = String(vault.host ?? '').trim() || '127.0.0.1';
+        vault.protocol = vault.protocol === 'https' ? 'https' : 'http';
+        vault.tls = TLS_MODES.includes(vault.tls) ? vault.tls : 'self-signed';
+        vault.certFingerprint = String(vault.certFingerprint ?? '').trim();
+        vault.lorebookTag = String(vault.lorebookTag ?? '').trim() || 'lorebook';
     }
 }
 
-// ============================================================================
-// Test runner
-// ============================================================================
+const SELECTIVE_LOGIC = ['AND ANY', 'AND ALL', 'NOT ANY', 'NOT ALL'];
 
-let passed = 0;
-let failed = 0;
+function normalizeSelectiveLogic(value) {
+    const logic = String(value ?? '').trim().toUpperCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+    return SELECTIVE_LOGIC.includes(logic) ? logic : 'AND ANY';
+}
 
-function assert(condition, message) {
-    if (condition) {
-        passed++;
-    } else {
-        failed++;
-        console.error(`  FAIL: ${message}`);
+function parseRegexKey(key) {
+    const match = key.match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (!match) return null;
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch {
+        return null;
     }
 }
 
-function assertEqual(actual, expected, message) {
-    if (JSON.stringify(actual) === JSON.stringify(expected)) {
-        passed++;
-    } else {
-        failed++;
-        console.error(`  FAIL: ${message}`);
-        console.error(`    expected: ${JSON.stringify(expected)}`);
-        console.error(`    actual:   ${JSON.stringify(actual)}`);
+function keyMatches(rawKey, scanText, settings) {
+    const regex = parseRegexKey(rawKey);
+    if (regex) {
+        return regex.test(scanText);
     }
+
+    const key = settings.caseSensitive ? rawKey : rawKey.toLowerCase();
+
+    if (settings.matchWholeWords) {
+        return new RegExp(`\\b${escapeRegex(key)}\\b`, settings.caseSensitive ? '' : 'i').test(scanText);
+    }
+
+    const haystack = settings.caseSensitive ? scanText : scanText.toLowerCase();
+    return haystack.includes(key);
 }
 
-function test(name, fn) {
-    console.log(`\n${name}`);
-    fn();
+function toStringArray(value) {
+    if (value === null || value === undefined) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .filter(v => v !== null && v !== undefined && typeof v !== 'object')
+        .map(v => String(v).trim())
+        .filter(Boolean);
 }
 
-// ============================================================================
-// Tests
-// ============================================================================
+function extractInlineTags(body) {
+    const text = body
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/`[^`\n]*`/g, '');
+    const tags = new Set();
+    for (const match of text.matchAll(/(?:^|[\s(])#([\p{L}\p{N}_\-/]+)/gu)) {
+        const tag = match[1].replace(/\/+$/, '').toLowerCase();
+        if (/[^\d/]/.test(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags];
+}
 
-test('parseFrontmatter: basic key-value pairs', () => {
-    const input = '---\ntitle: Test Note\npriority: 10\nenabled: true\n---\n# Body';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter.title, 'Test Note', 'should parse string value');
-    assertEqual(result.frontmatter.priority, 10, 'should parse number value');
-    assertEqual(result.frontmatter.enabled, true, 'should parse boolean true');
-    assertEqual(result.body, '# Body', 'should extract body');
-});
+function hasTag(tags, tag) {
+    return tags.some(t => t === tag || t.startsWith(tag + '/'));
+}
 
-test('parseFrontmatter: arrays', () => {
-    const input = '---\ntags:\n  - lorebook\n  - character\nkeys:\n  - Eris\n  - goddess\n---\nContent';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter.tags, ['lorebook', 'character'], 'should parse tags array');
-    assertEqual(result.frontmatter.keys, ['Eris', 'goddess'], 'should parse keys array');
-});
+function sanitizeFilename(title) {
+    return title.replace(/[\\/:*?"<>|#^[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+}
 
-test('parseFrontmatter: empty arrays', () => {
-    const input = '---\nkeys: []\n---\nContent';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter.keys, [], 'should parse empty array');
-});
+function buildNoteContent({ title, tags, keys, priority, body }) {
+    const frontmatter = yaml.stringify({ tags, keys, priority }).trimEnd();
+    return `---\n${frontmatter}\n---\n\n# ${title}\n\n${body.trim()}\n`;
+}
 
-test('parseFrontmatter: boolean false', () => {
-    const input = '---\nenabled: false\n---\nContent';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter.enabled, false, 'should parse boolean false');
-});
+function normalizeFolder(folder) {
+    return String(folder || '').trim().replace(/^\/+|\/+$/g, '');
+}
 
-test('parseFrontmatter: quoted strings', () => {
-    const input = '---\ntitle: "Hello World"\n---\nContent';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter.title, 'Hello World', 'should strip quotes');
-});
+function isEntryInScope(entry, scope) {
+    const names = scope.names.map(n => n.toLowerCase());
+    const characters = entry.characters || [];
+    const excluded = entry.excludeCharacters || [];
 
-test('parseFrontmatter: no frontmatter', () => {
-    const input = '# Just a heading\nSome content';
-    const result = parseFrontmatter(input);
-    assertEqual(result.frontmatter, {}, 'should return empty frontmatter');
-    assertEqual(result.body, input, 'should return full content as body');
-});
+    if (characters.length > 0 && !characters.some(c => names.includes(c.toLowerCase()))) {
+        return false;
+    }
+    if (excluded.some(c => names.includes(c.toLowerCase()))) {
+        return false;
+    }
+    if (scope.folder && !entry.filename.startsWith(scope.folder + '/')) {
+        return false;
+    }
+    if (scope.tag && !hasTag(entry.tags || [], scope.tag)) {
+        return false;
+    }
+    return true;
+}
 
-test('cleanContent: strips image embeds', () => {
-    assertEqual(cleanContent('Before ![[image.png]] after'), 'Before  after', 'should strip wiki image embeds');
-    assertEqual(cleanContent('Before ![alt](http://img.png) after'), 'Before  after', 'should strip markdown image embeds');
-});
+function toMessageCount(value) {
+    return typeof value === 'number' && value > 0 ? Math.round(value) : 0;
+}
 
-test('cleanContent: converts wiki links', () => {
-    assertEqual(cleanContent('See [[Target Page]]'), 'See Target Page', 'should convert simple wiki links');
-    assertEqual(cleanContent('See [[Target|Display Text]]'), 'See Display Text', 'should convert aliased wiki links');
-});
+function pruneTimedEffects(state, chatLength) {
+    let changed = false;
+    for (const effects of [state.sticky, state.cooldown]) {
+        for (const [key, effect] of Object.entries(effects)) {
+            if (effect.trigger >= chatLength || chatLength > effect.end) {
+                delete effects[key];
+                changed = true;
+            }
+        }
+    }
+    return changed;
+}
 
-test('cleanContent: collapses blank lines', () => {
-    assertEqual(cleanContent('Line 1\n\n\n\n\nLine 2'), 'Line 1\n\nLine 2', 'should collapse 5 newlines to 2');
-});
+function isEffectActive(effect, chatLength) {
+    return Boolean(effect) && effect.start < chatLength && chatLength <= effect.end;
+}
 
-test('extractTitle: from H1', () => {
-    assertEqual(extractTitle('# My Title\nContent', 'test.md'), 'My Title', 'should extract H1');
-});
+function applyTimedEffects(matched, candidates, state, chatLength) {
+    const matchedSet = new Set(matched);
+    const entries = [];
+    const sticky = [];
+    const suppressed = [];
+    /** @type {Map<VaultEntry, string>} */
+    const reasons = new Map();
 
-test('extractTitle: from filename', () => {
-    assertEqual(extractTitle('No heading here', 'folder/My Note.md'), 'My Note', 'should fall back to filename');
-});
+    for (const entry of candidates) {
+        const stickyEffect = state.sticky[entry.id];
+        const cooldown = state.cooldown[entry.id];
 
-test('extractTitle: nested path', () => {
-    assertEqual(extractTitle('Content', 'World/Characters/Alice.md'), 'Alice', 'should use last path segment');
-});
+        if (isEffectActive(stickyEffect, chatLength)) {
+            entries.push(entry);
+            sticky.push(entry);
+            reasons.set(entry, `sticky (${stickyEffect.end - chatLength + 1} left)`);
+            continue;
+        }
 
-test('testEntryMatch: case insensitive substring', () => {
-    const entry = { keys: ['Eris'] };
-    const settings = { caseSensitive: false, matchWholeWords: false };
-    assertEqual(testEntryMatch(entry, 'I met eris today', settings), 'Eris', 'should match case-insensitively');
-    assertEqual(testEntryMatch(entry, 'No match here', settings), null, 'should return null for no match');
-});
+        if (!matchedSet.has(entry)) continue;
 
-test('testEntryMatch: case sensitive', () => {
-    const entry = { keys: ['Eris'] };
-    const settings = { caseSensitive: true, matchWholeWords: false };
-    assertEqual(testEntryMatch(entry, 'I met eris today', settings), null, 'should not match wrong case');
-    assertEqual(testEntryMatch(entry, 'I met Eris today', settings), 'Eris', 'should match exact case');
-});
+        if (entry.delay > 0 && chatLength < entry.delay) {
+            suppressed.push(entry);
+            reasons.set(entry, `delay (${chatLength}/${entry.delay} messages)`);
+        } else if (isEffectActive(cooldown, chatLength)) {
+            suppressed.push(entry);
+            reasons.set(entry, `cooldown (${cooldown.end - chatLength + 1} left)`);
+        } else {
+            entries.push(entry);
+        }
+    }
 
-test('testEntryMatch: whole words', () => {
-    const entry = { keys: ['war'] };
-    const settings = { caseSensitive: false, matchWholeWords: true };
-    assertEqual(testEntryMatch(entry, 'The warning was clear', settings), null, 'should not match partial word');
-    assertEqual(testEntryMatch(entry, 'The war began', settings), 'war', 'should match whole word');
-});
+    entries.sort((a, b) => a.priority - b.priority);
+    return { entries, sticky, suppressed, reasons };
+}
 
-test('testEntryMatch: empty keys', () => {
-    const entry = { keys: [] };
-    const settings = { caseSensitive: false, matchWholeWords: false };
-    assertEqual(testEntryMatch(entry, 'any text', settings), null, 'should return null for empty keys');
-});
+function recordTimedEffects(injected, state, chatLength) {
+    let changed = false;
+    for (const entry of injected) {
+        if (entry.sticky === 0 && entry.cooldown === 0) continue;
+        if (isEffectActive(state.sticky[entry.id], chatLength)) continue;
 
-test('testEntryMatch: regex special chars in key', () => {
-    const entry = { keys: ['C++ programming'] };
-    const settings = { caseSensitive: false, matchWholeWords: false };
-    assertEqual(testEntryMatch(entry, 'I love c++ programming', settings), 'C++ programming', 'should handle regex special chars');
-});
+        if (entry.sticky > 0) {
+            state.sticky[entry.id] = { trigger: chatLength, start: chatLength, end: chatLength + entry.sticky };
+        }
+        if (entry.cooldown > 0) {
+            const start = chatLength + entry.sticky;
+            state.cooldown[entry.id] = { trigger: chatLength, start, end: start + entry.cooldown };
+        }
+        changed = true;
+    }
+    return changed;
+}
 
-test('validateSettings: clamps values', () => {
-    const settings = { obsidianPort: 99999, scanDepth: -5, cacheTTL: 100000 };
-    validateSettings(settings);
-    assertEqual(settings.obsidianPort, 65535, 'should clamp port to max');
-    assertEqual(settings.scanDepth, 1, 'should clamp scanDepth to min');
-    assertEqual(settings.cacheTTL, 86400, 'should clamp cacheTTL to max');
-});
+const POSITION_NAMES = {
+    after: 0,
+    depth: 1,
+    'in-chat': 1,
+    before: 2,
+};
 
-test('validateSettings: rounds floats', () => {
-    const settings = { scanDepth: 4.7 };
-    validateSettings(settings);
-    assertEqual(settings.scanDepth, 5, 'should round float to integer');
-});
+const ROLE_NAMES = {
+    system: 0,
+    user: 1,
+    assistant: 2,
+};
 
-test('validateSettings: trims lorebook tag', () => {
-    const settings = { lorebookTag: '  custom-tag  ' };
-    validateSettings(settings);
-    assertEqual(settings.lorebookTag, 'custom-tag', 'should trim whitespace');
-});
+function parseInjectionPosition(position, depth) {
+    const name = String(position ?? '').trim().toLowerCase();
+    if (name in POSITION_NAMES) {
+        return POSITION_NAMES[name];
+    }
+    return typeof depth === 'number' && depth >= 0 ? POSITION_NAMES.depth : null;
+}
 
-test('validateSettings: defaults empty lorebook tag', () => {
-    const settings = { lorebookTag: '   ' };
-    validateSettings(settings);
-    assertEqual(settings.lorebookTag, 'lorebook', 'should default empty tag to lorebook');
-});
+function parseInjectionRole(role) {
+    const name = String(role ?? '').trim().toLowerCase();
+    return name in ROLE_NAMES ? ROLE_NAMES[name] : null;
+}
 
-// ============================================================================
-// Results
-// ============================================================================
+function getEntryPlacement(entry, settings) {
+    const position = entry.injectionPosition ?? settings.injectionPosition;
+    if (position !== POSITION_NAMES.depth) {
+        return { position, depth: settings.injectionDepth, role: settings.injectionRole };
+    }
+    return {
+        position,
+        depth: entry.injectionDepth ?? settings.injectionDepth,
+        role: entry.injectionRole ?? settings.injectionRole,
+    };
+}
+
+function describePlacement(placement) {
+    if (placement.position === POSITION_NAMES.before) return 'before';
+    if (placement.position === POSITION_NAMES.after) return 'after';
+    const role = Object.keys(ROLE_NAMES).find(name => ROLE_NAMES[name] === placement.role) || placement.role;
+    return `depth ${placement.depth} (${role})`;
+}
+
+function selectGroupWinners(entries, { mode, random, keep = {} }) {
+    const losers = new Set();
+    /** @type {Object<string, string>} */
+    const picks = {};
+    /** @type {Map<VaultEntry, string>} */
+    const reasons = new Map();
+
+    const groupNames = [...new Set(entries.flatMap(e => e.groups || []))].sort();
+
+    for (const group of groupNames) {
+        const contenders = entries.filter(e => !losers.has(e) && (e.groups || []).includes(group));
+        if (contenders.length < 2) continue;
+
+        const overrides = contenders.filter(e => e.groupOverride);
+        const pool = overrides.length > 0 ? overrides : contenders;
+
+        let winner = pool.find(e => e.id === keep[group]);
+        if (!winner && (overrides.length > 0 || mode === 'priority')) {
+            winner = pool[0];
+        }
+        if (!winner) {
+            const totalWeight = pool.reduce((sum, e) => sum + e.groupWeight, 0);
+            let roll = random() * totalWeight;
+            winner = pool.find(e => (roll -= e.groupWeight) < 0) || pool[0];
+        }
+
+        picks[group] = winner.id;
+        for (const entry of contenders) {
+            if (entry !== winner) {
+                losers.add(entry);
+                reasons.set(entry, `lost group "${group}" to ${winner.title}`);
+            }
+        }
+    }
+
+    return {
+        entries: entries.filter(e => !losers.has(e)),
+        losers: entries.filter(e => losers.has(e)),
+        picks,
+        reasons,
+    };
+}
+
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function getGenerationSeed(randomSeed, chatId, chatLength, swipe) {
+    if (!randomSeed) {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    return hashString(`${randomSeed}:${chatId}:${chatLength}:${swipe}`);
+}
+
+function applyProbability(entries, seed, exempt) {
+    const passed = [];
+    const failed = [];
+    for (const entry of entries) {
+        if (entry.probability >= 100 || exempt.has(entry)) {
+            passed.push(entry);
+            continue;
+        }
+        const roll = createRng(hashString(`${seed}:${entry.id}`))() * 100;
+        if (roll < entry.probability) {
+            passed.push(entry);
+        } else {
+            failed.push({ entry, roll });
+        }
+    }
+    return { entries: passed, failed };
+}
+
+const BM25_K1 = 1.2;
+
+const BM25_B = 0.75;
+
+function tokenizeText(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1);
+}
+
+function buildBm25Index(docs) {
+    const docFreq = new Map();
+    const docStats = new Map();
+    let totalLength = 0;
+
+    for (const { id, text } of docs) {
+        const terms = tokenizeText(text);
+        const termFreq = new Map();
+        for (const term of terms) {
+            termFreq.set(term, (termFreq.get(term) || 0) + 1);
+        }
+        for (const term of termFreq.keys()) {
+            docFreq.set(term, (docFreq.get(term) || 0) + 1);
+        }
+        docStats.set(id, { length: terms.length, termFreq });
+        totalLength += terms.length;
+    }
+
+    return {
+        docCount: docs.length,
+        avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+        docFreq,
+        docs: docStats,
+    };
+}
+
+function scoreBm25(index, queryTerms, id) {
+    const doc = index.docs.get(id);
+    if (!doc || doc.length === 0) return 0;
 
-console.log(`\n${'='.repeat(40)}`);
-console.log(`Results: ${passed} passed, ${failed} failed`);
-if (failed > 0) {
-    process.exit(1);
+    let score = 0;
+    for (const term of queryTerms) {
+        const tf = doc.termFreq.get(term);
+        if (!tf) continue;
+        const df = index.docFreq.get(term) || 0;
+        const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (index.avgLength || 1));
+        score += idf * tf * (BM25_K1 + 1) / norm;
+    }
+    return score;
+}
+
+function rankByRelevance(entries, relevance, weight) {
+    const maxRelevance = Math.max(0, ...entries.map(e => relevance.get(e) || 0));
+    const priorities = entries.map(e => e.priority);
+    const minPriority = Math.min(...priorities);
+    const priorityRange = Math.max(...priorities) - minPriority;
+
+    /** @type {Map<VaultEntry, number>} */
+    const scores = new Map();
+    for (const entry of entries) {
+        const relevanceScore = maxRelevance > 0 ? (relevance.get(entry) || 0) / maxRelevance : 0;
+        const priorityScore = priorityRange > 0 ? 1 - (entry.priority - minPriority) / priorityRange : 1;
+        scores.set(entry, weight * relevanceScore + (1 - weight) * priorityScore);
+    }
+
+    const ranked = [...entries].sort((a, b) => scores.get(b) - scores.get(a) || a.priority - b.priority);
+    return { entries: ranked, scores };
+}
+
+function extractSummary(summaryField, content) {
+    if (typeof summaryField === 'string' && summaryField.trim()) {
+        return cleanContent(summaryField);
+    }
+    const paragraphs = content.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    const first = paragraphs.find(p => !/^#{1,6}\s/.test(p)) || '';
+    return first.length < content.length && paragraphs.length > 1 ? first : '';
+}
+
+function truncateContent(content, tokens, maxTokens) {
+    if (tokens <= maxTokens) return { content, tokens };
+    let cut = content.slice(0, Math.floor(content.length * Math.max(0, maxTokens) / tokens));
+    const paragraphEnd = cut.lastIndexOf('\n\n');
+    const sentenceEnd = [...cut.matchAll(/[.!?](?=\s)/g)].pop();
+    if (paragraphEnd >= cut.length / 2) {
+        cut = cut.slice(0, paragraphEnd);
+    } else if (sentenceEnd && sentenceEnd.index >= cut.length / 2) {
+        cut = cut.slice(0, sentenceEnd.index + 1);
+    }
+    cut = `${cut.trimEnd()} …`;
+    return { content: cut, tokens: Math.min(maxTokens, Math.ceil(tokens * cut.length / content.length)) };
 }
+
+function packEntries(entries, { maxEntries, maxTokens, mode, useSummaries }) {
+    /** @type {PackedEntry[]} */
+    const packed = [];
+    const skipped = [];
+    let totalTokens = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (packed.length >= maxEntries) {
+            skipped.push(...entries.slice(i).map(e => ({ entry: e, reason: 'max entries' })));
+            break;
+        }
+
+        const remaining = maxTokens - totalTokens;
+        let fit = null;
+        if (entry.tokenEstimate <= remaining) {
+            fit = { content: entry.content, tokens: entry.tokenEstimate, fit: 'full' };
+        } else if (useSummaries && entry.summary && entry.summaryTokenEstimate <= remaining) {
+            fit = { content: entry.summary, tokens: entry.summaryTokenEstimate, fit: 'summarized' };
+        } else if (mode === 'stop' && packed.length === 0) {
+            fit = { content: entry.content, tokens: entry.tokenEstimate, fit: 'full' };
+        }
+
+        if (!fit) {
+            if (mode === 'stop') {
+                skipped.push(...entries.slice(i).map(e => ({ entry: e, reason: 'budget' })));
+                break;
+            }
+            skipped.push({ entry, reason: 'budget' });
+            continue;
+        }
+
+        packed.push({ entry, ...fit });
+        totalTokens += fit.tokens;
+    }
+
+    if (packed.length === 0 && skipped.length > 0 && skipped[0].reason === 'budget' && maxEntries > 0) {
+        const { entry } = skipped.shift();
+        const source = useSummaries && entry.summary ? { content: entry.summary, tokens: entry.summaryTokenEstimate } : { content: entry.content, tokens: entry.tokenEstimate };
+        const truncated = truncateContent(source.content, source.tokens, maxTokens);
+        packed.push({ entry, ...truncated, fit: 'truncated' });
+        totalTokens = truncated.tokens;
+    }
+
+    return { packed, skipped, totalTokens };
+}
+
+function splitSections(body) {
+    const sections = [{ headings: [], path: [], lines: [] }];
+    const trail = [];
+    let inFence = false;
+
+    for (const line of body.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const match = !inFence && line.match(/^(#{1,3})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (match) {
+            const level = match[1].length;
+            trail.length = level - 1;
+            trail[level - 1] = match[2];
+            if (level > 1) {
+                sections.push({ headings: trail.slice(1).filter(Boolean), path: trail.filter(Boolean), lines: [] });
+                continue;
+            }
+        }
+        sections[sections.length - 1].lines.push(line);
+    }
+
+    return sections.map(({ headings, path, lines }) => ({ headings, path, text: lines.join('\n') }));
+}
+
+const SECTION_FIELDS = ['keys', 'secondaryKeys', 'logic'];
+
+function parseSectionFields(text) {
+    const lines = text.split('\n');
+    const fields = {};
+    let i = 0;
+    while (i < lines.length && !lines[i].trim()) i++;
+    for (; i < lines.length; i++) {
+        const match = lines[i].match(/^\s*(\w+)::\s*(.*)$/);
+        if (!match || !SECTION_FIELDS.includes(match[1])) break;
+        fields[match[1]] = match[2].trim();
+    }
+    return { fields, text: lines.slice(i).join('\n') };
+}
+
+function buildSectionEntries(note, body, summaryField, { expand = text => ({ text, embeds: [] }), rules = {} } = {}) {
+    const entries = [];
+    const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
+
+    for (const section of splitSections(body)) {
+        if (section.headings.some(h => rules.sections?.includes(h.toLowerCase()))) continue;
+        const { fields, text } = parseSectionFields(section.text);
+        const expanded = expand(text);
+        const content = cleanContent(expanded.text, rules);
+        if (!content) continue;
+
+        if (section.headings.length === 0) {
+            entries.push({ ...note, content, summary: extractSummary(summaryField, content), links: extractWikiLinks(removeHiddenContent(text, rules)), embeds: expanded.embeds });
+            continue;
+        }
+
+        const heading = section.headings[section.headings.length - 1];
+        let id = `${note.id}#${section.headings.join('#')}`;
+        for (let n = 2; entries.some(e => e.id === id); n++) {
+            id = `${note.id}#${section.headings.join('#')}~${n}`;
+        }
+        entries.push({
+            ...note,
+            id,
+            title: `${note.title} › ${section.headings.join(' › ')}`,
+            headingPath: section.path,
+            keys: fields.keys ? list(fields.keys) : note.keys,
+            secondaryKeys: fields.secondaryKeys ? list(fields.secondaryKeys) : fields.keys ? [] : [heading],
+            selectiveLogic: normalizeSelectiveLogic(fields.logic),
+            content,
+            summary: extractSummary(undefined, content),
+            links: extractWikiLinks(removeHiddenContent(text, rules)),
+            embeds: expanded.embeds,
+        });
+    }
+    return entries;
+}
+
+function extractWikiLinks(text) {
+    const links = [];
+    const seen = new Set();
+    for (const match of text.matchAll(/(!?)\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|[^\]]*)?\]\]/g)) {
+        if (match[1]) continue;
+        const target = match[2].trim();
+        const heading = match[3] && !match[3].startsWith('^') ? match[3].split('#').pop().trim() || null : null;
+        const key = `${target.toLowerCase()}#${heading?.toLowerCase() ?? ''}`;
+        if ((!target && !heading) || seen.has(key)) continue;
+        seen.add(key);
+        links.push({ target, heading });
+    }
+    return links;
+}
+
+function buildLinkGraph(entries) {
+    /** @type {Map<string, VaultEntry[]>} vault id and lowercased path or name without .md -> entries of that note */
+    const notes = new Map();
+    const addNote = (key, entry) => {
+        if (!notes.has(key)) notes.set(key, []);
+        notes.get(key).push(entry);
+    };
+    for (const entry of entries) {
+        const path = entry.filename.replace(/\.md$/i, '').toLowerCase();
+        addNote(`${entry.vault}:${path}`, entry);
+        const name = path.split('/').pop();
+        if (name !== path) addNote(`${entry.vault}:${name}`, entry);
+    }
+
+    const graph = new Map();
+    for (const entry of entries) {
+        const linked = new Set();
+        for (const { target, heading } of entry.links || []) {
+            const key = (target || entry.filename).replace(/\.md$/i, '').toLowerCase();
+            const noteEntries = notes.get(`${entry.vault}:${key}`) || [];
+            const wanted = heading?.toLowerCase();
+            const sections = wanted ? noteEntries.filter(e => e.headingPath.some(h => h.toLowerCase() === wanted)) : [];
+            const whole = noteEntries.filter(e => e.headingPath.length === 0);
+            const picked = sections.length > 0 ? sections : whole.length > 0 ? whole : noteEntries;
+            for (const linkedEntry of picked) {
+                if (linkedEntry !== entry) linked.add(linkedEntry);
+            }
+        }
+        graph.set(entry.id, [...linked]);
+    }
+    return graph;
+}
+
+function followLinks(seeds, graph, eligible, maxHops) {
+    const pulled = new Map();
+    const seen = new Set(seeds);
+    let frontier = seeds.filter(e => !e.excludeRecursion);
+
+    for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+        const next = [];
+        for (const from of frontier) {
+            for (const target of graph.get(from.id) || []) {
+                if (seen.has(target) || !eligible.has(target)) continue;
+                seen.add(target);
+                pulled.set(target, { hop, from });
+                if (!target.excludeRecursion) next.push(target);
+            }
+        }
+        frontier = next;
+    }
+    return pulled;
+}
+
+function normalizeNoteTarget(target) {
+    return target.trim().replace(/\.md$/i, '').toLowerCase();
+}
+
+function createVaultFiles(files) {
+    const names = new Map();
+    for (const filename of [...files.keys()].sort()) {
+        const path = normalizeNoteTarget(filename);
+        names.set(path, filename);
+        const name = path.split('/').pop();
+        if (!names.has(name)) names.set(name, filename);
+    }
+    return { files, names };
+}
+
+function extractEmbedPart(body, subpath) {
+    if (!subpath) return body;
+    const lines = body.split('\n');
+
+    if (subpath.startsWith('^')) {
+        const marker = new RegExp(`(?:^|\\s)\\^${escapeRegex(subpath.slice(1))}\\s*$`);
+        const strip = line => line.replace(marker, '');
+        const index = lines.findIndex(line => marker.test(line));
+        if (index === -1) return null;
+        if (/^\s*([-*+]|\d+[.)])\s/.test(lines[index])) return strip(lines[index]);
+        let end = index;
+        if (!strip(lines[index]).trim()) {
+            end = index - 1;
+            while (end >= 0 && !lines[end].trim()) end--;
+            if (end < 0) return null;
+        }
+        let start = end;
+        while (start > 0 && lines[start - 1].trim()) start--;
+        return lines.slice(start, end + 1).map(strip).join('\n');
+    }
+
+    const wanted = subpath.split('#').pop().trim().toLowerCase();
+    const headingLevel = line => {
+        const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        return match ? { level: match[1].length, text: match[2].toLowerCase() } : null;
+    };
+    const start = lines.findIndex(line => headingLevel(line)?.text === wanted);
+    if (start === -1) return null;
+    const level = headingLevel(lines[start]).level;
+    let end = start + 1;
+    while (end < lines.length && !(headingLevel(lines[end])?.level <= level)) end++;
+    return lines.slice(start, end).join('\n');
+}
+
+function expandEmbeds(text, filename, vault, maxDepth, stack = [filename]) {
+    const embeds = new Set();
+    const expanded = text.replace(/!\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|[^\]]*)?\]\]/g, (_match, rawTarget, subpath = '') => {
+        const target = rawTarget.trim();
+        if (/\.(?!md$)\w+$/i.test(target)) return '';
+        if (target) embeds.add(normalizeNoteTarget(target));
+
+        const source = target ? vault.names.get(normalizeNoteTarget(target)) : filename;
+        const ref = subpath ? `${source}#${subpath}` : source;
+        if (!source || stack.includes(ref) || stack.length > maxDepth) return '';
+
+        const raw = vault.files.get(source);
+        const part = raw === undefined ? null : extractEmbedPart(parseFrontmatter(raw).body, subpath);
+        if (part === null) return '';
+
+        const inner = expandEmbeds(part, source, vault, maxDepth, [...stack, ref]);
+        inner.embeds.forEach(e => embeds.add(e));
+        return inner.text.trim();
+    });
+    return { text: expanded, embeds: [...embeds] };
+}
+
+function findEmbeddingFiles(entries, filenames) {
+    const targets = new Set();
+    for (const filename of filenames) {
+        const path = normalizeNoteTarget(filename);
+        targets.add(path);
+        targets.add(path.split('/').pop());
+    }
+    return new Set(entries.filter(e => e.embeds.some(t => targets.has(t))).map(e => e.filename));
+}
+
+function getCleanRules(settings) {
+    const list = value => String(value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return {
+        comments: settings.cleanComments,
+        htmlComments: settings.cleanHtmlComments,
+        dataview: settings.cleanDataview,
+        callouts: settings.cleanCallouts,
+        calloutTypes: list(settings.removeCalloutTypes),
+        sections: list(settings.removeSections),
+        footnotes: settings.cleanFootnotes,
+        blockIds: settings.cleanBlockIds,
+        tables: settings.tablesToText,
+        html: settings.cleanHtml,
+    };
+}
+
+function removeHeadingSections(text, headings) {
+    const kept = [];
+    let skipLevel = 0;
+    for (const line of text.split('\n')) {
+        const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (match) {
+            const level = match[1].length;
+            if (skipLevel && level <= skipLevel) skipLevel = 0;
+            if (!skipLevel && headings.includes(match[2].toLowerCase())) {
+                skipLevel = level;
+            }
+        }
+        if (!skipLevel) kept.push(line);
+    }
+    return kept.join('\n');
+}
+
+function cleanCallouts(text, stripMarkers, removeTypes) {
+    const lines = text.split('\n');
+    const kept = [];
+    for (let i = 0; i < lines.length; i++) {
+        const header = lines[i].match(/^>\s*\[!([\w-]+)\][+-]?\s*(.*)$/);
+        if (!header) {
+            kept.push(lines[i]);
+            continue;
+        }
+        let end = i + 1;
+        while (end < lines.length && lines[end].startsWith('>')) end++;
+        if (!removeTypes.includes(header[1].toLowerCase())) {
+            if (stripMarkers) {
+                if (header[2].trim()) kept.push(header[2].trim());
+                kept.push(...lines.slice(i + 1, end).map(line => line.replace(/^>\s?/, '')));
+            } else {
+                kept.push(...lines.slice(i, end));
+            }
+        }
+        i = end - 1;
+    }
+    return kept.join('\n');
+}
+
+function convertTables(text) {
+    const lines = text.split('\n');
+    const kept = [];
+    const cells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    const isSeparator = line => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].includes('|') || !isSeparator(lines[i + 1] || '')) {
+            kept.push(lines[i]);
+            continue;
+        }
+        const headers = cells(lines[i]);
+        let row = i + 2;
+        for (; row < lines.length && lines[row].includes('|') && lines[row].trim(); row++) {
+            kept.push(cells(lines[row])
+                .map((cell, col) => cell && headers[col] ? `${headers[col]}: ${cell}` : cell)
+                .filter(Boolean)
+                .join('; '));
+        }
+        i = row - 1;
+    }
+    return kept.join('\n');
+}
+
+const LEGACY_CONNECTION_KEYS = {
+    obsidianPort: 'port',
+    obsidianApiKey: 'apiKey',
+    lorebookTag: 'lorebookTag',
+    constantTag: 'constantTag',
+    neverInsertTag: 'neverInsertTag',
+};
+
+function createVaultConnection(fields = {}) {
+    return {
+        id: `vault-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: 'Vault',
+        enabled: true,
+        protocol: 'http',
+        host: '127.0.0.1',
+        port: 27123,
+        tls: 'self-signed',
+        certFingerprint: '',
+        lorebookTag: 'lorebook',
+        constantTag: 'lorebook-always',
+        neverInsertTag: 'lorebook-never',
+        ...fields,
+    };
+}
+
+function migrateVaultSettings(settings) {
+    if (Array.isArray(settings.vaults) && settings.vaults.length > 0) return false;
+    const fields = { id: 'default', name: 'Default' };
+    for (const [legacyKey, field] of Object.entries(LEGACY_CONNECTION_KEYS)) {
+        if (settings[legacyKey] !== undefined) {
+            fields[field] = settings[legacyKey];
+        }
+        delete settings[legacyKey];
+    }
+    settings.vaults = [createVaultConnection(fields)];
+    return true;
+}
+
+function mergeVaultEntries(vaults, rule) {
+    /** @type {Map<string, string>} lowercased title -> id of the first vault using it */
+    const owners = new Map();
+    const entries = [];
+    const duplicates = [];
+
+    for (const { vault, entries: vaultEntries } of vaults) {
+        for (const entry of vaultEntries) {
+            const title = entry.title.toLowerCase();
+            if (!owners.has(title)) {
+                owners.set(title, vault.id);
+            }
+            if (owners.get(title) === vault.id) {
+                entries.push(entry);
+                continue;
+            }
+            duplicates.push(entry);
+            if (rule === 'all') {
+                entries.push({ ...entry, title: `${entry.title} (${vault.name})` });
+            }
+        }
+    }
+    return { entries, duplicates };
+}
+
+const TLS_MODES = ['self-signed', 'pin', 'insecure'];
+
+function describeTestedConnection({ url, tls, fingerprint }) {
+    const certificate = {
+        'self-signed': 'self-signed certificate',
+        'pin': 'pinned certificate',
+        'insecure': 'certificate not checked',
+    }[tls];
+    return [url, certificate, fingerprint && `SHA-256 ${fingerprint}`].filter(Boolean).join(', ');
+}
+
+function rebindEntries(entries, vault) {
+    return entries.map(entry => ({
+        ...entry,
+        id: `${vault.id}${entry.id.slice(entry.vault.length)}`,
+        vault: vault.id,
+        vaultName: vault.name,
+    }));
+}
+
+function parseServerSentEvents(buffer) {
+    const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const events = [];
+    for (const block of blocks) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        }
+        if (data.length === 0) continue;
+        try {
+            events.push({ event, data: JSON.parse(data.join('\n')) });
+        } catch {
+            console.debug('[DeepLore] Ignoring malformed change notification:', block);
+        }
+    }
+    return { events, rest };
+}
+
+const SYNC_RETRY_BASE_MS = 30 * 1000;
+
+const SYNC_RETRY_MAX_MS = 15 * 60 * 1000;
+
+function getRetryDelay(failures) {
+    return Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
+}
+
+function scheduleOnce(pending, key, delay, callback) {
+    if (pending.has(key)) return;
+    pending.set(key, setTimeout(() => {
+        pending.delete(key);
+        callback();
+    }, delay));
+}
+
+function buildOfflineSnapshot(state) {
+    return {
+        signature: state.signature,
+        lastSync: state.lastSync,
+        total: state.total,
+        entries: state.entries,
+        errors: Object.fromEntries(state.errors),
+    };
+}
+
+function describeMatchStep(step, hop) {
+    if (hop) return `link hop ${hop}`;
+    if (step === undefined) return '';
+    return step === 0 ? 'direct' : `recursion ${step}`;
+}
+
+function buildGenerationTrace({ type, seed, candidates, matchedKeys, steps, linkHops, reasons, injected = [], fits = new Map(), entryTokens = new Map(), skipped = [], groups = [], totalTokens = 0 }, settings) {
+    const injectedSet = new Set(injected);
+    const budgetReasons = new Map(skipped.map(({ entry, reason }) => [entry, reason]));
+    const order = { injected: 0, dropped: 1, 'not matched': 2 };
+
+    const entries = candidates.map(entry => {
+        const matchedKey = matchedKeys.get(entry.title) || '';
+        let status = 'not matched';
+        let reason = '';
+        if (entry.disabled) {
+            status = matchedKey ? 'dropped' : 'not matched';
+            reason = 'disabled';
+        } else if (injectedSet.has(entry)) {
+            status = 'injected';
+            reason = [fits.get(entry), reasons.get(entry)].filter(Boolean).join(', ');
+        } else if (budgetReasons.has(entry)) {
+            status = 'dropped';
+            reason = budgetReasons.get(entry) === 'budget' ? 'token budget' : budgetReasons.get(entry);
+        } else if (reasons.has(entry)) {
+            status = 'dropped';
+            reason = reasons.get(entry);
+        } else if (matchedKey) {
+            status = 'dropped';
+        }
+        return {
+            id: entry.id,
+            title: entry.title,
+            vault: entry.vaultName,
+            status,
+            matchedKey,
+            step: describeMatchStep(steps.get(entry), linkHops.get(entry)),
+            reason,
+            priority: entry.priority,
+            tokens: entryTokens.get(entry) ?? entry.tokenEstimate,
+            placement: status === 'injected' ? describePlacement(getEntryPlacement(entry, settings)) : '',
+        };
+    });
+
+    const rank = new Map(injected.map((entry, i) => [entry.title, i]));
+    entries.sort((a, b) => order[a.status] - order[b.status]
+        || (rank.get(a.title) ?? 0) - (rank.get(b.title) ?? 0)
+        || a.priority - b.priority);
+
+    return {
+        time: Date.now(),
+        type: type || 'normal',
+        seed,
+        entries,
+        text: groups.map(({ placement, text }) => (groups.length > 1 ? `[${describePlacement(placement)}]\n${text}` : text)).join('\n\n'),
+        totalTokens,
+    };
+}
+
+function applyLoreOverride(matched, override, entries) {
+    if (!override) return { entries: matched, excluded: [], forced: [] };
+    const exclude = new Set(override.exclude);
+    const force = new Set(override.force.filter(id => !exclude.has(id)));
+    return {
+        entries: matched.filter(e => !exclude.has(e.id) && !force.has(e.id)),
+        excluded: matched.filter(e => exclude.has(e.id)),
+        forced: entries.filter(e => force.has(e.id)),
+    };
+}
+
+function buildMessageLore(trace) {
+    return {
+        time: trace.time,
+        totalTokens: trace.totalTokens,
+        entries: trace.entries
+            .filter(e => e.status !== 'not matched')
+            .map(({ id, title, vault, status, matchedKey, step, reason, tokens }) => ({ id, title, vault, status, matchedKey, step, reason, tokens })),
+        candidates: trace.entries
+            .filter(e => e.status === 'not matched' && e.reason !== 'disabled')
+            .map(e => e.id),
+    };
+}
+
+function dropUnlinkedEntries(entries, linkHops, graph) {
+    const kept = new Set(entries.filter(e => !linkHops.has(e)));
+    const dropped = [];
+    const pulled = entries.filter(e => linkHops.has(e)).sort((a, b) => linkHops.get(a) - linkHops.get(b));
+    for (const entry of pulled) {
+        const hop = linkHops.get(entry);
+        const linked = [...kept].some(from => !from.excludeRecursion
+            && (linkHops.get(from) ?? 0) < hop
+            && (graph.get(from.id) || []).includes(entry));
+        if (linked) {
+            kept.add(entry);
+        } else {
+            dropped.push(entry);
+        }
+    }
+    return { entries: entries.filter(e => kept.has(e)), dropped };
+}
+
+function parseVaultFile(file, settings, connection, vault) {
+    const tagToMatch = connection.lorebookTag.toLowerCase();
+    const constantTagToMatch = connection.constantTag ? connection.constantTag.toLowerCase() : '';
+    const neverInsertTagToMatch = connection.neverInsertTag ? connection.neverInsertTag.toLowerCase() : '';
+
+    const { frontmatter, body, error } = parseFrontmatter(file.content);
+
+    if (error) {
+        return { entries: [], error };
+    }
+
+    const tags = toStringArray(frontmatter.tags).map(t => t.replace(/^#/, '').toLowerCase());
+    if (settings.inlineTags) {
+        tags.push(...extractInlineTags(body));
+    }
+
+    if (!hasTag(tags, tagToMatch)) {
+        return { entries: [], error: null };
+    }
+
+    const disabled = frontmatter.enabled === false || Boolean(neverInsertTagToMatch && hasTag(tags, neverInsertTagToMatch));
+
+    const title = extractTitle(body, file.filename);
+    const keys = toStringArray(frontmatter.keys);
+    if (settings.aliasesAsKeys) {
+        keys.push(...toStringArray(frontmatter.aliases ?? frontmatter.alias));
+    }
+    if (settings.titleAsKey) {
+        keys.push(title, file.filename.split('/').pop().replace(/\.md$/, ''));
+    }
+
+    const expand = text => settings.resolveEmbeds && vault
+        ? expandEmbeds(text, file.filename, vault, settings.maxEmbedDepth)
+        : { text, embeds: [] };
+    const rules = getCleanRules(settings);
+    const expanded = expand(body);
+    const content = cleanContent(expanded.text, rules);
+    const entry = {
+        id: `${connection.id}:${file.filename}`,
+        vault: connection.id,
+        vaultName: connection.name,
+        filename: file.filename,
+        title,
+        headingPath: [],
+        keys: [...new Set(keys)],
+        secondaryKeys: toStringArray(frontmatter.secondaryKeys),
+        selectiveLogic: normalizeSelectiveLogic(frontmatter.logic),
+        content,
+        priority: typeof frontmatter.priority === 'number' ? frontmatter.priority : 100,
+        constant: frontmatter.constant === true || Boolean(constantTagToMatch && hasTag(tags, constantTagToMatch)),
+        tokenEstimate: 0,
+        summary: extractSummary(frontmatter.summary, content),
+        summaryTokenEstimate: 0,
+        scanDepth: typeof frontmatter.scanDepth === 'number' ? frontmatter.scanDepth : null,
+        excludeRecursion: frontmatter.excludeRecursion === true,
+        tags,
+        characters: toStringArray(frontmatter.characters),
+        excludeCharacters: toStringArray(frontmatter.excludeCharacters),
+        sticky: toMessageCount(frontmatter.sticky),
+        cooldown: toMessageCount(frontmatter.cooldown),
+        delay: toMessageCount(frontmatter.delay),
+        injectionPosition: parseInjectionPosition(frontmatter.position, frontmatter.depth),
+        injectionDepth: typeof frontmatter.depth === 'number' && frontmatter.depth >= 0 ? Math.round(frontmatter.depth) : null,
+        injectionRole: parseInjectionRole(frontmatter.role),
+        groups: toStringArray(frontmatter.group).flatMap(g => g.split(',')).map(g => g.trim()).filter(Boolean),
+        groupWeight: typeof frontmatter.groupWeight === 'number' && frontmatter.groupWeight >= 0 ? frontmatter.groupWeight : 100,
+        groupOverride: frontmatter.groupOverride === true,
+        probability: typeof frontmatter.probability === 'number' ? Math.max(0, Math.min(100, frontmatter.probability)) : 100,
+        links: extractWikiLinks(removeHiddenContent(body, rules)),
+        embeds: expanded.embeds,
+        disabled,
+    };
+
+    const split = typeof frontmatter.splitSections === 'boolean' ? frontmatter.splitSections : settings.splitSections;
+    if (split && !disabled) {
+        return { entries: buildSectionEntries(entry, body, frontmatter.summary, { expand, rules }), error: null };
+    }
+    return { entries: [entry], error: null };
+}
+
+let relevanceIndex = null;
+
+function orderMatches(matched, scanText, linkHops, settings) {
+    let entries = matched;
+    /** @type {Map<VaultEntry, number>} */
+    const relevance = new Map();
+    /** @type {Map<VaultEntry, number>} */
+    let rankScores = new Map();
+
+    if (settings.relevanceRanking && relevanceIndex) {
+        const queryTerms = [...new Set(tokenizeText(scanText))];
+        for (const entry of entries) {
+            relevance.set(entry, scoreBm25(relevanceIndex, queryTerms, entry.id));
+        }
+        const ranking = rankByRelevance(entries, relevance, settings.relevanceWeight / 100);
+        entries = ranking.entries;
+        rankScores = ranking.scores;
+    }
+
+    if (linkHops.size > 0) {
+        entries = [...entries].sort((a, b) => (linkHops.get(a) || 0) - (linkHops.get(b) || 0));
+    }
+
+    return { entries, relevance, rankScores };
+}
+
+function formatTestResult(trace, groups) {
+    return JSON.stringify({
+        entries: trace.entries.filter(e => e.status !== 'not matched'),
+        injections: groups.map(({ placement, text }) => ({ placement: describePlacement(placement), text })),
+        totalTokens: trace.totalTokens,
+    });
+}
+
+function getNewNotePath(title, folder) {
+    const filenameBase = sanitizeFilename(title);
+    if (!filenameBase) {
+        throw new Error('A title is required');
+    }
+    const targetFolder = folder.trim().replace(/^\/+|\/+$/g, '');
+    return `${targetFolder ? targetFolder + '/' : ''}${filenameBase}.md`;
+}
+
+function dropUntriggeredEntries(entries, steps, recursionSources, exempt = new Set()) {
+    const triggered = entries.filter(e => recursionSources.has(e) && !exempt.has(e));
+    const kept = new Set([...exempt, ...entries.filter(e => !triggered.includes(e))]);
+    const dropped = [];
+    for (const entry of triggered.sort((a, b) => steps.get(a) - steps.get(b))) {
+        if (recursionSources.get(entry).some(source => kept.has(source))) {
+            kept.add(entry);
+        } else {
+            dropped.push(entry);
+        }
+    }
+    return { entries: entries.filter(e => kept.has(e)), dropped };
+}
+
+function getIndexSignature(settings, vault) {
+    return JSON.stringify([
+        vault.protocol,
+        vault.host,
+        vault.port,
+        vault.name,
+        vault.lorebookTag,
+        vault.constantTag,
+        vault.neverInsertTag,
+        settings.inlineTags,
+        settings.aliasesAsKeys,
+        settings.titleAsKey,
+        settings.splitSections,
+        settings.resolveEmbeds,
+        settings.maxEmbedDepth,
+        getCleanRules(settings),
+    ]);
+}
+
+function isIndexOutdated(settings, states, now) {
+    const vaults = settings.vaults.filter(v => v.enabled);
+    if (vaults.length !== states.size) return true;
+    return vaults.some(vault => {
+        const state = states.get(vault.id);
+        return !state || (state.retryAt <= now && state.signature !== getIndexSignature(settings, vault));
+    });
+}
+
+// Copied from server/index.js
+function diffVersions(previous, current) {
+    const changed = [];
+    const deleted = [];
+    for (const [filename, version] of Object.entries(current)) {
+        if (previous[filename] !== version) {
+            changed.push(filename);
+        }
+    }
+    for (const filename of Object.keys(previous)) {
+        if (!(filename in current)) {
+            deleted.push(filename);
+        }
+    }
+    return { changed, deleted };
+}
+
+function normalizeFingerprint(fingerprint) {
+    const hex = String(fingerprint || '').replace(/^sha-?256(\s+fingerprint)?\s*[:=]?\s*/i, '').replace(/[\s:]/g, '').toUpperCase();
+    return /^[0-9A-F]{64}$/.test(hex) ? hex.match(/../g).join(':') : '';
+}
+
+function parseConnection(body, apiKey = '') {
+    const protocol = body.protocol || 'http';
+    if (protocol !== 'http' && protocol !== 'https') {
+        throw new Error(`Unknown protocol "${protocol}"`);
+    }
+    const port = Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid port "${body.port}"`);
+    }
+    const host = String(body.host || '127.0.0.1').trim();
+    if (!/^[\w.-]+$|^\[[0-9a-fA-F:.]+\]$/.test(host)) {
+        throw new Error(`Invalid host "${host}"`);
+    }
+    const mode = body.tls || 'self-signed';
+    if (!TLS_MODES.includes(mode)) {
+        throw new Error(`Unknown certificate mode "${mode}"`);
+    }
+    const fingerprint = normalizeFingerprint(body.fingerprint);
+    if (protocol === 'https' && mode === 'pin' && !fingerprint) {
+        throw new Error('Certificate pinning needs a SHA-256 fingerprint');
+    }
+    return { protocol, host, port, apiKey, tls: mode, fingerprint };
+}
+
+function isValidConnectionId(connectionId) {
+    return typeof connectionId === 'string' && /^[\w-]{1,64}$/.test(connectionId);
+}
+
+function connectionKey({ protocol, host, port }) {
+    return `${protocol}://${host}:${port}`;
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function getVaultCacheKey(connection) {
+    return crypto.createHash('sha256').update(`${connectionKey(connection)}\n${connection.apiKey}`).digest('hex').slice(0, 32);
+}
+
+function getIndexCacheName(connection, signature) {
+    return `${getVaultCacheKey(connection)}-${hashContent(String(signature)).slice(0, 16)}.json`;
+}
+
+function formatServerSentEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+const MAX_SYNC_SNAPSHOTS = 8;
+
+const syncSnapshots = new Map();
+
+function getSyncSnapshot(connection, token) {
+    const snapshots = syncSnapshots.get(connection);
+    return (token && snapshots && snapshots.get(token)) || null;
+}
+
+function saveSyncSnapshot(connection, versions, previousToken) {
+    let snapshots = syncSnapshots.get(connection);
+    if (!snapshots) {
+        snapshots = new Map();
+        syncSnapshots.set(connection, snapshots);
+    }
+    if (previousToken) {
+        snapshots.delete(previousToken);
+    }
+    const token = crypto.randomUUID();
+    snapshots.set(token, versions);
+    while (snapshots.size > MAX_SYNC_SNAPSHOTS) {
+        snapshots.delete(snapshots.keys().next().value);
+    }
+    return token;
+}
+
+function isSameAddress(a, b) {
+    return connectionKey(a) === connectionKey(b)
+        && (a.protocol !== 'https' || (a.tls === b.tls && a.fingerprint === b.fingerprint));
+}
+
+function resolveConnection(stored, body) {
+    if (!stored || typeof stored !== 'object' || !stored.apiKey) {
+        return null;
+    }
+    const connection = { ...parseConnection(stored, stored.apiKey), trusted: normalizeFingerprint(stored.trusted) };
+    if (body.port !== undefined) {
+        const requested = parseConnection(body);
+        if (!isSameAddress(requested, connection)) {
+            throw new Error(`The API key was stored for ${connectionKey(connection)}; enter it again to use it with ${connectionKey(requested)}`);
+        }
+    }
+    return connection;
+}
+
+function patchNoteStore(stored, versions, downloaded) {
+    const notes = {};
+    for (const [filename, version] of Object.entries(versions)) {
+        if (stored[filename]?.version === version) {
+            notes[filename] = stored[filename];
+        }
+    }
+    let changed = Object.keys(notes).length !== Object.keys(stored).length;
+    for (const note of downloaded) {
+        if (note.filename in versions && notes[note.filename]?.content !== note.content) {
+            notes[note.filename] = { version: versions[note.filename], content: note.content };
+            changed = true;
+        }
+    }
+    return { notes, changed };
+}
+
+function patchCachedIndex(index, versions, { full, total, notes, removed }) {
+    if (!full && !index) {
+        return null;
+    }
+    const files = full ? {} : { ...index.files };
+    for (const filename of Array.isArray(removed) ? removed : []) {
+        delete files[filename];
+    }
+    for (const [filename, note] of Object.entries(notes && typeof notes === 'object' ? notes : {})) {
+        if (!(filename in versions) || !note || !Array.isArray(note.entries)) continue;
+        files[filename] = {
+            version: versions[filename],
+            entries: note.entries.filter(entry => entry && entry.filename === filename),
+            error: typeof note.error === 'string' ? note.error : null,
+        };
+    }
+    return { files, total: Number(total) || Object.keys(files).length };
+}
+
+function assembleCachedIndex(index, stored) {
+    const result = { entries: [], errors: {}, files: {}, versions: {}, total: index.total, partial: false };
+    for (const [filename, note] of Object.entries(index.files)) {
+        if (stored[filename]?.version !== note.version) {
+            result.partial = true;
+            continue;
+        }
+        result.entries.push(...note.entries);
+        if (note.error) {
+            result.errors[filename] = note.error;
+        }
+        result.files[filename] = stored[filename].content;
+        result.versions[filename] = note.version;
+    }
+    return result;
+}
+
+const INDEX_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function pickCacheEvictions(items, limit, now = Date.now()) {
+    const evict = [];
+    const fresh = [];
+    let total = 0;
+    for (const item of items) {
+        if (now - item.savedAt > INDEX_CACHE_MAX_AGE) {
+            evict.push(item.name);
+        } else {
+            fresh.push(item);
+            total += item.size;
+        }
+    }
+    for (const item of fresh.slice(0, -1)) {
+        if (total <= limit) break;
+        evict.push(item.name);
+        total -= item.size;
+    }
+    return evict;
+}
+
+const cacheUpdates = new Map();
+
+function queueCacheUpdate(name, update) {
+    const result = (cacheUpdates.get(name) || Promise.resolve()).then(update);
+    const done = result.then(() => {}, () => {});
+    cacheUpdates.set(name, done);
+    done.then(() => {
+        if (cacheUpdates.get(name) === done) {
+            cacheUpdates.delete(name);
+        }
+    });
+    return result;
+}
+
+// ============================================================================
+// Test runner
+// ============================================================================
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.error(`  FAIL: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.error(`  FAIL: ${message}`);
+        console.error(`    expected: ${JSON.stringify(expected)}`);
+        console.error(`    actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+function test(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+/** Async tests run one at a time after the synchronous ones */
+const asyncTests = [];
+
+function testAsync(name, fn) {
+    asyncTests.push({ name, fn });
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+test('parseFrontmatter: basic key-value pairs', () => {
+    const input = '---\ntitle: Test Note\npriority: 10\nenabled: true\n---\n# Body';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.title, 'Test Note', 'should parse string value');
+    assertEqual(result.frontmatter.priority, 10, 'should parse number value');
+    assertEqual(result.frontmatter.enabled, true, 'should parse boolean true');
+    assertEqual(result.body, '# Body', 'should extract body');
+});
+
+test('parseFrontmatter: arrays', () => {
+    const input = '---\ntags:\n  - lorebook\n  - character\nkeys:\n  - Eris\n  - goddess\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.tags, ['lorebook', 'character'], 'should parse tags array');
+    assertEqual(result.frontmatter.keys, ['Eris', 'goddess'], 'should parse keys array');
+});
+
+test('parseFrontmatter: empty arrays', () => {
+    const input = '---\nkeys: []\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.keys, [], 'should parse empty array');
+});
+
+test('parseFrontmatter: boolean false', () => {
+    const input = '---\nenabled: false\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.enabled, false, 'should parse boolean false');
+});
+
+test('parseFrontmatter: quoted strings', () => {
+    const input = '---\ntitle: "Hello World"\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.title, 'Hello World', 'should strip quotes');
+});
+
+test('parseFrontmatter: no frontmatter', () => {
+    const input = '# Just a heading\nSome content';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter, {}, 'should return empty frontmatter');
+    assertEqual(result.body, input, 'should return full content as body');
+});
+
+test('parseFrontmatter: inline arrays', () => {
+    const input = '---\ntags: [lorebook, character]\nkeys: [Eris, "goddess of discord"]\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.tags, ['lorebook', 'character'], 'should parse flow sequence');
+    assertEqual(result.frontmatter.keys, ['Eris', 'goddess of discord'], 'should parse quoted items in flow sequence');
+});
+
+test('parseFrontmatter: floats and negative numbers', () => {
+    const input = '---\npriority: -5\nweight: 0.75\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.priority, -5, 'should parse negative integer');
+    assertEqual(result.frontmatter.weight, 0.75, 'should parse float');
+});
+
+test('parseFrontmatter: nested maps', () => {
+    const input = '---\nstats:\n  age: 3000\n  domain: strife\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.stats, { age: 3000, domain: 'strife' }, 'should parse nested mapping');
+});
+
+test('parseFrontmatter: block scalars', () => {
+    const input = '---\nliteral: |\n  line one\n  line two\nfolded: >\n  one\n  two\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.literal, 'line one\nline two\n', 'should keep newlines in literal block');
+    assertEqual(result.frontmatter.folded, 'one two\n', 'should fold newlines in folded block');
+});
+
+test('parseFrontmatter: quoted strings with colons', () => {
+    const input = '---\nsummary: "Rule: never lie"\nquote: \'Time: 10:30\'\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.summary, 'Rule: never lie', 'should keep colon in double-quoted string');
+    assertEqual(result.frontmatter.quote, 'Time: 10:30', 'should keep colons in single-quoted string');
+});
+
+test('parseFrontmatter: empty value is null', () => {
+    const input = '---\nkeys:\n---\nContent';
+    const result = parseFrontmatter(input);
+    assertEqual(result.frontmatter.keys, null, 'should parse empty value as null');
+    assertEqual(result.error, null, 'should not report an error');
+});
+
+test('parseFrontmatter: reports invalid YAML', () => {
+    const input = '---\nkeys: [Eris\ntags: lorebook\n---\nContent';
+    const result = parseFrontmatter(input);
+    assert(typeof result.error === 'string' && result.error.length > 0, 'should report a parse error');
+    assertEqual(result.frontmatter, {}, 'should return empty frontmatter on error');
+    assertEqual(result.body, 'Content', 'should still extract body');
+});
+
+test('parseFrontmatter: rejects non-mapping frontmatter', () => {
+    const result = parseFrontmatter('---\n- just\n- a list\n---\nContent');
+    assert(result.error !== null, 'should report frontmatter that is not key-value pairs');
+});
+
+test('toStringArray: normalizes property values', () => {
+    assertEqual(toStringArray(['Eris', 42, null]), ['Eris', '42'], 'should stringify items and drop nulls');
+    assertEqual(toStringArray('Eris'), ['Eris'], 'should wrap a single value');
+    assertEqual(toStringArray(null), [], 'should treat null as empty');
+    assertEqual(toStringArray(undefined), [], 'should treat undefined as empty');
+    assertEqual(toStringArray([{ a: 1 }, ' x ']), ['x'], 'should drop objects and trim strings');
+});
+
+test('cleanContent: strips image embeds', () => {
+    assertEqual(cleanContent('Before ![[image.png]] after'), 'Before  after', 'should strip wiki image embeds');
+    assertEqual(cleanContent('Before ![alt](http://img.png) after'), 'Before  after', 'should strip markdown image embeds');
+});
+
+test('cleanContent: converts wiki links', () => {
+    assertEqual(cleanContent('See [[Target Page]]'), 'See Target Page', 'should convert simple wiki links');
+    assertEqual(cleanContent('See [[Target|Display Text]]'), 'See Display Text', 'should convert aliased wiki links');
+});
+
+test('cleanContent: collapses blank lines', () => {
+    assertEqual(cleanContent('Line 1\n\n\n\n\nLine 2'), 'Line 1\n\nLine 2', 'should collapse 5 newlines to 2');
+});
+
+test('extractTitle: from H1', () => {
+    assertEqual(extractTitle('# My Title\nContent', 'test.md'), 'My Title', 'should extract H1');
+});
+
+test('extractTitle: from filename', () => {
+    assertEqual(extractTitle('No heading here', 'folder/My Note.md'), 'My Note', 'should fall back to filename');
+});
+
+test('extractTitle: nested path', () => {
+    assertEqual(extractTitle('Content', 'World/Characters/Alice.md'), 'Alice', 'should use last path segment');
+});
+
+test('testEntryMatch: case insensitive substring', () => {
+    const entry = { keys: ['Eris'] };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'I met eris today', settings), 'Eris', 'should match case-insensitively');
+    assertEqual(testEntryMatch(entry, 'No match here', settings), null, 'should return null for no match');
+});
+
+test('testEntryMatch: case sensitive', () => {
+    const entry = { keys: ['Eris'] };
+    const settings = { caseSensitive: true, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'I met eris today', settings), null, 'should not match wrong case');
+    assertEqual(testEntryMatch(entry, 'I met Eris today', settings), 'Eris', 'should match exact case');
+});
+
+test('testEntryMatch: whole words', () => {
+    const entry = { keys: ['war'] };
+    const settings = { caseSensitive: false, matchWholeWords: true };
+    assertEqual(testEntryMatch(entry, 'The warning was clear', settings), null, 'should not match partial word');
+    assertEqual(testEntryMatch(entry, 'The war began', settings), 'war', 'should match whole word');
+});
+
+test('testEntryMatch: empty keys', () => {
+    const entry = { keys: [] };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'any text', settings), null, 'should return null for empty keys');
+});
+
+test('testEntryMatch: regex special chars in key', () => {
+    const entry = { keys: ['C++ programming'] };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'I love c++ programming', settings), 'C++ programming', 'should handle regex special chars');
+});
+
+test('testEntryMatch: regex keys', () => {
+    const entry = { keys: ['/eris(?! station)/i'] };
+    const settings = { caseSensitive: true, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'Eris smiled', settings), '/eris(?! station)/i', 'should match using regex flags');
+    assertEqual(testEntryMatch(entry, 'We docked at Eris Station', settings), null, 'should respect negative lookahead');
+});
+
+test('testEntryMatch: invalid regex falls back to literal', () => {
+    const entry = { keys: ['/[unclosed/'] };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'text with /[unclosed/ in it', settings), '/[unclosed/', 'should match literally');
+});
+
+test('testEntryMatch: secondary keys AND ANY', () => {
+    const entry = { keys: ['Eris'], secondaryKeys: ['apple', 'discord'], selectiveLogic: 'AND ANY' };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'Eris threw the apple', settings), 'Eris + apple', 'should report primary and secondary key');
+    assertEqual(testEntryMatch(entry, 'Eris waved', settings), null, 'should require a secondary key');
+});
+
+test('testEntryMatch: secondary keys AND ALL', () => {
+    const entry = { keys: ['Eris'], secondaryKeys: ['apple', 'discord'], selectiveLogic: 'AND ALL' };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'Eris sowed discord with an apple', settings), 'Eris + apple + discord', 'should list all secondary keys');
+    assertEqual(testEntryMatch(entry, 'Eris threw the apple', settings), null, 'should require every secondary key');
+});
+
+test('testEntryMatch: secondary keys NOT ANY', () => {
+    const entry = { keys: ['Eris'], secondaryKeys: ['Eris Station'], selectiveLogic: 'NOT ANY' };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'Eris laughed', settings), 'Eris + none of [Eris Station]', 'should match when no secondary key is present');
+    assertEqual(testEntryMatch(entry, 'Welcome to Eris Station', settings), null, 'should block when a secondary key is present');
+});
+
+test('testEntryMatch: secondary keys NOT ALL', () => {
+    const entry = { keys: ['Eris'], secondaryKeys: ['apple', 'discord'], selectiveLogic: 'NOT ALL' };
+    const settings = { caseSensitive: false, matchWholeWords: false };
+    assertEqual(testEntryMatch(entry, 'Eris threw the apple', settings), 'Eris + missing [discord]', 'should report the missing key');
+    assertEqual(testEntryMatch(entry, 'Eris sowed discord with an apple', settings), null, 'should block when all secondary keys are present');
+});
+
+test('normalizeSelectiveLogic: accepts common spellings', () => {
+    assertEqual(normalizeSelectiveLogic('and_all'), 'AND ALL', 'should accept underscores');
+    assertEqual(normalizeSelectiveLogic('Not  Any'), 'NOT ANY', 'should accept mixed case and spacing');
+    assertEqual(normalizeSelectiveLogic(undefined), 'AND ANY', 'should default missing values');
+    assertEqual(normalizeSelectiveLogic('sometimes'), 'AND ANY', 'should default unknown values');
+});
+
+test('parseRegexKey: plain keys are not regexes', () => {
+    assertEqual(parseRegexKey('Eris'), null, 'should ignore plain keys');
+    assertEqual(parseRegexKey('/'), null, 'should ignore a lone slash');
+    assert(parseRegexKey('/a+b/gi') instanceof RegExp, 'should parse pattern with flags');
+});
+
+test('extractInlineTags: finds body tags', () => {
+    const body = '# Eris\nA goddess. #lorebook #Lorebook/Characters\n(see #myth) and #2024';
+    assertEqual(extractInlineTags(body), ['lorebook', 'lorebook/characters', 'myth'], 'should find tags, lowercase them and skip numeric-only tags');
+});
+
+test('extractInlineTags: ignores headings, code and links', () => {
+    const body = '## Not a tag\n`#code`\n```\n#fenced\n```\nhttps://example.com/#anchor';
+    assertEqual(extractInlineTags(body), [], 'should ignore headings, code spans, fenced code and URL anchors');
+});
+
+test('hasTag: nested tags', () => {
+    assert(hasTag(['lorebook/characters'], 'lorebook'), 'should count nested tag as parent');
+    assert(hasTag(['lorebook'], 'lorebook'), 'should match exact tag');
+    assert(!hasTag(['lorebook-always'], 'lorebook'), 'should not match tag with shared prefix');
+    assert(!hasTag(['lore'], 'lorebook'), 'should not match shorter tag');
+});
+
+test('sanitizeFilename: strips characters Obsidian rejects', () => {
+    assertEqual(sanitizeFilename('Eris: Goddess/of [Discord]?'), 'Eris Goddess of Discord', 'should replace invalid characters');
+    assertEqual(sanitizeFilename('  ##  '), '', 'should return empty for unusable titles');
+});
+
+test('getNewNotePath: folder and sanitized title', () => {
+    assertEqual(getNewNotePath('Eris', ''), 'Eris.md', 'should use the vault root without a folder');
+    assertEqual(getNewNotePath('Eris/Discordia', ' /Lore/Gods// '), 'Lore/Gods/Eris Discordia.md', 'should trim slashes and sanitize the title');
+    let error = '';
+    try { getNewNotePath(' ?? ', 'Lore'); } catch (err) { error = err.message; }
+    assertEqual(error, 'A title is required');
+});
+
+test('buildNoteContent: frontmatter and title', () => {
+    const content = buildNoteContent({ title: 'Eris', tags: ['lorebook'], keys: ['Eris', 'goddess: discord'], priority: 50, body: ' She sows strife. ' });
+    const parsed = parseFrontmatter(content);
+    assertEqual(parsed.frontmatter, { tags: ['lorebook'], keys: ['Eris', 'goddess: discord'], priority: 50 }, 'should round-trip through the frontmatter parser');
+    assertEqual(parsed.body, '\n# Eris\n\nShe sows strife.\n', 'should add an H1 title and trimmed body');
+});
+
+test('isEntryInScope: character filters', () => {
+    const scope = { names: ['Eris'], folder: '', tag: '', source: '' };
+    const entry = { filename: 'a.md', tags: ['lorebook'], characters: ['eris', 'Ares'], excludeCharacters: [] };
+    assert(isEntryInScope(entry, scope), 'should include entry listing the active character (case-insensitive)');
+    assert(!isEntryInScope({ ...entry, characters: ['Ares'] }, scope), 'should exclude entry for other characters');
+    assert(!isEntryInScope({ ...entry, characters: [], excludeCharacters: ['Eris'] }, scope), 'should exclude entry excluding the active character');
+    assert(isEntryInScope({ filename: 'a.md' }, scope), 'should include entry without scope fields');
+});
+
+test('isEntryInScope: group members', () => {
+    const scope = { names: ['Eris', 'Ares'], folder: '', tag: '', source: '' };
+    assert(isEntryInScope({ filename: 'a.md', characters: ['Ares'] }, scope), 'should match any group member');
+    assert(!isEntryInScope({ filename: 'a.md', excludeCharacters: ['Ares'] }, scope), 'should exclude when any member is excluded');
+});
+
+test('isEntryInScope: folder and tag bindings', () => {
+    const scope = { names: [], folder: 'Worlds/Olympus', tag: 'olympus', source: 'chat' };
+    const entry = { filename: 'Worlds/Olympus/Eris.md', tags: ['lorebook', 'olympus/gods'] };
+    assert(isEntryInScope(entry, scope), 'should include entry inside folder with nested tag');
+    assert(!isEntryInScope({ ...entry, filename: 'Worlds/Olympus Station/Eris.md' }, scope), 'should not match folder name prefix');
+    assert(!isEntryInScope({ ...entry, tags: ['lorebook'] }, scope), 'should exclude entry without the bound tag');
+});
+
+test('normalizeFolder: trims slashes', () => {
+    assertEqual(normalizeFolder(' /Worlds/Olympus/ '), 'Worlds/Olympus', 'should strip surrounding slashes and spaces');
+    assertEqual(normalizeFolder(undefined), '', 'should handle missing folder');
+});
+
+test('toMessageCount: reads frontmatter counts', () => {
+    assertEqual(toMessageCount(3), 3, 'should keep positive integers');
+    assertEqual(toMessageCount(2.6), 3, 'should round floats');
+    assertEqual(toMessageCount(-1), 0, 'should treat negatives as off');
+    assertEqual(toMessageCount('5'), 0, 'should ignore non-numbers');
+});
+
+test('timed effects: sticky keeps entry after keys stop matching', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 2, cooldown: 0, delay: 0 };
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([entry], state, 10);
+    for (const length of [11, 12]) {
+        pruneTimedEffects(state, length);
+        const result = applyTimedEffects([], [entry], state, length);
+        assertEqual(result.entries.map(e => e.title), ['A'], `should keep sticky entry at chat length ${length}`);
+    }
+    pruneTimedEffects(state, 13);
+    assertEqual(applyTimedEffects([], [entry], state, 13).entries, [], 'should drop entry after sticky ends');
+});
+
+test('timed effects: cooldown blocks re-triggering', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 0, cooldown: 2, delay: 0 };
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([entry], state, 10);
+    pruneTimedEffects(state, 11);
+    const blocked = applyTimedEffects([entry], [entry], state, 11);
+    assertEqual(blocked.entries, [], 'should suppress matched entry on cooldown');
+    assertEqual(blocked.reasons.get(entry), 'cooldown (2 left)', 'should explain the suppression');
+    pruneTimedEffects(state, 13);
+    assertEqual(applyTimedEffects([entry], [entry], state, 13).entries.length, 1, 'should trigger again after cooldown');
+});
+
+test('timed effects: cooldown starts after sticky ends', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 1, cooldown: 1, delay: 0 };
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([entry], state, 10);
+    assertEqual(applyTimedEffects([entry], [entry], state, 11).entries.length, 1, 'should be kept by sticky first');
+    pruneTimedEffects(state, 12);
+    assertEqual(applyTimedEffects([entry], [entry], state, 12).entries.length, 0, 'should then be on cooldown');
+});
+
+test('timed effects: delay', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 0, cooldown: 0, delay: 5 };
+    const state = { sticky: {}, cooldown: {} };
+    const early = applyTimedEffects([entry], [entry], state, 3);
+    assertEqual(early.entries, [], 'should suppress before the chat is long enough');
+    assertEqual(early.reasons.get(entry), 'delay (3/5 messages)', 'should explain the delay');
+    assertEqual(applyTimedEffects([entry], [entry], state, 5).entries.length, 1, 'should trigger once the chat is long enough');
+});
+
+test('timed effects: swipes and branches discard newer effects', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 3, cooldown: 3, delay: 0 };
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([entry], state, 10);
+    assert(pruneTimedEffects(state, 10), 'should report pruning');
+    assertEqual(state, { sticky: {}, cooldown: {} }, 'should drop effects recorded at the same or a later chat length');
+});
+
+test('timed effects: sticky entries do not restart their window', () => {
+    const entry = { id: 'a.md', filename: 'a.md', title: 'A', priority: 100, sticky: 2, cooldown: 0, delay: 0 };
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([entry], state, 10);
+    assert(!recordTimedEffects([entry], state, 11), 'should not record while already sticky');
+    assertEqual(state.sticky['a.md'].end, 12, 'should keep the original window');
+});
+
+test('parseInjectionPosition: frontmatter names', () => {
+    assertEqual(parseInjectionPosition('before'), 2, 'should map before to before main prompt');
+    assertEqual(parseInjectionPosition('After'), 0, 'should map after, ignoring case');
+    assertEqual(parseInjectionPosition('depth'), 1, 'should map depth to in-chat');
+    assertEqual(parseInjectionPosition(undefined, 2), 1, 'should imply in-chat when only depth is set');
+    assertEqual(parseInjectionPosition('sideways'), null, 'should ignore unknown positions');
+    assertEqual(parseInjectionPosition(undefined), null, 'should default to the global setting');
+});
+
+test('parseInjectionRole: frontmatter names', () => {
+    assertEqual(parseInjectionRole('system'), 0, 'should map system');
+    assertEqual(parseInjectionRole('User'), 1, 'should map user, ignoring case');
+    assertEqual(parseInjectionRole('assistant'), 2, 'should map assistant');
+    assertEqual(parseInjectionRole('narrator'), null, 'should ignore unknown roles');
+});
+
+test('getEntryPlacement: overrides and defaults', () => {
+    const settings = { injectionPosition: 1, injectionDepth: 4, injectionRole: 0 };
+    const none = { injectionPosition: null, injectionDepth: null, injectionRole: null };
+    assertEqual(getEntryPlacement(none, settings), { position: 1, depth: 4, role: 0 }, 'should use global settings');
+    assertEqual(getEntryPlacement({ ...none, injectionDepth: 2, injectionRole: 1 }, settings), { position: 1, depth: 2, role: 1 }, 'should apply depth and role overrides');
+    assertEqual(getEntryPlacement({ ...none, injectionPosition: 2, injectionDepth: 2 }, settings), { position: 2, depth: 4, role: 0 }, 'should ignore depth outside the chat');
+});
+
+test('describePlacement: readable labels', () => {
+    assertEqual(describePlacement({ position: 2, depth: 4, role: 0 }), 'before', 'should describe before');
+    assertEqual(describePlacement({ position: 1, depth: 2, role: 1 }), 'depth 2 (user)', 'should describe in-chat depth and role');
+});
+
+function groupEntry(title, priority, extra = {}) {
+    return { id: `${title}.md`, filename: `${title}.md`, title, priority, groups: ['rumor'], groupWeight: 100, groupOverride: false, ...extra };
+}
+
+test('selectGroupWinners: priority mode keeps lowest priority', () => {
+    const entries = [groupEntry('A', 10), groupEntry('B', 20), groupEntry('C', 5, { groups: [] })];
+    const result = selectGroupWinners(entries, { mode: 'priority', random: () => 0.99 });
+    assertEqual(result.entries.map(e => e.title), ['A', 'C'], 'should keep the first group member and ungrouped entries');
+    assertEqual(result.losers.map(e => e.title), ['B'], 'should report the loser');
+    assertEqual(result.picks, { rumor: 'A.md' }, 'should record the pick');
+    assertEqual(result.reasons.get(entries[1]), 'lost group "rumor" to A', 'should explain the loss');
+});
+
+test('selectGroupWinners: weighted mode uses weights', () => {
+    const entries = [groupEntry('A', 10, { groupWeight: 1 }), groupEntry('B', 20, { groupWeight: 3 })];
+    assertEqual(selectGroupWinners(entries, { mode: 'weighted', random: () => 0.1 }).picks.rumor, 'A.md', 'should pick A for a low roll');
+    assertEqual(selectGroupWinners(entries, { mode: 'weighted', random: () => 0.5 }).picks.rumor, 'B.md', 'should pick B for a higher roll');
+});
+
+test('selectGroupWinners: override wins', () => {
+    const entries = [groupEntry('A', 10), groupEntry('B', 20, { groupOverride: true })];
+    const result = selectGroupWinners(entries, { mode: 'weighted', random: () => 0 });
+    assertEqual(result.entries.map(e => e.title), ['B'], 'should pick the override entry');
+});
+
+test('selectGroupWinners: keeps previous pick', () => {
+    const entries = [groupEntry('A', 10), groupEntry('B', 20)];
+    const result = selectGroupWinners(entries, { mode: 'priority', random: () => 0, keep: { rumor: 'B.md' } });
+    assertEqual(result.entries.map(e => e.title), ['B'], 'should keep the recorded pick');
+    const missing = selectGroupWinners(entries, { mode: 'priority', random: () => 0, keep: { rumor: 'Z.md' } });
+    assertEqual(missing.entries.map(e => e.title), ['A'], 'should choose again when the pick is no longer a candidate');
+});
+
+test('selectGroupWinners: single member groups are untouched', () => {
+    const entries = [groupEntry('A', 10), groupEntry('B', 20, { groups: ['season'] })];
+    const result = selectGroupWinners(entries, { mode: 'weighted', random: () => 0 });
+    assertEqual(result.entries.length, 2, 'should keep both entries');
+    assertEqual(result.picks, {}, 'should record no picks');
+});
+
+test('createRng: deterministic and in range', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const first = [a(), a(), a()];
+    assertEqual([b(), b(), b()], first, 'should repeat the sequence for the same seed');
+    assert(first.every(n => n >= 0 && n < 1), 'should return numbers in [0, 1)');
+    assert(createRng(43)() !== first[0], 'should differ for another seed');
+});
+
+test('hashString: stable 32-bit hash', () => {
+    assertEqual(hashString(''), 0x811c9dc5, 'should return the FNV offset basis for empty input');
+    assertEqual(hashString('deeplore'), hashString('deeplore'), 'should be stable');
+    assert(hashString('a') !== hashString('b'), 'should differ for different input');
+});
+
+test('getGenerationSeed: reproducible with a seed setting', () => {
+    assertEqual(getGenerationSeed('abc', 'chat', 5, 0), getGenerationSeed('abc', 'chat', 5, 0), 'should repeat for the same chat point');
+    assert(getGenerationSeed('abc', 'chat', 5, 0) !== getGenerationSeed('abc', 'chat', 5, 1), 'should change between swipes');
+    assert(getGenerationSeed('abc', 'chat', 5, 0) !== getGenerationSeed('abc', 'chat', 6, 0), 'should change between messages');
+});
+
+test('applyProbability: rolls per entry', () => {
+    const always = { id: 'always.md', filename: 'always.md', probability: 100 };
+    const never = { id: 'never.md', filename: 'never.md', probability: 0 };
+    const sometimes = { id: 'sometimes.md', filename: 'sometimes.md', probability: 50 };
+    const result = applyProbability([always, never], 1, new Set());
+    assertEqual(result.entries, [always], 'should keep 100% entries and drop 0% entries');
+    assertEqual(result.failed.length, 1, 'should report the failed roll');
+    assert(result.failed[0].roll >= 0 && result.failed[0].roll < 100, 'should report a roll between 0 and 100');
+    assertEqual(applyProbability([never], 1, new Set([never])).entries, [never], 'should skip the check for exempt entries');
+    const first = applyProbability([sometimes], 7, new Set()).entries.length;
+    assertEqual(applyProbability([never, sometimes], 7, new Set()).entries.length, first, 'should not depend on other entries');
+});
+
+test('tokenizeText: lowercase terms without punctuation', () => {
+    assertEqual(tokenizeText("Eris's sword, the Dawnblade!"), ['eris', 'sword', 'the', 'dawnblade'], 'should split on punctuation and drop 1-letter terms');
+    assertEqual(tokenizeText('Café über 42'), ['café', 'über', '42'], 'should keep non-ASCII letters and numbers');
+});
+
+test('scoreBm25: rare and repeated terms score higher', () => {
+    const index = buildBm25Index([
+        { id: 'a', text: 'dragon dragon castle' },
+        { id: 'b', text: 'dragon village' },
+        { id: 'c', text: 'castle village market' },
+    ]);
+    assertEqual(index.docCount, 3);
+    assertEqual(index.docFreq.get('dragon'), 2);
+    assert(scoreBm25(index, ['dragon'], 'a') > scoreBm25(index, ['dragon'], 'b'), 'should reward term frequency');
+    assert(scoreBm25(index, ['market'], 'c') > scoreBm25(index, ['village'], 'c'), 'should reward rare terms');
+    assertEqual(scoreBm25(index, ['ocean'], 'a'), 0, 'should score 0 without shared terms');
+    assertEqual(scoreBm25(index, ['dragon'], 'missing'), 0, 'should score 0 for unknown documents');
+});
+
+test('rankByRelevance: blends relevance with priority', () => {
+    const high = { title: 'High', priority: 10 };
+    const low = { title: 'Low', priority: 90 };
+    const relevance = new Map([[high, 1], [low, 5]]);
+    assertEqual(rankByRelevance([high, low], relevance, 1).entries, [low, high], 'should follow relevance at weight 1');
+    assertEqual(rankByRelevance([high, low], relevance, 0).entries, [high, low], 'should follow priority at weight 0');
+    const { scores } = rankByRelevance([high, low], relevance, 0.7);
+    assert(Math.abs(scores.get(low) - 0.7) < 1e-9, 'should give the best relevance full weight');
+    assert(Math.abs(scores.get(high) - (0.7 * 0.2 + 0.3)) < 1e-9, 'should give the best priority full weight');
+    assertEqual(rankByRelevance([low, high], new Map(), 0.7).entries, [high, low], 'should fall back to priority without relevance');
+});
+
+test('orderMatches: blends relevance with priority', () => {
+    const dragon = { id: 'main:Dragon.md', title: 'Dragon', priority: 90 };
+    const castle = { id: 'main:Castle.md', title: 'Castle', priority: 10 };
+    relevanceIndex = buildBm25Index([
+        { id: dragon.id, text: 'dragon dragon fire' },
+        { id: castle.id, text: 'castle walls' },
+    ]);
+    const settings = { relevanceRanking: true, relevanceWeight: 100 };
+    const ranked = orderMatches([castle, dragon], 'the dragon breathes fire', new Map(), settings);
+    assertEqual(ranked.entries, [dragon, castle], 'should follow relevance at full weight');
+    assert(ranked.relevance.get(dragon) > 0 && ranked.relevance.get(castle) === 0, 'should score entries against the chat');
+    assertEqual(ranked.rankScores.get(dragon), 1);
+    assertEqual(orderMatches([castle, dragon], 'the dragon breathes fire', new Map(), { ...settings, relevanceWeight: 0 }).entries, [castle, dragon], 'should follow priority at weight 0');
+    const plain = orderMatches([castle, dragon], 'the dragon breathes fire', new Map(), { ...settings, relevanceRanking: false });
+    assertEqual([plain.entries, plain.relevance.size, plain.rankScores.size], [[castle, dragon], 0, 0], 'should keep the order without relevance ranking');
+    relevanceIndex = null;
+});
+
+test('orderMatches: link-pulled entries come after direct matches by hop', () => {
+    const [direct, hop1, hop2] = [
+        { id: 'main:Direct.md', title: 'Direct', priority: 100 },
+        { id: 'main:Hop1.md', title: 'Hop1', priority: 1 },
+        { id: 'main:Hop2.md', title: 'Hop2', priority: 1 },
+    ];
+    relevanceIndex = buildBm25Index([
+        { id: direct.id, text: 'nothing shared' },
+        { id: hop1.id, text: 'dragon' },
+        { id: hop2.id, text: 'dragon dragon' },
+    ]);
+    const linkHops = new Map([[hop1, 1], [hop2, 2]]);
+    const ranked = orderMatches([hop2, hop1, direct], 'dragon', linkHops, { relevanceRanking: true, relevanceWeight: 100 });
+    assertEqual(ranked.entries.map(e => e.title), ['Direct', 'Hop1', 'Hop2'], 'should rank by hop even against relevance');
+    relevanceIndex = null;
+    assertEqual(orderMatches([hop2, direct, hop1], '', linkHops, { relevanceRanking: false }).entries.map(e => e.title), ['Direct', 'Hop1', 'Hop2']);
+});
+
+test('extractSummary: summary field or first paragraph', () => {
+    assertEqual(extractSummary('Short [[Eris]] blurb.', 'Long content'), 'Short Eris blurb.', 'should clean the summary field');
+    assertEqual(extractSummary(undefined, '# Eris\n\nA goddess of strife.\n\nMore details.'), 'A goddess of strife.', 'should skip the heading paragraph');
+    assertEqual(extractSummary(undefined, 'Only one paragraph.'), '', 'should not repeat single-paragraph content');
+    assertEqual(extractSummary('   ', 'First.\n\nSecond.'), 'First.', 'should ignore a blank summary field');
+});
+
+test('truncateContent: cuts at a sentence break', () => {
+    const content = 'One sentence here. Another sentence follows. And a third one ends it.';
+    const result = truncateContent(content, 30, 20);
+    assert(result.content.startsWith('One sentence here. Another sentence follows.'), 'should keep whole sentences');
+    assert(result.content.endsWith('…'), 'should mark the cut');
+    assert(result.tokens <= 20, 'should stay within the limit');
+    assertEqual(truncateContent('Short.', 5, 10), { content: 'Short.', tokens: 5 }, 'should leave content that fits');
+});
+
+function packEntry(title, tokens, summaryTokens = 0) {
+    return { title, content: `${title} full`, tokenEstimate: tokens, summary: summaryTokens ? `${title} summary` : '', summaryTokenEstimate: summaryTokens };
+}
+
+test('packEntries: fill mode skips entries that do not fit', () => {
+    const big = packEntry('Big', 1500);
+    const small = [1, 2, 3].map(n => packEntry(`Small${n}`, 100));
+    const result = packEntries([small[0], big, small[1], small[2]], { maxEntries: Infinity, maxTokens: 500, mode: 'fill', useSummaries: false });
+    assertEqual(result.packed.map(p => p.entry), small, 'should keep filling after the oversize entry');
+    assertEqual(result.skipped, [{ entry: big, reason: 'budget' }]);
+    assertEqual(result.totalTokens, 300);
+});
+
+test('packEntries: stop mode ends at the first entry that does not fit', () => {
+    const entries = [packEntry('A', 100), packEntry('Big', 1500), packEntry('B', 100)];
+    const result = packEntries(entries, { maxEntries: Infinity, maxTokens: 500, mode: 'stop', useSummaries: false });
+    assertEqual(result.packed.map(p => p.entry.title), ['A']);
+    assertEqual(result.skipped.length, 2);
+    const first = packEntries([packEntry('Big', 1500)], { maxEntries: Infinity, maxTokens: 500, mode: 'stop', useSummaries: false });
+    assertEqual(first.packed[0].fit, 'full', 'should still inject the first entry whole');
+});
+
+test('packEntries: summaries and truncation', () => {
+    const big = packEntry('Big', 1500, 80);
+    const result = packEntries([big, packEntry('A', 100)], { maxEntries: Infinity, maxTokens: 500, mode: 'fill', useSummaries: true });
+    assertEqual(result.packed.map(p => [p.entry.title, p.fit, p.content]), [['Big', 'summarized', 'Big summary'], ['A', 'full', 'A full']]);
+    assertEqual(result.totalTokens, 180);
+    const alone = packEntries([packEntry('Huge', 2000)], { maxEntries: Infinity, maxTokens: 500, mode: 'fill', useSummaries: true });
+    assertEqual(alone.packed[0].fit, 'truncated', 'should truncate when nothing else fits');
+    assert(alone.totalTokens <= 500, 'should respect the budget');
+    assertEqual(alone.skipped, []);
+});
+
+test('packEntries: max entries', () => {
+    const entries = [packEntry('A', 10), packEntry('B', 10), packEntry('C', 10)];
+    const result = packEntries(entries, { maxEntries: 2, maxTokens: Infinity, mode: 'fill', useSummaries: true });
+    assertEqual(result.packed.length, 2);
+    assertEqual(result.skipped, [{ entry: entries[2], reason: 'max entries' }]);
+});
+
+test('splitSections: splits at H2 and H3 outside code fences', () => {
+    const body = '# Eris\nIntro.\n## History\nBorn.\n### Early Life ##\nYoung.\n```\n## Not a heading\n```\n## Secrets\nHidden.';
+    const sections = splitSections(body);
+    assertEqual(sections.map(s => s.headings), [[], ['History'], ['History', 'Early Life'], ['Secrets']]);
+    assertEqual(sections[2].path, ['Eris', 'History', 'Early Life'], 'should include the H1 in the path');
+    assertEqual(sections[0].text, '# Eris\nIntro.', 'should keep the H1 in the intro');
+    assert(sections[2].text.includes('## Not a heading'), 'should ignore headings in code fences');
+});
+
+test('parseSectionFields: reads the inline block under a heading', () => {
+    const result = parseSectionFields('\nkeys:: betrayal, secret\nlogic:: NOT ANY\nText with note:: inside.');
+    assertEqual(result.fields, { keys: 'betrayal, secret', logic: 'NOT ANY' });
+    assertEqual(result.text, 'Text with note:: inside.', 'should strip only the leading block');
+    assertEqual(parseSectionFields('mood:: grim\nText').fields, {}, 'should ignore unknown fields');
+});
+
+test('buildSectionEntries: inline keys or inherited keys', () => {
+    const note = { id: 'main:Eris.md', filename: 'Eris.md', title: 'Eris', headingPath: [], keys: ['Eris'], secondaryKeys: [], selectiveLogic: 'AND ANY', priority: 50 };
+    const body = '# Eris\nGoddess of strife.\n## Secrets\nkeys:: apple, betrayal\nShe threw the apple.\n## Appearance\nGolden hair.\n## Empty\n';
+    const entries = buildSectionEntries(note, body, undefined);
+    assertEqual(entries.map(e => e.title), ['Eris', 'Eris › Secrets', 'Eris › Appearance'], 'should skip empty sections');
+    assertEqual(entries.map(e => e.id), ['main:Eris.md', 'main:Eris.md#Secrets', 'main:Eris.md#Appearance'], 'section ids keep the vault prefix');
+    assertEqual(entries[1].filename, 'Eris.md');
+    assertEqual(entries[1].keys, ['apple', 'betrayal'], 'should use inline keys');
+    assertEqual(entries[1].secondaryKeys, []);
+    assertEqual(entries[1].content, 'She threw the apple.', 'should drop the inline block');
+    assertEqual(entries[2].keys, ['Eris'], 'should inherit the note keys');
+    assertEqual(entries[2].secondaryKeys, ['Appearance'], 'should require the heading text');
+    assertEqual(entries[2].headingPath, ['Eris', 'Appearance']);
+    assertEqual(entries[2].priority, 50, 'should inherit other fields');
+});
+
+test('extractWikiLinks: aliases, headings and embeds', () => {
+    const links = extractWikiLinks('See [[Eris|the goddess]], [[Olympus#Gates|gates]], [[#Secrets]], [[Eris]] again, [[Lore/Apple#^b1]] and ![[map.png]].');
+    assertEqual(links, [
+        { target: 'Eris', heading: null },
+        { target: 'Olympus', heading: 'Gates' },
+        { target: '', heading: 'Secrets' },
+        { target: 'Lore/Apple', heading: null },
+    ]);
+    assertEqual(extractWikiLinks('[[A#B#C]]'), [{ target: 'A', heading: 'C' }], 'should use the last heading of nested links');
+});
+
+function linkEntry(filename, links, headingPath = []) {
+    const id = headingPath.length > 1 ? `${filename}#${headingPath.slice(1).join('#')}` : filename;
+    return { id, filename, title: id, headingPath, links, excludeRecursion: false };
+}
+
+test('buildLinkGraph: resolves names, paths and headings', () => {
+    const eris = linkEntry('Gods/Eris.md', [{ target: 'apple', heading: null }, { target: 'Olympus', heading: 'Gates' }, { target: 'Missing', heading: null }]);
+    const apple = linkEntry('Items/Apple.md', [{ target: 'Gods/Eris', heading: null }]);
+    const olympus = linkEntry('Olympus.md', [], []);
+    const gates = linkEntry('Olympus.md', [], ['Olympus', 'Gates']);
+    const self = linkEntry('Self.md', [{ target: '', heading: null }]);
+    const graph = buildLinkGraph([eris, apple, olympus, gates, self]);
+    assertEqual(graph.get(eris.id), [apple, gates], 'should resolve by name, case-insensitively, and to the linked section');
+    assertEqual(graph.get(apple.id), [eris], 'should resolve by path');
+    assertEqual(graph.get(self.id), [], 'should skip links to itself');
+    const noIntro = buildLinkGraph([linkEntry('A.md', [{ target: 'Olympus', heading: 'Nowhere' }]), gates]);
+    assertEqual(noIntro.get('A.md'), [gates], 'should fall back to all sections without a matching heading or intro');
+});
+
+test('buildLinkGraph: links resolve within their own vault', () => {
+    const link = [{ target: 'Eris', heading: null }];
+    const a = { ...linkEntry('A.md', link), id: 'one:A.md', vault: 'one' };
+    const erisOne = { ...linkEntry('Eris.md', []), id: 'one:Eris.md', vault: 'one' };
+    const erisTwo = { ...linkEntry('Eris.md', []), id: 'two:Eris.md', vault: 'two' };
+    const graph = buildLinkGraph([a, erisTwo, erisOne]);
+    assertEqual(graph.get('one:A.md'), [erisOne], 'should ignore notes of the same name in other vaults');
+});
+
+test('followLinks: hop limit, scope and excludeRecursion', () => {
+    const a = linkEntry('A.md', []);
+    const b = linkEntry('B.md', []);
+    const c = linkEntry('C.md', []);
+    const d = linkEntry('D.md', []);
+    const graph = new Map([['A.md', [b, d]], ['B.md', [c, a]], ['C.md', []], ['D.md', []]]);
+    const one = followLinks([a], graph, new Set([a, b, c, d]), 1);
+    assertEqual([...one.keys()], [b, d], 'should stop at the hop limit');
+    const two = followLinks([a], graph, new Set([a, b, c]), 2);
+    assertEqual([...two.entries()].map(([e, { hop, from }]) => [e.id, hop, from.id]), [['B.md', 1, 'A.md'], ['C.md', 2, 'B.md']], 'should skip entries out of scope');
+    b.excludeRecursion = true;
+    assertEqual([...followLinks([a], graph, new Set([a, b, c]), 2).keys()], [b], 'should not follow links out of excluded entries');
+});
+
+test('dropUnlinkedEntries: a cooled-down source no longer pulls in its links', () => {
+    const timed = { priority: 100, sticky: 0, cooldown: 2, delay: 0 };
+    const source = { ...linkEntry('Source.md', []), ...timed };
+    const linked = { ...linkEntry('Linked.md', []), ...timed, cooldown: 0 };
+    const further = { ...linkEntry('Further.md', []), ...timed, cooldown: 0 };
+    const graph = new Map([['Source.md', [linked]], ['Linked.md', [further]], ['Further.md', []]]);
+    const pulled = followLinks([source], graph, new Set([source, linked, further]), 2);
+    const linkHops = new Map([...pulled].map(([entry, { hop }]) => [entry, hop]));
+
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([source], state, 10);
+    const survivors = applyTimedEffects([source, linked, further], [source, linked, further], state, 11).entries;
+    assertEqual(survivors.map(e => e.id), ['Linked.md', 'Further.md'], 'only the source is on cooldown');
+    const result = dropUnlinkedEntries(survivors, linkHops, graph);
+    assertEqual(result.entries, [], 'links of a suppressed source are dropped, hop after hop');
+    assertEqual(result.dropped.map(e => e.id), ['Linked.md', 'Further.md']);
+
+    const kept = dropUnlinkedEntries([source, linked, further], linkHops, graph);
+    assertEqual(kept.entries.map(e => e.id), ['Source.md', 'Linked.md', 'Further.md'], 'an active source keeps its links');
+});
+
+test('dropUnlinkedEntries: another active source keeps the link', () => {
+    const [a, b, target] = [linkEntry('A.md', []), linkEntry('B.md', []), linkEntry('T.md', [])];
+    const graph = new Map([['A.md', [target]], ['B.md', [target]], ['T.md', []]]);
+    const linkHops = new Map([[target, 1]]);
+    assertEqual(dropUnlinkedEntries([b, target], linkHops, graph).entries, [b, target], 'B still links to the target');
+    b.excludeRecursion = true;
+    assertEqual(dropUnlinkedEntries([b, target], linkHops, graph).dropped, [target], 'links of excluded entries are not followed');
+});
+
+test('dropUntriggeredEntries: recursion matches go with their suppressed sources', () => {
+    const timed = { priority: 100, sticky: 0, cooldown: 2, delay: 0 };
+    const [source, child, grandchild, other] = ['Source.md', 'Child.md', 'Grandchild.md', 'Other.md']
+        .map(id => ({ ...linkEntry(id, []), ...timed }));
+    const steps = new Map([[source, 0], [other, 0], [child, 1], [grandchild, 2]]);
+    const sources = new Map([[child, [source]], [grandchild, [child]]]);
+
+    const state = { sticky: {}, cooldown: {} };
+    recordTimedEffects([source], state, 10);
+    const survivors = applyTimedEffects([source, child, grandchild, other], [source, child, grandchild, other], state, 11).entries;
+    const result = dropUntriggeredEntries(survivors, steps, sources);
+    assertEqual(result.entries.map(e => e.id), ['Other.md'], 'a cooled-down source drops the whole chain');
+    assertEqual(result.dropped.map(e => e.id), ['Child.md', 'Grandchild.md']);
+
+    sources.set(child, [source, other]);
+    assertEqual(dropUntriggeredEntries(survivors, steps, sources).entries.map(e => e.id), ['Child.md', 'Grandchild.md', 'Other.md'], 'another active source keeps the match');
+    sources.set(child, [source]);
+    assertEqual(dropUntriggeredEntries([child, grandchild], steps, sources, new Set([child])).entries, [child, grandchild], 'exempt entries stay and keep their matches');
+    assertEqual(dropUntriggeredEntries([grandchild], steps, sources, new Set([child])).entries, [grandchild], 'exempt entries count as sources outside the list');
+});
+
+function testVault(files) {
+    return createVaultFiles(new Map(Object.entries(files)));
+}
+
+test('extractEmbedPart: headings and blocks', () => {
+    const body = '# Pantheon\n## Eris\nStrife.\n### Symbols\nApple.\n## Ares\nWar.\n\nA rule. ^rule1\n\n- item one ^li\n- item two\n\n| a | b |\n\n^table';
+    assertEqual(extractEmbedPart(body, 'Eris'), '## Eris\nStrife.\n### Symbols\nApple.', 'should stop at the next heading of the same level');
+    assertEqual(extractEmbedPart(body, 'Pantheon#Symbols'), '### Symbols\nApple.', 'should use the last part of nested headings');
+    assertEqual(extractEmbedPart(body, '^rule1'), 'A rule.', 'should return the paragraph without its marker');
+    assertEqual(extractEmbedPart(body, '^li'), '- item one', 'should return a single list item');
+    assertEqual(extractEmbedPart(body, '^table'), '| a | b |', 'should return the block above a standalone marker');
+    assertEqual(extractEmbedPart(body, 'Missing'), null);
+    assertEqual(extractEmbedPart(body, '^missing'), null);
+});
+
+test('expandEmbeds: inlines notes, headings and blocks', () => {
+    const vault = testVault({
+        'Lore/Pantheon.md': '---\ntags: [lore]\n---\n## Eris\nGoddess of strife.\n## Ares\nGod of war.',
+        'Magic System Rules.md': 'Magic has a price. ^price\n\nMore rules.',
+        'map.png': '',
+    });
+    const result = expandEmbeds('Start\n![[Pantheon#Eris]]\n![[Magic System Rules#^price]]\n![[map.png]]\n![[Missing]]', 'Town.md', vault, 3);
+    assertEqual(result.text, 'Start\n## Eris\nGoddess of strife.\nMagic has a price.\n\n', 'should inline embeds and drop images and unresolved notes');
+    assertEqual(result.embeds, ['pantheon', 'magic system rules', 'missing']);
+    assertEqual(expandEmbeds('![[Lore/Pantheon.md|alias]]', 'Town.md', vault, 3).text, '## Eris\nGoddess of strife.\n## Ares\nGod of war.', 'should resolve paths and strip frontmatter');
+});
+
+test('expandEmbeds: cycles and max depth', () => {
+    const vault = testVault({
+        'A.md': 'A text ![[B]]',
+        'B.md': 'B text ![[A]]',
+        'C.md': 'C1 ![[D]]',
+        'D.md': 'D1 ![[E]]',
+        'E.md': 'E1',
+    });
+    assertEqual(expandEmbeds(vault.files.get('A.md'), 'A.md', vault, 5).text, 'A text B text', 'should stop at a cycle');
+    assertEqual(expandEmbeds(vault.files.get('C.md'), 'C.md', vault, 1).text, 'C1 D1', 'should stop at the max depth');
+    assertEqual(expandEmbeds(vault.files.get('C.md'), 'C.md', vault, 2).text, 'C1 D1 E1');
+    assertEqual(expandEmbeds(vault.files.get('C.md'), 'C.md', vault, 2).embeds, ['d', 'e'], 'should report nested embeds');
+});
+
+test('findEmbeddingFiles: matches by path or name', () => {
+    const entries = [
+        { filename: 'Town.md', embeds: ['pantheon'] },
+        { filename: 'Temple.md', embeds: ['lore/rites'] },
+        { filename: 'Other.md', embeds: [] },
+    ];
+    assertEqual([...findEmbeddingFiles(entries, ['Lore/Pantheon.md', 'Lore/Rites.md'])], ['Town.md', 'Temple.md']);
+});
+
+const ALL_CLEAN_RULES = { comments: true, htmlComments: true, dataview: true, callouts: true, calloutTypes: ['secret'], sections: ['gm notes'], footnotes: true, blockIds: true, tables: true, html: true };
+
+test('cleanContent: Obsidian comments, dataview and HTML', () => {
+    const content = 'Eris %%GM: she lies%% smiles.\n%%\nmulti\nline\n%%\n<!-- todo -->Visible <span class="x">text</span><br>next\n```dataview\nLIST FROM #gods\n```\nEnd';
+    assertEqual(cleanContent(content, ALL_CLEAN_RULES), 'Eris  smiles.\n\nVisible text\nnext\n\nEnd');
+    assertEqual(cleanContent('Keep %%this%%'), 'Keep %%this%%', 'should leave syntax alone without rules');
+});
+
+test('cleanContent: callouts', () => {
+    const content = '> [!note] Reminder\n> She is vain.\n\n> [!secret]- Hidden\n> The apple was poisoned.\n\n> A plain quote';
+    assertEqual(cleanContent(content, ALL_CLEAN_RULES), 'Reminder\nShe is vain.\n\n> A plain quote', 'should strip markers and remove listed types');
+    assertEqual(cleanContent(content, { calloutTypes: ['secret'] }), '> [!note] Reminder\n> She is vain.\n\n> A plain quote', 'should remove types without stripping other markers');
+});
+
+test('cleanContent: footnotes and block ids', () => {
+    const content = 'Eris threw it.[^1] She laughed.^[inline note] ^quote-1\n\nA table\n\n^table-1\n\n[^1]: Source: Iliad.';
+    assertEqual(cleanContent(content, ALL_CLEAN_RULES), 'Eris threw it. She laughed.\n\nA table');
+});
+
+test('cleanContent: removes sections under headings', () => {
+    const content = '# Eris\nPublic.\n## GM Notes\nSecret plan.\n### Details\nMore.\n## History\nOld.';
+    assertEqual(cleanContent(content, ALL_CLEAN_RULES), '# Eris\nPublic.\n## History\nOld.');
+});
+
+test('convertTables: one line per row', () => {
+    const content = 'Gods:\n| Name | Domain |\n|------|:------:|\n| Eris | Strife |\n| Ares |  |\nAfter';
+    assertEqual(convertTables(content), 'Gods:\nName: Eris; Domain: Strife\nName: Ares\nAfter');
+    assertEqual(convertTables('a | b'), 'a | b', 'should leave lines without a separator row');
+});
+
+test('getCleanRules: parses lists', () => {
+    const rules = getCleanRules({ cleanComments: true, removeCalloutTypes: 'Secret, gm ,', removeSections: 'GM Notes' });
+    assertEqual(rules.calloutTypes, ['secret', 'gm']);
+    assertEqual(rules.sections, ['gm notes']);
+    assertEqual(rules.comments, true);
+});
+
+test('buildSectionEntries: drops removed sections', () => {
+    const note = { id: 'main:Eris.md', filename: 'Eris.md', title: 'Eris', headingPath: [], keys: ['Eris'], secondaryKeys: [], selectiveLogic: 'AND ANY' };
+    const entries = buildSectionEntries(note, '# Eris\nIntro.\n## GM Notes\nPlan.\n### Sub\nMore.\n## Looks\nTall.', undefined, { rules: { sections: ['gm notes'] } });
+    assertEqual(entries.map(e => e.title), ['Eris', 'Eris › Looks']);
+});
+
+test('migrateVaultSettings: moves the single connection into the vault list', () => {
+    const settings = { obsidianPort: 27124, obsidianApiKey: 'secret', lorebookTag: 'lore', constantTag: '', scanDepth: 4 };
+    assert(migrateVaultSettings(settings), 'should report a change');
+    assertEqual(settings.vaults.length, 1);
+    const [vault] = settings.vaults;
+    assertEqual([vault.id, vault.name, vault.enabled, vault.port, vault.apiKey], ['default', 'Default', true, 27124, 'secret']);
+    assertEqual([vault.lorebookTag, vault.constantTag, vault.neverInsertTag], ['lore', '', 'lorebook-never'], 'should keep legacy tags and default missing ones');
+    assertEqual(Object.keys(settings).sort(), ['scanDepth', 'vaults'], 'should remove the legacy keys');
+    assert(!migrateVaultSettings(settings), 'should leave existing vault lists alone');
+    const empty = { vaults: [] };
+    migrateVaultSettings(empty);
+    assertEqual(empty.vaults.map(v => v.id), ['default'], 'should recreate a default vault');
+});
+
+test('createVaultConnection: unique ids and defaults', () => {
+    const a = createVaultConnection();
+    const b = createVaultConnection({ name: 'Second', port: 27125 });
+    assert(a.id !== b.id, 'should generate distinct ids');
+    assertEqual([b.name, b.port, b.lorebookTag, b.enabled], ['Second', 27125, 'lorebook', true]);
+});
+
+test('validateSettings: normalizes vault connections', () => {
+    const settings = { vaults: [{ port: 70000, lorebookTag: '  lore ' }, { port: 'x', lorebookTag: '' }] };
+    validateSettings(settings);
+    assertEqual(settings.vaults.map(v => [v.port, v.lorebookTag]), [[65535, 'lore'], [27123, 'lorebook']]);
+});
+
+test('mergeVaultEntries: first vault wins or all kept', () => {
+    const one = { id: 'one', name: 'One' };
+    const two = { id: 'two', name: 'Two' };
+    const entry = (vault, title) => ({ id: `${vault.id}:${title}`, vault: vault.id, title });
+    const vaults = [
+        { vault: one, entries: [entry(one, 'Eris'), entry(one, 'Apple'), entry(one, 'Apple')] },
+        { vault: two, entries: [entry(two, 'eris'), entry(two, 'Olympus')] },
+    ];
+    const first = mergeVaultEntries(vaults, 'first');
+    assertEqual(first.entries.map(e => e.id), ['one:Eris', 'one:Apple', 'one:Apple', 'two:Olympus'], 'should drop later copies and keep duplicates within a vault');
+    assertEqual(first.duplicates.map(e => e.id), ['two:eris']);
+    const all = mergeVaultEntries(vaults, 'all');
+    assertEqual(all.entries.map(e => e.title), ['Eris', 'Apple', 'Apple', 'eris (Two)', 'Olympus'], 'should label later copies with their vault');
+    assertEqual(vaults[1].entries[0].title, 'eris', 'should not modify the vault entries');
+});
+
+test('validateSettings: normalizes vault addresses and certificate modes', () => {
+    const settings = { vaults: [{ port: 27124, host: ' obsidian.lan ', protocol: 'https', tls: 'pin', certFingerprint: ' ab:cd ' }, { port: 27123, protocol: 'ftp', tls: 'none' }] };
+    validateSettings(settings);
+    assertEqual(settings.vaults.map(v => [v.host, v.protocol, v.tls, v.certFingerprint]), [
+        ['obsidian.lan', 'https', 'pin', 'ab:cd'],
+        ['127.0.0.1', 'http', 'self-signed', ''],
+    ]);
+});
+
+test('describeTestedConnection: reports the address and certificate handling', () => {
+    assertEqual(describeTestedConnection({ url: 'http://127.0.0.1:27123', tls: null, fingerprint: null }), 'http://127.0.0.1:27123');
+    assertEqual(describeTestedConnection({ url: 'https://nas:27124', tls: 'self-signed', fingerprint: 'AB:CD' }), 'https://nas:27124, self-signed certificate, SHA-256 AB:CD');
+    assertEqual(describeTestedConnection({ url: 'https://nas:27124', tls: 'insecure', fingerprint: null }), 'https://nas:27124, certificate not checked');
+});
+
+test('rebindEntries: moves cached entries to the local vault id', () => {
+    const cached = [
+        { id: 'vault-abc:Gods/Eris.md', vault: 'vault-abc', vaultName: 'Shared', title: 'Eris' },
+        { id: 'vault-abc:Gods/Eris.md#Secrets', vault: 'vault-abc', vaultName: 'Shared', title: 'Eris › Secrets' },
+    ];
+    const entries = rebindEntries(cached, { id: 'default', name: 'Default' });
+    assertEqual(entries.map(e => [e.id, e.vault, e.vaultName]), [
+        ['default:Gods/Eris.md', 'default', 'Default'],
+        ['default:Gods/Eris.md#Secrets', 'default', 'Default'],
+    ]);
+    assertEqual(cached[0].vault, 'vault-abc', 'should not modify the cached entries');
+});
+
+test('getRetryDelay: doubles per failure up to the cap', () => {
+    assertEqual(getRetryDelay(1), 30 * 1000);
+    assertEqual(getRetryDelay(2), 60 * 1000);
+    assertEqual(getRetryDelay(4), 240 * 1000);
+    assertEqual(getRetryDelay(6), 15 * 60 * 1000, 'capped');
+    assertEqual(getRetryDelay(50), 15 * 60 * 1000, 'no overflow');
+});
+
+test('isIndexOutdated: vault set and parse settings changes', () => {
+    const main = createVaultConnection({ id: 'main', name: 'Main' });
+    const side = createVaultConnection({ id: 'side', name: 'Side', enabled: false });
+    const settings = { vaults: [main, side], inlineTags: false, splitSections: false };
+    const state = vaultSettings => ({ signature: getIndexSignature(vaultSettings, main), retryAt: 0 });
+    const states = new Map([['main', state(settings)]]);
+    assertEqual(isIndexOutdated(settings, states, 1000), false, 'built from the current settings');
+    assertEqual(isIndexOutdated({ ...settings, inlineTags: true }, states, 1000), true, 'a parse setting changed');
+    assertEqual(isIndexOutdated({ ...settings, vaults: [{ ...main, lorebookTag: 'lore' }, side] }, states, 1000), true, 'a vault setting changed');
+    assertEqual(isIndexOutdated({ ...settings, vaults: [{ ...main, enabled: false }, side] }, states, 1000), true, 'a vault was disabled');
+    assertEqual(isIndexOutdated({ ...settings, vaults: [{ ...main, enabled: false }, { ...side, enabled: true }] }, states, 1000), true, 'another vault was enabled');
+    assertEqual(isIndexOutdated({ ...settings, debugMode: true }, states, 1000), false, 'other settings do not matter');
+    states.get('main').retryAt = 5000;
+    assertEqual(isIndexOutdated({ ...settings, inlineTags: true }, states, 1000), false, 'a vault backing off waits for its next attempt');
+});
+
+test('buildOfflineSnapshot: keeps parsed entries, not raw notes', () => {
+    const entries = [{ id: 'main:Eris.md', title: 'Eris', content: 'Goddess of discord' }];
+    const state = {
+        entries, files: new Map([['Eris.md', '# Eris\nGoddess of discord']]), errors: new Map([['Bad.md', 'Unclosed frontmatter']]),
+        syncToken: 'token', signature: 'sig', total: 2, lastSync: 1000, error: null, failures: 0, retryAt: 0,
+    };
+    const snapshot = buildOfflineSnapshot(state);
+    assertEqual(Object.keys(snapshot).sort(), ['entries', 'errors', 'lastSync', 'signature', 'total'], 'no raw notes or sync state');
+    assertEqual(snapshot.entries, entries);
+    assertEqual(JSON.parse(JSON.stringify(snapshot)).errors, { 'Bad.md': 'Unclosed frontmatter' }, 'storable as plain data');
+});
+
+test('describeMatchStep: direct, recursion and link hops', () => {
+    assertEqual(describeMatchStep(0, undefined), 'direct');
+    assertEqual(describeMatchStep(2, undefined), 'recursion 2');
+    assertEqual(describeMatchStep(undefined, 1), 'link hop 1');
+    assertEqual(describeMatchStep(undefined, undefined), '', 'sticky or unmatched');
+});
+
+test('buildGenerationTrace: statuses, reasons and order', () => {
+    const settings = { injectionPosition: 1, injectionDepth: 4, injectionRole: 0 };
+    const entry = (title, priority) => ({ title, vaultName: 'Main', priority, tokenEstimate: 10, injectionPosition: null, injectionDepth: null, injectionRole: null });
+    const [eris, cave, lore, guild, idle] = [entry('Eris', 50), entry('Cave', 10), entry('Lore', 20), entry('Guild', 30), entry('Idle', 5)];
+    const trace = buildGenerationTrace({
+        type: 'swipe',
+        seed: 7,
+        candidates: [idle, guild, lore, cave, eris],
+        matchedKeys: new Map([['Eris', 'eris'], ['Cave', 'cave'], ['Lore', 'lore'], ['Guild', 'guild']]),
+        steps: new Map([[eris, 0], [lore, 1], [guild, 0]]),
+        linkHops: new Map([[cave, 1]]),
+        reasons: new Map([[guild, 'cooldown (2 left)']]),
+        injected: [eris, cave],
+        fits: new Map([[eris, 'full'], [cave, 'summarized']]),
+        entryTokens: new Map([[eris, 10], [cave, 3]]),
+        skipped: [{ entry: lore, reason: 'budget' }],
+        groups: [{ placement: { position: 1, depth: 4, role: 0 }, text: 'ERIS\n\nCAVE' }],
+        totalTokens: 20,
+    }, settings);
+
+    assertEqual(trace.entries.map(e => e.title), ['Eris', 'Cave', 'Lore', 'Guild', 'Idle'], 'injected in injection order, then dropped and unmatched by priority');
+    assertEqual(trace.entries.map(e => e.status), ['injected', 'injected', 'dropped', 'dropped', 'not matched']);
+    assertEqual(trace.entries.map(e => e.step), ['direct', 'link hop 1', 'recursion 1', 'direct', '']);
+    assertEqual(trace.entries[1].reason, 'summarized');
+    assertEqual(trace.entries.map(e => e.tokens), [10, 3, 10, 10, 10], 'injected tokens, or the full entry otherwise');
+    assertEqual(trace.entries[2].reason, 'token budget');
+    assertEqual(trace.entries[3].reason, 'cooldown (2 left)');
+    assertEqual(trace.entries[0].placement, 'depth 4 (system)');
+    assertEqual(trace.entries[4].placement, '', 'only injected entries have a placement');
+    assertEqual(trace.text, 'ERIS\n\nCAVE', 'a single placement has no header');
+    assertEqual([trace.type, trace.seed, trace.totalTokens], ['swipe', 7, 20]);
+});
+
+test('parseVaultFile: keeps disabled and never-insert notes flagged', () => {
+    const connection = createVaultConnection({ id: 'main', name: 'Main' });
+    const parse = content => parseVaultFile({ filename: 'Eris.md', content }, { splitSections: true }, connection);
+    const active = parse('---\ntags: [lorebook]\nkeys: [eris]\n---\n# Eris\n## Secrets\nHidden');
+    assert(active.entries.length > 1 && active.entries.every(e => e.disabled === false), 'active notes are split and not disabled');
+    const off = parse('---\ntags: [lorebook]\nkeys: [eris]\nenabled: false\n---\n# Eris\n## Secrets\nHidden');
+    assertEqual(off.entries.map(e => [e.id, e.disabled]), [['main:Eris.md', true]], 'enabled: false is one disabled entry, not split');
+    const never = parse('---\ntags: [lorebook, lorebook-never]\nkeys: [eris]\n---\n# Eris');
+    assertEqual(never.entries.map(e => e.disabled), [true], 'the never-insert tag disables the entry');
+    assertEqual(parse('---\ntags: [other]\n---\n# Eris').entries, [], 'notes outside the lorebook are still skipped');
+});
+
+test('parseVaultFile: links in removed text are not followed', () => {
+    const connection = createVaultConnection({ id: 'main', name: 'Main' });
+    const settings = { cleanComments: true, cleanHtmlComments: true, removeSections: 'GM Notes', splitSections: false };
+    const content = '---\ntags: [lorebook]\nkeys: [eris]\n---\n# Eris\nSee [[Apple]]. %%and [[Hidden]]%% <!-- [[Draft]] -->\n## GM Notes\nShe betrays [[Zeus]].\n## Cult\n[[Temple]]';
+    const links = result => result.entries.map(e => e.links.map(l => l.target));
+    assertEqual(links(parseVaultFile({ filename: 'Eris.md', content }, settings, connection)), [['Apple', 'Temple']], 'comments and removed sections add no links');
+    assertEqual(links(parseVaultFile({ filename: 'Eris.md', content }, { ...settings, splitSections: true }, connection)), [['Apple'], ['Temple']], 'split sections too');
+    assertEqual(links(parseVaultFile({ filename: 'Eris.md', content }, { splitSections: false }, connection)), [['Apple', 'Hidden', 'Draft', 'Zeus', 'Temple']], 'kept text keeps its links');
+});
+
+test('buildGenerationTrace: lists disabled entries with their reason', () => {
+    const entry = (title, disabled) => ({ title, vaultName: 'Main', priority: 100, tokenEstimate: 10, disabled });
+    const [eris, old, hidden] = [entry('Eris', false), entry('Old Eris', true), entry('Hidden', true)];
+    const trace = buildGenerationTrace({
+        type: 'test', seed: null, candidates: [eris, old, hidden],
+        matchedKeys: new Map([['Eris', 'eris'], ['Old Eris', 'eris']]),
+        steps: new Map([[eris, 0]]), linkHops: new Map(), reasons: new Map(), injected: [eris],
+    }, {});
+    assertEqual(trace.entries.map(e => [e.title, e.status, e.reason]), [
+        ['Eris', 'injected', ''],
+        ['Old Eris', 'dropped', 'disabled'],
+        ['Hidden', 'not matched', 'disabled'],
+    ], 'a disabled entry whose key is in the chat is dropped as disabled');
+    assertEqual(trace.entries[1].matchedKey, 'eris');
+});
+
+test('buildGenerationTrace: labels placements when there are several', () => {
+    const trace = buildGenerationTrace({
+        type: '', seed: 1, candidates: [], matchedKeys: new Map(), steps: new Map(), linkHops: new Map(), reasons: new Map(),
+        groups: [{ placement: { position: 2, depth: 4, role: 0 }, text: 'A' }, { placement: { position: 1, depth: 2, role: 1 }, text: 'B' }],
+    }, {});
+    assertEqual(trace.text, '[before]\nA\n\n[depth 2 (user)]\nB');
+    assertEqual(trace.type, 'normal', 'normal generations have no type');
+});
+
+test('formatTestResult: JSON shape returned by /deeplore-test', () => {
+    const entry = (title, status) => ({ id: `main:${title}.md`, title, vault: 'Main', status, matchedKey: 'k', step: 'direct', reason: '', priority: 100, tokens: 5, placement: status === 'injected' ? 'before' : '' });
+    const trace = { time: 1, type: 'test', seed: null, text: 'A', totalTokens: 5, entries: [entry('A', 'injected'), entry('B', 'dropped'), entry('C', 'not matched')] };
+    const result = JSON.parse(formatTestResult(trace, [{ placement: { position: 2, depth: 4, role: 0 }, text: 'A' }]));
+    assertEqual(Object.keys(result), ['entries', 'injections', 'totalTokens']);
+    assertEqual(result.entries.map(e => e.title), ['A', 'B'], 'should leave out unmatched entries');
+    assertEqual(Object.keys(result.entries[0]), ['id', 'title', 'vault', 'status', 'matchedKey', 'step', 'reason', 'priority', 'tokens', 'placement']);
+    assertEqual(result.injections, [{ placement: 'before', text: 'A' }], 'should describe placements');
+    assertEqual(result.totalTokens, 5);
+    assertEqual(JSON.parse(formatTestResult({ ...trace, entries: [], totalTokens: 0 }, [])), { entries: [], injections: [], totalTokens: 0 });
+});
+
+test('applyLoreOverride: leaves out and forces entries by id', () => {
+    const [a, b, c] = [{ id: 'main:A.md', title: 'A' }, { id: 'main:B.md', title: 'B' }, { id: 'main:C.md', title: 'C' }];
+    assertEqual(applyLoreOverride([a, b], null, [a, b, c]), { entries: [a, b], excluded: [], forced: [] }, 'no override');
+    const result = applyLoreOverride([a, b], { exclude: ['main:A.md'], force: ['main:C.md', 'main:B.md'] }, [a, b, c]);
+    assertEqual(result.entries, [], 'excluded and forced entries are taken out');
+    assertEqual(result.excluded, [a]);
+    assertEqual(result.forced, [b, c], 'forced entries need not have matched');
+    assertEqual(applyLoreOverride([a], { exclude: ['main:A.md'], force: ['main:A.md'] }, [a]).forced, [], 'leaving out wins');
+});
+
+test('buildMessageLore: keeps injected and dropped entries, and candidate ids', () => {
+    const entry = (title, status, reason = '') => ({ id: `main:${title}.md`, title, vault: 'Main', status, matchedKey: 'k', step: 'direct', reason, priority: 100, tokens: 5, placement: '' });
+    const lore = buildMessageLore({
+        time: 1, type: 'normal', seed: 2, totalTokens: 5, text: 'x',
+        entries: [entry('A', 'injected'), entry('B', 'dropped'), entry('C', 'not matched'), entry('D', 'not matched', 'disabled')],
+    });
+    assertEqual(lore.entries.map(e => e.title), ['A', 'B']);
+    assertEqual(Object.keys(lore.entries[0]), ['id', 'title', 'vault', 'status', 'matchedKey', 'step', 'reason', 'tokens']);
+    assertEqual(lore.candidates, ['main:C.md'], 'unmatched entries in scope can be forced, disabled ones cannot');
+    assertEqual([lore.time, lore.totalTokens], [1, 5]);
+});
+
+test('validateSettings: clamps values', () => {
+    const settings = { scanDepth: -5, cacheTTL: 100000 };
+    validateSettings(settings);
+    assertEqual(settings.scanDepth, 1, 'should clamp scanDepth to min');
+    assertEqual(settings.cacheTTL, 86400, 'should clamp cacheTTL to max');
+});
+
+test('validateSettings: rounds floats', () => {
+    const settings = { scanDepth: 4.7 };
+    validateSettings(settings);
+    assertEqual(settings.scanDepth, 5, 'should round float to integer');
+});
+
+test('validateSettings: trims vault lorebook tags', () => {
+    const settings = { vaults: [{ lorebookTag: '  custom-tag  ' }] };
+    validateSettings(settings);
+    assertEqual(settings.vaults[0].lorebookTag, 'custom-tag', 'should trim whitespace');
+});
+
+test('validateSettings: defaults empty vault lorebook tags', () => {
+    const settings = { vaults: [{ lorebookTag: '   ' }] };
+    validateSettings(settings);
+    assertEqual(settings.vaults[0].lorebookTag, 'lorebook', 'should default empty tag to lorebook');
+});
+
+test('validateSettings: clamps migrated legacy ports', () => {
+    const settings = { obsidianPort: 99999, lorebookTag: ' lore ' };
+    migrateVaultSettings(settings);
+    validateSettings(settings);
+    assertEqual([settings.vaults[0].port, settings.vaults[0].lorebookTag], [65535, 'lore']);
+    assertEqual(settings.obsidianPort, undefined, 'legacy keys are gone');
+});
+
+test('diffVersions: detects added, changed and deleted notes', () => {
+    const previous = { 'a.md': 'mtime:1', 'b.md': 'mtime:2', 'c.md': 'mtime:3' };
+    const current = { 'a.md': 'mtime:1', 'b.md': 'mtime:5', 'd.md': 'mtime:4' };
+    const result = diffVersions(previous, current);
+    assertEqual(result.changed, ['b.md', 'd.md'], 'should list modified and added notes');
+    assertEqual(result.deleted, ['c.md'], 'should list removed notes');
+});
+
+test('diffVersions: no changes', () => {
+    const versions = { 'a.md': 'sha1:abc' };
+    assertEqual(diffVersions(versions, { ...versions }), { changed: [], deleted: [] }, 'should report nothing for identical snapshots');
+});
+
+test('diffVersions: empty previous snapshot', () => {
+    const result = diffVersions({}, { 'a.md': 'mtime:1' });
+    assertEqual(result.changed, ['a.md'], 'should treat every note as changed');
+});
+
+test('saveSyncSnapshot: several vaults syncing alternately keep their tokens', () => {
+    syncSnapshots.clear();
+    const vaults = Array.from({ length: 6 }, (_, i) => `http://127.0.0.1:${27000 + i}`);
+    // Two tabs per vault, syncing round-robin far more often than the per-vault limit
+    const tokens = new Map(vaults.flatMap(vault => [0, 1].map(tab => [`${vault}#${tab}`, saveSyncSnapshot(vault, { 'a.md': 'mtime:0' })])));
+    for (let round = 1; round <= 20; round++) {
+        for (const [client, token] of tokens) {
+            const vault = client.split('#')[0];
+            assertEqual(getSyncSnapshot(vault, token), { 'a.md': `mtime:${round - 1}` }, `${client} round ${round}`);
+            tokens.set(client, saveSyncSnapshot(vault, { 'a.md': `mtime:${round}` }, token));
+        }
+    }
+    for (const vault of vaults) {
+        assertEqual(syncSnapshots.get(vault).size, 2, 'consumed tokens are retired');
+    }
+});
+
+test('getSyncSnapshot: tokens belong to one vault', () => {
+    syncSnapshots.clear();
+    const token = saveSyncSnapshot('http://127.0.0.1:27123', { 'a.md': 'mtime:1' });
+    assertEqual(getSyncSnapshot('http://127.0.0.1:27124', token), null, 'another vault does not accept the token');
+    assertEqual(getSyncSnapshot('http://127.0.0.1:27123', null), null);
+    const next = saveSyncSnapshot('http://127.0.0.1:27123', {}, token);
+    assertEqual(getSyncSnapshot('http://127.0.0.1:27123', token), null, 'the consumed token is retired');
+    assertEqual(getSyncSnapshot('http://127.0.0.1:27123', next), {});
+});
+
+test('resolveConnection: only uses the stored address', () => {
+    const stored = { apiKey: 'k', protocol: 'https', host: '192.168.1.5', port: 27124, tls: 'self-signed', fingerprint: '' };
+    const connection = resolveConnection(stored, { connectionId: 'main' });
+    assertEqual([connection.host, connection.port, connection.apiKey], ['192.168.1.5', 27124, 'k'], 'resolves by connection id alone');
+    assertEqual(resolveConnection(stored, { connectionId: 'main', protocol: 'https', host: '192.168.1.5', port: 27124 }).apiKey, 'k', 'accepts the same address');
+    assertEqual(resolveConnection(undefined, { port: 27124 }), null, 'no key stored');
+    assertEqual(resolveConnection('old-plain-key', { port: 27124 }), null, 'ignores malformed entries');
+});
+
+test('resolveConnection: carries the stored trusted fingerprint only', () => {
+    const fingerprint = Array(32).fill('AB').join(':');
+    const stored = { apiKey: 'k', protocol: 'https', host: '192.168.1.5', port: 27124, tls: 'self-signed', fingerprint: '', trusted: fingerprint };
+    assertEqual(resolveConnection(stored, { connectionId: 'main' }).trusted, fingerprint);
+    assertEqual(resolveConnection({ ...stored, trusted: undefined }, { connectionId: 'main' }).trusted, '', 'nothing trusted yet');
+    assertEqual(parseConnection({ port: 27124, trusted: fingerprint }).trusted, undefined, 'clients cannot choose the trusted certificate');
+});
+
+test('resolveConnection: a mismatched host is refused', () => {
+    const stored = { apiKey: 'k', protocol: 'https', host: '192.168.1.5', port: 27124, tls: 'self-signed', fingerprint: '' };
+    const refuses = body => { try { resolveConnection(stored, body); return false; } catch { return true; } };
+    assert(refuses({ protocol: 'https', host: 'attacker.example', port: 27124 }), 'another host');
+    assert(refuses({ protocol: 'https', host: '192.168.1.5', port: 443 }), 'another port');
+    assert(refuses({ protocol: 'http', host: '192.168.1.5', port: 27124 }), 'downgrade to plain HTTP');
+    assert(refuses({ protocol: 'https', host: '192.168.1.5', port: 27124, tls: 'insecure' }), 'weaker certificate check');
+});
+
+test('normalizeFingerprint: accepts common formats', () => {
+    const expected = Array(32).fill('AB').join(':');
+    assertEqual(normalizeFingerprint('ab'.repeat(32)), expected, 'should add colons and uppercase');
+    assertEqual(normalizeFingerprint(`sha256 Fingerprint=${expected}`), expected, 'should strip the openssl prefix');
+    assertEqual(normalizeFingerprint(Array(32).fill('ab').join(' ')), expected, 'should accept spaces');
+    assertEqual(normalizeFingerprint('ab:cd'), '', 'should reject short fingerprints');
+    assertEqual(normalizeFingerprint(undefined), '');
+});
+
+test('parseConnection: defaults and validation', () => {
+    assertEqual(parseConnection({ port: 27123 }, 'k'), { protocol: 'http', host: '127.0.0.1', port: 27123, apiKey: 'k', tls: 'self-signed', fingerprint: '' });
+    assertEqual(parseConnection({ port: 27123, apiKey: 'from-browser' }).apiKey, '', 'should ignore API keys sent by the client');
+    const pinned = parseConnection({ port: '27124', protocol: 'https', host: '192.168.1.5', tls: 'pin', fingerprint: 'ab'.repeat(32) });
+    assertEqual([pinned.port, pinned.host, pinned.fingerprint.length], [27124, '192.168.1.5', 95]);
+    assertEqual(parseConnection({ port: 1, host: '[::1]' }).host, '[::1]', 'should accept bracketed IPv6');
+    const fails = body => { try { parseConnection(body); return false; } catch { return true; } };
+    assert(fails({ port: 1, protocol: 'ftp' }), 'should reject unknown protocols');
+    assert(fails({ port: 1, host: 'evil.com/path?' }), 'should reject hosts with paths');
+    assert(fails({ port: 1, tls: 'yolo' }), 'should reject unknown certificate modes');
+    assert(fails({ port: 1, protocol: 'https', tls: 'pin', fingerprint: 'nope' }), 'should require a fingerprint to pin');
+    assert(!fails({ port: 1, protocol: 'http', tls: 'pin' }), 'should ignore the pin over plain HTTP');
+    for (const port of [undefined, '', 0, 65536, 27123.5, '27123abc', -1]) {
+        assert(fails({ port }), `should reject port ${JSON.stringify(port)}`);
+    }
+    assertEqual(parseConnection({ port: 65535 }).port, 65535);
+});
+
+test('isValidConnectionId: only plain ids', () => {
+    assert(isValidConnectionId('default'), 'should accept the migrated id');
+    assert(isValidConnectionId('vault-lx2k9a1b'), 'should accept generated ids');
+    assert(!isValidConnectionId('__proto__/x'), 'should reject paths');
+    assert(!isValidConnectionId(''), 'should reject empty ids');
+    assert(!isValidConnectionId(42), 'should reject non-strings');
+});
+
+test('getIndexCacheName: separates vaults, keys and settings', () => {
+    const connection = { protocol: 'http', host: '127.0.0.1', port: 27123, apiKey: 'k' };
+    const name = getIndexCacheName(connection, 'sig');
+    assertEqual(getIndexCacheName({ ...connection }, 'sig'), name, 'should be stable');
+    assert(/^[0-9a-f]{32}-[0-9a-f]{16}\.json$/.test(name), 'should be a safe file name');
+    assert(name.startsWith(`${getVaultCacheKey(connection)}-`), 'should share the vault prefix across signatures');
+    assert(getIndexCacheName(connection, 'other') !== name, 'should differ by settings signature');
+    assert(getIndexCacheName({ ...connection, apiKey: 'other' }, 'sig') !== name, 'should differ by API key');
+    assert(getIndexCacheName({ ...connection, port: 27124 }, 'sig') !== name, 'should differ by vault');
+});
+
+test('patchNoteStore: keeps current notes and adds downloaded ones', () => {
+    const stored = { 'A.md': { version: 'mtime:1', content: 'a' }, 'B.md': { version: 'mtime:1', content: 'b' }, 'C.md': { version: 'mtime:1', content: 'c' } };
+    const versions = { 'A.md': 'mtime:1', 'B.md': 'mtime:2', 'D.md': 'mtime:1' };
+    const { notes, changed } = patchNoteStore(stored, versions, [{ filename: 'B.md', content: 'b2' }, { filename: 'D.md', content: 'd' }]);
+    assertEqual(notes, {
+        'A.md': { version: 'mtime:1', content: 'a' },
+        'B.md': { version: 'mtime:2', content: 'b2' },
+        'D.md': { version: 'mtime:1', content: 'd' },
+    }, 'should drop deleted and outdated copies');
+    assert(changed, 'should report changes');
+    assert(!patchNoteStore(notes, versions, [{ filename: 'A.md', content: 'a' }]).changed, 'should report no change for identical notes');
+    assertEqual(patchNoteStore({}, {}, [{ filename: 'X.md', content: 'x' }]).notes, {}, 'should ignore notes without a version');
+});
+
+test('patchCachedIndex: records client deltas with server versions', () => {
+    const entry = (filename, title) => ({ filename, title });
+    const versions = { 'A.md': 'mtime:1', 'B.md': 'mtime:1' };
+    const full = patchCachedIndex(null, versions, { full: true, total: 2, notes: { 'A.md': { entries: [entry('A.md', 'A')], error: null }, 'B.md': { entries: [], error: 'bad yaml' } }, removed: [] });
+    assertEqual(full.files['A.md'], { version: 'mtime:1', entries: [entry('A.md', 'A')], error: null });
+    assertEqual(full.files['B.md'].error, 'bad yaml');
+    assertEqual(patchCachedIndex(null, versions, { full: false, notes: {}, removed: [] }), null, 'should need a base for deltas');
+
+    const next = patchCachedIndex(full, { 'A.md': 'mtime:2', 'C.md': 'mtime:1' }, {
+        full: false,
+        total: 2,
+        notes: {
+            'A.md': { entries: [entry('A.md', 'A2'), entry('Other.md', 'Smuggled')] },
+            'Unknown.md': { entries: [entry('Unknown.md', 'U')] },
+        },
+        removed: ['B.md'],
+    });
+    assertEqual(Object.keys(next.files), ['A.md'], 'should remove deleted notes and ignore unknown ones');
+    assertEqual(next.files['A.md'], { version: 'mtime:2', entries: [entry('A.md', 'A2')], error: null }, 'should keep only entries of the note itself');
+    assertEqual(full.files['B.md'].error, 'bad yaml', 'should not modify the previous index');
+});
+
+test('assembleCachedIndex: serves entries only with matching notes', () => {
+    const index = {
+        total: 3,
+        files: {
+            'A.md': { version: 'mtime:1', entries: [{ filename: 'A.md' }], error: null },
+            'B.md': { version: 'mtime:1', entries: [], error: 'bad yaml' },
+            'C.md': { version: 'mtime:1', entries: [{ filename: 'C.md' }], error: null },
+        },
+    };
+    const stored = { 'A.md': { version: 'mtime:1', content: 'a' }, 'B.md': { version: 'mtime:1', content: 'b' }, 'C.md': { version: 'mtime:2', content: 'c2' } };
+    const result = assembleCachedIndex(index, stored);
+    assertEqual(result.entries, [{ filename: 'A.md' }], 'should leave out notes changed since they were parsed');
+    assertEqual(result.errors, { 'B.md': 'bad yaml' });
+    assertEqual(result.files, { 'A.md': 'a', 'B.md': 'b' });
+    assertEqual(result.versions, { 'A.md': 'mtime:1', 'B.md': 'mtime:1' }, 'so the next sync fetches C.md again');
+    assert(result.partial, 'should report the missing note');
+    assert(!assembleCachedIndex({ total: 0, files: {} }, {}).partial);
+});
+
+test('pickCacheEvictions: drops expired items, then the least recently used', () => {
+    const now = Date.now();
+    const items = [
+        { name: 'old', savedAt: now - INDEX_CACHE_MAX_AGE - 1, size: 1 },
+        { name: 'a', savedAt: now - 3, size: 40 },
+        { name: 'b', savedAt: now - 2, size: 40 },
+        { name: 'c', savedAt: now - 1, size: 40 },
+    ];
+    assertEqual(pickCacheEvictions(items, 1000, now), ['old'], 'should prune expired items even under the limit');
+    assertEqual(pickCacheEvictions(items, 80, now), ['old', 'a'], 'should evict the least recently used first');
+    assertEqual(pickCacheEvictions(items, 10, now), ['old', 'a', 'b'], 'should always keep the most recent item');
+    assertEqual(pickCacheEvictions([], 10, now), []);
+});
+
+test('parseServerSentEvents: reads formatted events across chunks', () => {
+    const stream = formatServerSentEvent('ready', { total: 3 }) + ': ping\n\n' + formatServerSentEvent('change', { changed: ['A.md'], deleted: [] });
+    const first = parseServerSentEvents(stream.slice(0, 40));
+    assertEqual(first.events, [{ event: 'ready', data: { total: 3 } }], 'should return complete events only');
+    const second = parseServerSentEvents(first.rest + stream.slice(40));
+    assertEqual(second.events, [{ event: 'change', data: { changed: ['A.md'], deleted: [] } }], 'should skip heartbeats and finish split events');
+    assertEqual(second.rest, '');
+    assertEqual(parseServerSentEvents('event: x\r\ndata: {"a":1}\r\n\r\n').events, [{ event: 'x', data: { a: 1 } }], 'should accept CRLF line endings');
+    assertEqual(parseServerSentEvents('data: not json\n\n').events, [], 'should skip malformed data');
+});
+
+// ============================================================================
+// Integration tests: server plugin against a stand-in Local REST API
+// ============================================================================
+
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+const { init, watchVault } = require('./server/index.js');
+
+/**
+ * Append text to the end of the section under a heading, like the Local REST API's PATCH.
+ * @param {string} content
+ * @param {string} target - Heading path joined with ::
+ * @param {string} text
+ * @returns {string|null} null if the heading doesn't exist
+ */
+function appendUnderHeading(content, target, text) {
+    const lines = content.split('\n');
+    const wanted = target.split('::').pop();
+    const start = lines.findIndex(line => /^#{1,6} /.test(line) && line.replace(/^#+ /, '') === wanted);
+    if (start === -1) return null;
+    const level = lines[start].match(/^#+/)[0].length;
+    let end = lines.findIndex((line, i) => i > start && /^#{1,6} /.test(line) && line.match(/^#+/)[0].length <= level);
+    if (end === -1) end = lines.length;
+    return [...lines.slice(0, end), text, ...lines.slice(end)].join('\n');
+}
+
+/**
+ * Start a stand-in for the Obsidian Local REST API serving an in-memory vault.
+ * Notes can be read, created (PUT), appended to (POST) and appended to under a heading (PATCH).
+ * @param {Object<string, {content: string, mtime: number}>} notes - filename -> note
+ * @param {{ search?: boolean }} [options] - search: false answers the search endpoint with 404
+ * @returns {Promise<{ port: number, notes: object, close: function(): Promise<void> }>}
+ */
+function startStandInVault(notes, { search = true } = {}) {
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const filename = req.url.startsWith('/vault/') ? decodeURIComponent(req.url.slice('/vault/'.length)) : '';
+        if (req.headers.authorization !== 'Bearer test-key') {
+            res.writeHead(401).end();
+        } else if (req.method === 'POST' && req.url === '/search/') {
+            if (!search) return res.writeHead(404).end();
+            res.end(JSON.stringify(Object.entries(notes).map(([filename, note]) => ({ filename, result: note.mtime }))));
+        } else if (req.method === 'GET' && req.url.startsWith('/vault/')) {
+            const wanted = decodeURIComponent(req.url.slice('/vault/'.length));
+            if (wanted === '' || wanted.endsWith('/')) {
+                const entries = new Set();
+                for (const filename of Object.keys(notes).filter(f => f.startsWith(wanted))) {
+                    const rest = filename.slice(wanted.length);
+                    entries.add(rest.includes('/') ? rest.slice(0, rest.indexOf('/') + 1) : rest);
+                }
+                res.end(JSON.stringify({ files: [...entries] }));
+            } else if (notes[wanted]) {
+                res.end(notes[wanted].content);
+            } else {
+                res.writeHead(404).end();
+            }
+        } else if (req.method === 'PUT' && filename) {
+            notes[filename] = { content: body, mtime: Date.now() };
+            res.writeHead(204).end();
+        } else if ((req.method === 'POST' || req.method === 'PATCH') && filename) {
+            if (!notes[filename]) return res.writeHead(404).end();
+            const updated = req.method === 'POST'
+                ? notes[filename].content + body
+                : appendUnderHeading(notes[filename].content, decodeURIComponent(req.headers.target), body);
+            if (updated === null) return res.writeHead(400).end();
+            notes[filename] = { content: updated, mtime: notes[filename].mtime + 1 };
+            res.writeHead(204).end();
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        port: server.address().port,
+        notes,
+        close: () => new Promise(done => server.close(done)),
+    })));
+}
+
+/**
+ * Collect a watcher's events until one matches, or fail after a timeout.
+ * @returns {{ events: {event: string, data: object}[], listener: function(string, object): void, next: function(string): Promise<object> }}
+ */
+function collectEvents() {
+    const events = [];
+    const waiting = [];
+    const listener = (event, data) => {
+        events.push({ event, data });
+        for (const wait of waiting.filter(w => w.event === event)) {
+            waiting.splice(waiting.indexOf(wait), 1);
+            clearTimeout(wait.timer);
+            wait.resolve(data);
+        }
+    };
+    const next = event => new Promise((resolve, reject) => {
+        const wait = { event, resolve };
+        wait.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(wait), 1);
+            reject(new Error(`Timed out waiting for "${event}"`));
+        }, 3000);
+        waiting.push(wait);
+    });
+    return { events, listener, next };
+}
+
+testAsync('scheduleOnce: one save for a burst of changes', async () => {
+    const pending = new Map();
+    const runs = [];
+    const change = value => scheduleOnce(pending, 'main', 20, () => runs.push(value));
+    change(1);
+    change(2);
+    scheduleOnce(pending, 'side', 20, () => runs.push('side'));
+    change(3);
+    assertEqual(runs, [], 'nothing is saved right away');
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assertEqual(runs, [1, 'side'], 'one run per key');
+    assertEqual(pending.size, 0);
+    change(4);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assertEqual(runs, [1, 'side', 4], 'a change after the save schedules another');
+});
+
+testAsync('queueCacheUpdate: updates of one cache file run in turn', async () => {
+    let file = {};
+    const add = (key, ms) => queueCacheUpdate('vault-notes.json', async () => {
+        const read = { ...file };
+        await new Promise(resolve => setTimeout(resolve, ms));
+        file = { ...read, [key]: true };
+        return key;
+    });
+    assertEqual(await Promise.all([add('a', 20), add('b', 0), add('c', 10)]), ['a', 'b', 'c']);
+    assertEqual(Object.keys(file), ['a', 'b', 'c'], 'no update overwrites another');
+
+    const failed = queueCacheUpdate('vault-notes.json', async () => { throw new Error('disk full'); });
+    const after = add('d', 0);
+    assertEqual(await failed.then(() => null, err => err.message), 'disk full');
+    assertEqual(await after, 'd', 'a failed update does not block the queue');
+    await new Promise(resolve => setImmediate(resolve));
+    assertEqual(cacheUpdates.size, 0, 'settled queues are forgotten');
+});
+
+testAsync('watchVault: reports changed and deleted notes from mtimes', async () => {
+    const vault = await startStandInVault({
+        'Gods/Eris.md': { content: '# Eris', mtime: 1 },
+        'Apple.md': { content: '# Apple', mtime: 1 },
+    });
+    const { listener, next } = collectEvents();
+    const connection = { protocol: 'http', host: '127.0.0.1', port: vault.port, apiKey: 'test-key', tls: 'self-signed', fingerprint: '' };
+    const ready = next('ready');
+    const unwatch = watchVault(connection, 50, listener);
+    try {
+        assertEqual(await ready, { total: 2 }, 'should report ready after the first listing');
+        let change = next('change');
+        vault.notes['Gods/Eris.md'].mtime = 2;
+        vault.notes['Olympus.md'] = { content: '# Olympus', mtime: 1 };
+        assertEqual(await change, { changed: ['Gods/Eris.md', 'Olympus.md'], deleted: [], total: 3 }, 'should report edited and added notes');
+        change = next('change');
+        delete vault.notes['Apple.md'];
+        assertEqual(await change, { changed: [], deleted: ['Apple.md'], total: 2 }, 'should report deleted notes');
+
+        const second = collectEvents();
+        const secondReady = second.next('ready');
+        const unwatchSecond = watchVault({ ...connection }, 50, second.listener);
+        assertEqual(await secondReady, { total: 2 }, 'should share the poller and report ready at once');
+        unwatchSecond();
+    } finally {
+        unwatch();
+        await vault.close();
+    }
+});
+
+testAsync('watchVault: falls back to listings without search', async () => {
+    const vault = await startStandInVault({ 'A.md': { content: 'a', mtime: 1 }, 'img.png': { content: '', mtime: 1 } }, { search: false });
+    const { listener, next } = collectEvents();
+    const ready = next('ready');
+    const unwatch = watchVault({ protocol: 'http', host: '127.0.0.1', port: vault.port, apiKey: 'test-key', tls: 'self-signed', fingerprint: '' }, 50, listener);
+    try {
+        assertEqual(await ready, { total: 1 }, 'should count markdown notes only');
+        const change = next('change');
+        vault.notes['Lore/B.md'] = { content: 'b', mtime: 1 };
+        assertEqual(await change, { changed: ['Lore/B.md'], deleted: [], total: 2 }, 'should detect notes added in subfolders');
+    } finally {
+        unwatch();
+        await vault.close();
+    }
+});
+
+testAsync('watchVault: slows down again when the fastest listener leaves', async () => {
+    const vault = await startStandInVault({ 'A.md': { content: 'a', mtime: 1 } });
+    const connection = { protocol: 'http', host: '127.0.0.1', port: vault.port, apiKey: 'test-key', tls: 'self-signed', fingerprint: '' };
+    const slow = collectEvents();
+    const fast = collectEvents();
+    const ready = slow.next('ready');
+    const unwatchSlow = watchVault(connection, 60000, slow.listener);
+    const unwatchFast = watchVault({ ...connection }, 50, fast.listener);
+    try {
+        await ready;
+        const change = slow.next('change');
+        vault.notes['A.md'].mtime = 2;
+        assertEqual((await change).changed, ['A.md'], 'should poll at the faster interval while both listen');
+        unwatchFast();
+        vault.notes['A.md'].mtime = 3;
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assertEqual(slow.events.filter(e => e.event === 'change').length, 1, 'should go back to the slower interval');
+    } finally {
+        unwatchFast();
+        unwatchSlow();
+        await vault.close();
+    }
+});
+
+testAsync('watchVault: reports failing polls', async () => {
+    const { listener, next } = collectEvents();
+    const error = next('error');
+    const unwatch = watchVault({ protocol: 'http', host: '127.0.0.1', port: 1, apiKey: 'test-key', tls: 'self-signed', fingerprint: '' }, 50, listener);
+    try {
+        assert(typeof (await error).error === 'string', 'should send the error message');
+    } finally {
+        unwatch();
+    }
+});
+
+/**
+ * Mount the server plugin on a local express app, with a throwaway user data directory.
+ * @returns {Promise<{ post: function(string, object): Promise<{status: number, data: object}>, close: function(): Promise<void> }>}
+ */
+async function startPluginServer() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deeplore-test-'));
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = { directories: { root } };
+        next();
+    });
+    const router = express.Router();
+    await init(router);
+    app.use('/api/plugins/deeplore', router);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/api/plugins/deeplore`;
+    return {
+        root,
+        post: async (endpoint, body) => {
+            const response = await fetch(`${base}${endpoint}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            return { status: response.status, data: await response.json().catch(() => ({})) };
+        },
+        close: async () => {
+            await new Promise(done => server.close(done));
+            fs.rmSync(root, { recursive: true, force: true });
+        },
+    };
+}
+
+testAsync('/credentials: a new key keeps the certificate trusted for the same address', async () => {
+    const plugin = await startPluginServer();
+    const file = path.join(plugin.root, 'deeplore', 'credentials.json');
+    const fingerprint = Array(32).fill('AB').join(':');
+    const connection = { connectionId: 'main', protocol: 'https', host: '192.168.1.5', port: 27124 };
+    const stored = () => JSON.parse(fs.readFileSync(file, 'utf8')).main;
+    try {
+        await plugin.post('/credentials', { ...connection, apiKey: 'old-key' });
+        assertEqual(stored().trusted, '', 'nothing is trusted before the first connection');
+        fs.writeFileSync(file, JSON.stringify({ main: { ...stored(), trusted: fingerprint } }));
+        await plugin.post('/credentials', { ...connection, apiKey: 'new-key', trusted: 'CD'.repeat(32) });
+        assertEqual([stored().apiKey, stored().trusted], ['new-key', fingerprint], 'clients cannot replace the trusted certificate');
+        await plugin.post('/credentials', { ...connection, port: 27125, apiKey: 'new-key' });
+        assertEqual(stored().trusted, '', 'another address starts over');
+    } finally {
+        await plugin.close();
+    }
+});
+
+testAsync('connection routes: an invalid port is a bad request', async () => {
+    const plugin = await startPluginServer();
+    const connection = { connectionId: 'main', protocol: 'http', host: '127.0.0.1' };
+    try {
+        assertEqual((await plugin.post('/credentials', { ...connection, port: 'abc', apiKey: 'k' })).status, 400);
+        assert(!fs.existsSync(path.join(plugin.root, 'deeplore', 'credentials.json')), 'nothing is stored');
+        await plugin.post('/credentials', { ...connection, port: 27123, apiKey: 'k' });
+        assertEqual((await plugin.post('/files', { ...connection, port: 70000 })).status, 400, 'not reported as another address');
+        assertEqual((await plugin.post('/test', { ...connection, port: 27123.5 })).status, 400);
+    } finally {
+        await plugin.close();
+    }
+});
+
+testAsync('/create and /append: write notes through the Local REST API', async () => {
+    const vault = await startStandInVault({ 'Gods/Eris.md': { content: '# Eris\n\n## Secrets\nHidden\n\n## Cult\nFollowers', mtime: 1 } });
+    const plugin = await startPluginServer();
+    const connection = { connectionId: 'main', protocol: 'http', host: '127.0.0.1', port: vault.port };
+    try {
+        assertEqual((await plugin.post('/credentials', { ...connection, apiKey: 'test-key' })).data.hasKey, true);
+
+        const filename = getNewNotePath(' Eris: Goddess of Discord? ', '/Lore/New Gods/');
+        assertEqual(filename, 'Lore/New Gods/Eris Goddess of Discord.md');
+        const content = buildNoteContent({ title: 'Eris', tags: ['lorebook'], keys: ['eris'], priority: 100, body: 'Chaos.' });
+        const created = await plugin.post('/create', { ...connection, filename, content });
+        assertEqual(created, { status: 200, data: { ok: true, filename } }, 'should create the note');
+        assertEqual(vault.notes[filename].content, content, 'should create it in the folder under its sanitized title');
+        assertEqual((await plugin.post('/create', { ...connection, filename, content: 'x' })).status, 409, 'should not overwrite an existing note');
+        assertEqual(vault.notes[filename].content, content);
+
+        assertEqual((await plugin.post('/append', { ...connection, filename: 'Gods/Eris.md', content: '\n\nNew fact\n' })).status, 200);
+        assert(vault.notes['Gods/Eris.md'].content.endsWith('Followers\n\nNew fact\n'), 'should append at the end of the note');
+        assertEqual((await plugin.post('/append', { ...connection, filename: 'Gods/Eris.md', content: 'More secrets', heading: 'Eris::Secrets' })).status, 200);
+        const lines = vault.notes['Gods/Eris.md'].content.split('\n');
+        assertEqual(lines.indexOf('More secrets'), lines.indexOf('## Cult') - 1, 'should append at the end of the heading\'s section');
+        assertEqual((await plugin.post('/append', { ...connection, filename: 'Gods/Missing.md', content: 'x' })).status, 404, 'should report a missing note');
+        assertEqual((await plugin.post('/append', { ...connection, filename: 'Gods/Eris.md' })).status, 400, 'should require content');
+
+        const index = await plugin.post('/index', { ...connection, syncToken: null });
+        assertEqual(index.data.files.map(f => f.filename).sort(), ['Gods/Eris.md', filename], 'should list the new note in the next sync');
+    } finally {
+        await plugin.post('/cache/refresh', connection);
+        await plugin.close();
+        await vault.close();
+    }
+});
+
+// ============================================================================
+// Results
+// ============================================================================
+
+(async () => {
+    for (const { name, fn } of asyncTests) {
+        console.log(`\n${name}`);
+        try {
+            await fn();
+        } catch (err) {
+            failed++;
+            console.error(`  FAIL: ${err.message}`);
+        }
+    }
+
+    console.log(`\n${'='.repeat(40)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+})();